@@ -1,4 +1,5 @@
 const { Connection, PublicKey, SystemProgram } = require('@solana/web3.js');
+const { checkTokenAuthorities, resolveTokenMetadata } = require('./lib');
 
 // X1 Mainnet RPC
 const RPC_URL = process.env.X1_RPC_URL || 'https://rpc.mainnet.x1.xyz';
@@ -40,34 +41,16 @@ async function getTokenMetadata(connection, mintAddress) {
         isInitialized: info.isInitialized || false
       };
       
-      // Try to get token metadata from Metaplex
+      // Token-2022 metadata extension or Metaplex metadata account
       try {
-        const metaplexMetadataPDA = PublicKey.findProgramAddressSync(
-          [
-            Buffer.from('metadata'),
-            new PublicKey('MetaToken1111111111111111111111111111111').toBuffer(),
-            mintPubkey.toBuffer()
-          ],
-          new PublicKey('MetaToken1111111111111111111111111111111')
-        )[0];
-        
-        const metaAccount = await connection.getAccountInfo(metaplexMetadataPDA);
-        if (metaAccount) {
-          // Parse Metaplex metadata
-          const data = metaAccount.data;
-          let offset = 2 + 32 + 32; // Skip version, update auth, mint
-          
-          const nameLen = data.readUInt32LE(offset);
-          offset += 4;
-          metadata.name = data.slice(offset, offset + nameLen).toString('utf8').replace(/\u0000/g, '');
-          offset += nameLen;
-          
-          const symbolLen = data.readUInt32LE(offset);
-          offset += 4;
-          metadata.symbol = data.slice(offset, offset + symbolLen).toString('utf8').replace(/\u0000/g, '');
+        const { extensions } = await checkTokenAuthorities(connection, mintPubkey);
+        const meta = await resolveTokenMetadata(connection, mintAddress, extensions);
+        if (meta) {
+          metadata.name = meta.name;
+          metadata.symbol = meta.symbol;
         }
       } catch (e) {
-        // Metaplex metadata not available
+        // Metadata not available
       }
       
       tokenCache.set(mintAddress, metadata);
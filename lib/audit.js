@@ -0,0 +1,516 @@
+/**
+ * lib/audit.js
+ * ===========================================
+ * auditToken() — one structured audit result per mint
+ * ===========================================
+ *
+ * Nothing in here prints or exits: problems that only degrade the
+ * result are collected in `result.warnings` (and the affected section in
+ * `result.incomplete`), problems that make the audit meaningless are thrown.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { DEFAULT_RPC, XDEX_API } = require("./constants");
+const {
+  TOP_HOLDERS,
+  isValidAddress,
+  checkTokenAuthorities,
+  giniCoefficient,
+  nakamotoCoefficient,
+  getTokenHolders,
+  getLargestHolders,
+} = require("./token");
+const {
+  getPoolList,
+  getPoolDetails,
+  findPoolsForToken,
+  tokenSymbolFromPools,
+  parsePoolLPSupply,
+  summarizeMarket,
+  findPoolsOnChain,
+  loadPoolStates,
+  describePoolState,
+  poolFromChain,
+  comparePoolWithChain,
+} = require("./xdex");
+const {
+  BURN_EVENT_TYPES,
+  checkLPBurnStatus,
+  scanLPEvents,
+  teamWallets,
+  findInitialMint,
+  teamLPExposure,
+  liquidityTimeline,
+  computeLPSafety,
+  combineLPSafety,
+} = require("./lp");
+const { DEX_ADAPTERS, discoverPools } = require("./dex");
+const { initialLiquidityProvenance, traceFunding } = require("./provenance");
+const { checkPoolPrices, resolveSellAmount, simulateSell } = require("./market");
+const { classifyHolders, sellableHolders, findHolderClusters } = require("./holders");
+const { trackDevActivity } = require("./dev");
+const { resolveTokenMetadata } = require("./metadata");
+const { createRpcClient } = require("./rpc");
+const { defaultRiskRules, loadRiskRules, calculateRiskScore } = require("./risk");
+
+function auditError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Audit a token mint.
+ *
+ * Options:
+ *   rpcUrl         RPC endpoint (default: X1_RPC_URL or X1 mainnet)
+ *   connection     Existing web3.js Connection or RPC client, overrides rpcUrl
+ *   concurrency    Max RPC requests in flight (default: X1_RPC_CONCURRENCY or 4)
+ *   maxRetries     Retries per RPC request on 429/5xx (default: X1_RPC_MAX_RETRIES or 4)
+ *   xdexApi        XDEX API base URL
+ *   poolList       Pre-fetched XDEX pool list (batch audits fetch it once)
+ *   scanBurns      Parse LP mint history for burns (default: true)
+ *   burnScanLimit  Max signatures per LP mint to scan (default: full history)
+ *   burnScanSince  Only scan LP history after this date (Date, date string or unix seconds)
+ *   cache          Event cache from createEventCache(); rescans only fetch new signatures
+ *   traceFunding   Follow the initial liquidity provider's funding two hops
+ *                  back (default: true)
+ *   findClusters   Trace the top wallets' funding and first tokens to find
+ *                  wallets of one owner (default: true)
+ *   trackDev       Read the recent transactions of the deployer and the
+ *                  token authorities for sells, transfers to fresh wallets,
+ *                  LP removals and authority changes (default: true)
+ *   simulateSell   Sell size to simulate through each pool: a token amount,
+ *                  a % of supply ("5%") or "top" (largest holder's balance)
+ *   findPositions  Look up who holds the positions of concentrated-liquidity
+ *                  pools (default: true; needs a position-NFT adapter, e.g.
+ *                  registered by X1_WHIRLPOOL_PROGRAM_ID)
+ *   riskRules      Rules object or rules file path (default: X1_RISK_RULES or rules/risk-rules.json)
+ *   capture        Recorder or replayer from lib/capture.js; every RPC and XDEX
+ *                  request goes through it (ignored for RPC when `connection` is given)
+ *   now            Audit time in unix seconds, for lock expiries (default:
+ *                  the capture's time, else the current time)
+ *   onProgress     Called with (stage, detail) as the audit advances; the
+ *                  "burn-scan" stage reports { lpMint, phase, ... } per page
+ */
+async function auditToken(mint, options = {}) {
+  if (!mint || !isValidAddress(mint)) {
+    throw auditError(`Invalid mint address: ${mint}`, "INVALID_MINT");
+  }
+
+  const connection = createRpcClient(options.connection || options.rpcUrl || DEFAULT_RPC, {
+    concurrency: options.concurrency,
+    maxRetries: options.maxRetries,
+    fetch: options.capture?.fetch,
+  });
+  const fetcher = options.capture?.fetchJSON;
+  const now = options.now ?? options.capture?.now ?? Date.now() / 1000;
+  const apiUrl = options.xdexApi || XDEX_API;
+  const scanBurns = options.scanBurns !== false;
+  const followFunding = options.traceFunding !== false;
+  const findClusters = options.findClusters !== false;
+  const trackDev = options.trackDev !== false;
+  const findPositions = options.findPositions !== false;
+  const burnScanLimit = options.burnScanLimit || null;
+  const burnScanSince = options.burnScanSince || null;
+  const onProgress = options.onProgress || (() => {});
+  let riskRules;
+  try {
+    riskRules = typeof options.riskRules === "string"
+      ? loadRiskRules(options.riskRules)
+      : options.riskRules || defaultRiskRules();
+  } catch (err) {
+    throw auditError(err.message, "INVALID_RISK_RULES");
+  }
+  const warnings = [];
+  const incomplete = new Set();
+
+  const degrade = (section, message) => {
+    warnings.push(message);
+    incomplete.add(section);
+  };
+
+  // ─── Token authorities ───
+  onProgress("authorities");
+  const token = await checkTokenAuthorities(connection, new PublicKey(mint));
+  if (!token.exists) {
+    throw auditError(`Token mint not found on chain: ${mint}`, "MINT_NOT_FOUND");
+  }
+
+  // ─── Metadata ───
+  onProgress("metadata");
+  token.metadata = null;
+  try {
+    token.metadata = await resolveTokenMetadata(connection, mint, token.extensions);
+  } catch (err) {
+    degrade("metadata", `Metadata lookup failed: ${err.message}`);
+  }
+
+  // ─── XDEX pools ───
+  // From the API when it answers, otherwise decoded from the program's
+  // pool state accounts (no prices, symbols or TVL in that case)
+  onProgress("pools");
+  let poolList = options.poolList;
+  if (!poolList) {
+    try {
+      poolList = await getPoolList(apiUrl, fetcher);
+    } catch (err) {
+      degrade("pools", `XDEX pool list unavailable: ${err.message}`);
+    }
+  }
+
+  let xdexPools = [];
+  const poolStates = new Map();
+  if (poolList) {
+    xdexPools = findPoolsForToken(poolList, mint);
+    try {
+      const addresses = xdexPools.map(p => p.pool_address).filter(Boolean);
+      for (const [address, state] of await loadPoolStates(connection, addresses)) {
+        poolStates.set(address, state);
+      }
+    } catch (err) {
+      warnings.push(`XDEX pool states could not be checked on chain: ${err.message}`);
+    }
+  } else {
+    try {
+      const found = await findPoolsOnChain(connection, mint);
+      found.forEach(p => poolStates.set(p.address, p.state));
+      xdexPools = found.map(p => poolFromChain(p.address, p.state));
+      warnings.push(`${found.length} XDEX pool(s) decoded on chain instead`);
+    } catch (err) {
+      degrade("pools", `On-chain XDEX pool lookup failed: ${err.message}`);
+    }
+  }
+  token.name = token.metadata?.name || null;
+  token.symbol = token.metadata?.symbol || tokenSymbolFromPools(xdexPools, mint);
+
+  const market = summarizeMarket(xdexPools, mint, token.supply);
+
+  // ─── CLMM positions ───
+  // Position-NFT pools have no LP mint: who holds each position NFT
+  // decides whether that liquidity can still be pulled
+  const clmmPools = [];
+  if (findPositions && Object.values(DEX_ADAPTERS).some(a => a.lpTokenType === "position-nft")) {
+    onProgress("clmm");
+    try {
+      const { pools: found } = await discoverPools(connection, mint, { lpTokenType: "position-nft" });
+      for (const pool of found) {
+        const [first, second] = pool.mints.map(address => ({ address, symbol: address === mint ? token.symbol : null }));
+        clmmPools.push({
+          address: pool.address,
+          dex: pool.dex,
+          programId: pool.programId,
+          token1: first,
+          token2: second,
+          reserves: pool.reserves,
+          ...pool.positions,
+        });
+      }
+    } catch (err) {
+      degrade("clmm", `CLMM position lookup failed: ${err.message}`);
+    }
+  }
+
+  // ─── Holders ───
+  onProgress("holders");
+  let holders = { totalHolders: 0, topHolders: [], circulatingSupply: 0, burned: 0, gini: 0, nakamoto: 0, complete: false };
+  const holderOptions = { supply: token.supply, isToken2022: token.isToken2022 };
+  try {
+    holders = await getTokenHolders(connection, mint, { ...holderOptions, top: Infinity });
+  } catch (err) {
+    degrade("holders", `Holder enumeration failed (${err.message}), only the 20 largest accounts are counted`);
+    try {
+      holders = await getLargestHolders(connection, mint, holderOptions);
+    } catch (err) {
+      degrade("holders", `Holder lookup failed: ${err.message}`);
+    }
+  }
+  // Every holder, kept until concentration is measured over wallets only
+  const allHolders = holders.topHolders;
+  holders.topHolders = allHolders.slice(0, TOP_HOLDERS);
+  // Vaults of the pools found above are pools whatever program owns them
+  const poolVaults = new Map();
+  for (const state of poolStates.values()) {
+    (state?.vaults || []).forEach(v => poolVaults.set(v, "XDEX"));
+  }
+  try {
+    holders.topHolders = await classifyHolders(connection, holders.topHolders, { poolVaults });
+  } catch (err) {
+    degrade("holders", `Holder classification failed, concentration counts every holder: ${err.message}`);
+  }
+  // Gini and Nakamoto over what wallets hold, without pools, lockers and programs
+  const nonWallets = holders.topHolders.filter(h => h.type && h.type !== "wallet");
+  if (nonWallets.length > 0) {
+    const excluded = new Set(nonWallets.map(h => h.address));
+    const amounts = allHolders.filter(h => !excluded.has(h.address)).map(h => h.amount);
+    const walletSupply = holders.circulatingSupply - nonWallets.reduce((sum, h) => sum + h.amount, 0);
+    holders.gini = giniCoefficient(amounts);
+    holders.nakamoto = nakamotoCoefficient(amounts, walletSupply);
+  }
+
+  // ─── LP status per pool ───
+  onProgress("lp");
+  const pools = [];
+  const burnEvents = [];
+  const scannedMints = new Set();
+  // Every wallet tied to the team, for holder clusters
+  const team = new Set(teamWallets({ token }).keys());
+
+  for (const pool of xdexPools) {
+    const entry = {
+      address: pool.pool_address || null,
+      dex: pool.dex_name || "XDEX",
+      token1: { address: pool.token1_address, symbol: pool.token1_symbol || (pool.token1_address === mint ? token.symbol : null) },
+      token2: { address: pool.token2_address, symbol: pool.token2_symbol || (pool.token2_address === mint ? token.symbol : null) },
+      tvl: parseFloat(pool.tvl || 0) || 0,
+      source: pool.source || "api",
+      lpMint: pool.pool_info?.lpMint || null,
+      creator: pool.creator || null,
+      lpDecimals: null,
+      lpSupplyOriginal: parsePoolLPSupply(pool),
+      lpSupplyCurrent: 0,
+      lpMintAuthorityRevoked: null,
+      burnAddressAmount: 0,
+      lockedAmount: 0,
+      locks: [],
+      lpTeam: null,
+      initialLP: null,
+      liquidity: null,
+      provenance: null,
+      burnEventCount: 0,
+      burnScan: null,
+      chain: null,
+      discrepancies: [],
+    };
+
+    // ─── Pool state on chain ───
+    // The pool state is authoritative: it fills what the API left out and
+    // every field where the two disagree is reported
+    const state = poolStates.get(entry.address);
+    if (state) {
+      try {
+        entry.chain = await describePoolState(connection, state);
+      } catch (err) {
+        warnings.push(`Reserves of XDEX pool ${entry.address} unavailable: ${err.message}`);
+      }
+      if (entry.source === "api") {
+        entry.discrepancies = comparePoolWithChain(pool, state);
+        for (const d of entry.discrepancies) {
+          warnings.push(`XDEX pool ${entry.address}: API ${d.field} ${d.api} differs from chain ${d.chain}`);
+        }
+      }
+      entry.lpMint = state.lpMint;
+      entry.creator = state.creator;
+    } else if (poolList && entry.address && poolStates.has(entry.address)) {
+      warnings.push(`XDEX pool ${entry.address} has no pool state on chain`);
+    }
+
+    // The pool list may lack the LP mint or the creator; the details have both
+    if ((!entry.lpMint || !entry.creator) && entry.address) {
+      try {
+        const details = await getPoolDetails(entry.address, apiUrl, fetcher);
+        entry.lpMint = entry.lpMint || details?.pool_info?.lpMint || details?.lpMint || null;
+        entry.creator = entry.creator || details?.creator || null;
+      } catch (err) {
+        degrade("pools", `Pool details unavailable for ${entry.address}: ${err.message}`);
+      }
+    }
+
+    if (entry.lpMint) {
+      let status = null;
+      try {
+        status = await checkLPBurnStatus(connection, entry.lpMint);
+        if (status.exists) {
+          entry.lpDecimals = status.decimals;
+          entry.lpSupplyOriginal = state
+            ? Number(state.lpSupplyRaw) / Math.pow(10, status.decimals)
+            : parsePoolLPSupply(pool, status.decimals);
+        }
+        entry.lpSupplyCurrent = status.supply;
+        entry.lpMintAuthorityRevoked = status.mintAuthorityRevoked;
+        entry.burnAddressAmount = status.burnedAmount;
+        entry.lockedAmount = status.lockedAmount;
+        entry.locks = status.locks.map(lock => ({ ...lock, lpMint: entry.lpMint }));
+      } catch (err) {
+        degrade("lp-status", `LP status unavailable for ${entry.lpMint}: ${err.message}`);
+      }
+
+      let lpEvents = [];
+      if (scanBurns && !scannedMints.has(entry.lpMint)) {
+        scannedMints.add(entry.lpMint);
+        try {
+          const scan = await scanLPEvents(connection, entry.lpMint, {
+            maxSignatures: burnScanLimit,
+            since: burnScanSince,
+            cache: options.cache,
+            decimals: entry.lpDecimals ?? 9,
+            onProgress: detail => onProgress("burn-scan", { lpMint: entry.lpMint, ...detail }),
+          });
+          lpEvents = scan.events;
+          const burns = scan.events.filter(e => BURN_EVENT_TYPES.includes(e.type));
+          entry.burnEventCount = burns.length;
+          entry.burnScan = { signatures: scan.scanned, complete: scan.complete, bound: scan.bound, cached: scan.cached };
+          if (!scan.complete) {
+            warnings.push(`Burn history of LP mint ${entry.lpMint} limited by ${scan.bound} (${scan.scanned} signatures scanned)`);
+          }
+          burnEvents.push(...burns);
+          if (scan.failed > 0) {
+            degrade("burn-scan", `Burn scan for LP mint ${entry.lpMint}: ${scan.failed} of ${scan.scanned} transactions could not be fetched`);
+          }
+        } catch (err) {
+          degrade("burn-scan", `Burn scan failed for LP mint ${entry.lpMint}: ${err.message}`);
+        }
+      }
+
+      // ─── LP held by the team ───
+      // The first mintTo is only known when the scan reached the LP mint's creation
+      const initialMint = entry.burnScan?.complete ? findInitialMint(lpEvents, entry.lpMint) : null;
+      if (initialMint) {
+        entry.initialLP = {
+          signature: initialMint.signature,
+          date: initialMint.date,
+          amount: initialMint.amount,
+          funder: initialMint.signer,
+          recipient: initialMint.destinationOwner,
+        };
+      }
+      const wallets = teamWallets({ token, poolCreator: entry.creator, initialMint });
+      for (const address of wallets.keys()) team.add(address);
+      if (status) {
+        entry.lpTeam = teamLPExposure(status, wallets);
+      }
+
+      // ─── Liquidity adds and removals ───
+      const symbols = { [entry.token1.address]: entry.token1.symbol, [entry.token2.address]: entry.token2.symbol };
+      if (entry.burnScan) {
+        entry.liquidity = liquidityTimeline(lpEvents, entry.lpMint, entry.lpSupplyCurrent, wallets);
+        for (const e of entry.liquidity.events) {
+          e.tokens = e.tokens.map(t => ({ ...t, symbol: symbols[t.mint] || null }));
+        }
+      }
+
+      // ─── Initial liquidity provenance ───
+      if (initialMint) {
+        entry.provenance = initialLiquidityProvenance(lpEvents, entry.lpMint, { mint, creator: entry.creator, symbols });
+        if (followFunding) {
+          try {
+            entry.provenance.funding = await traceFunding(connection, entry.provenance.provider);
+          } catch (err) {
+            degrade("provenance", `Funding trace of ${entry.provenance.provider} failed: ${err.message}`);
+          }
+        }
+      }
+    }
+
+    pools.push(entry);
+  }
+
+  // ─── LP Safety ───
+  // Per pool first, then weighted by TVL (see combineLPSafety)
+  for (const pool of pools) {
+    pool.weight = 0;
+    pool.lpSafety = pool.lpMint
+      ? computeLPSafety({
+        originalLP: pool.lpSupplyOriginal,
+        currentLP: pool.lpSupplyCurrent,
+        burnCheckedTotal: burnEvents.filter(e => e.mint === pool.lpMint).reduce((sum, e) => sum + e.amount, 0),
+        burnAddressTotal: pool.burnAddressAmount,
+        removedTotal: pool.liquidity?.removedLP || 0,
+        locks: pool.locks,
+      })
+      : null;
+  }
+  const safety = combineLPSafety(pools);
+  const liquidityEvents = pools
+    .flatMap(p => (p.liquidity?.events || []).map(e => ({ ...e, pool: p.address, lpMint: p.lpMint })))
+    .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+
+  // ─── Price sanity ───
+  // The deepest pool's reserves set the price, not the first API quote
+  const prices = checkPoolPrices(pools, xdexPools, mint);
+  prices.flags.forEach(f => warnings.push(f.message));
+  market.price = prices.price;
+  market.marketCap = prices.price * (token.supply || 0);
+  market.priceSource = prices.source;
+  market.referencePool = prices.referencePool;
+  market.prices = prices.pools;
+
+  // ─── Dev activity ───
+  let devActivity = null;
+  if (trackDev) {
+    onProgress("dev-activity");
+    try {
+      devActivity = await trackDevActivity(connection, mint, {
+        token,
+        lpMints: [...new Set(pools.map(p => p.lpMint).filter(Boolean))],
+      });
+      if (devActivity.deployer.deployer) team.add(devActivity.deployer.deployer);
+      if (devActivity.failed > 0) {
+        degrade("dev-activity", `Dev activity: ${devActivity.failed} transactions could not be fetched`);
+      }
+    } catch (err) {
+      degrade("dev-activity", `Dev activity lookup failed: ${err.message}`);
+    }
+  }
+
+  // ─── Holder clusters ───
+  holders.clustering = null;
+  if (findClusters && holders.topHolders.length > 0) {
+    onProgress("clusters");
+    try {
+      holders.clustering = await findHolderClusters(connection, holders.topHolders, { mint, deployers: [...team] });
+    } catch (err) {
+      degrade("holders", `Holder cluster analysis failed: ${err.message}`);
+    }
+  }
+
+  // ─── Sell simulation ───
+  let sellSimulation = null;
+  if (options.simulateSell) {
+    try {
+      const size = resolveSellAmount(options.simulateSell, {
+        supply: token.supply,
+        holders: sellableHolders(holders.topHolders),
+      });
+      sellSimulation = { ...size, ...simulateSell(size.amount, prices.pools, pools) };
+    } catch (err) {
+      warnings.push(`Sell simulation skipped: ${err.message}`);
+    }
+  }
+
+  // ─── Risk ───
+  onProgress("risk");
+  const risk = calculateRiskScore({
+    token,
+    lpSafety: safety.pct,
+    lpLocks: safety.locks,
+    lpTeam: safety.team,
+    liquidityEvents,
+    holders,
+    devActivity,
+    poolCount: pools.length,
+    now,
+  }, riskRules);
+
+  return {
+    mint,
+    timestamp: new Date(now * 1000).toISOString(),
+    rpcUrl: connection.rpcEndpoint,
+    token,
+    market,
+    holders,
+    pools,
+    clmmPools,
+    lp: { ...safety, burnEvents, liquidityEvents },
+    risk,
+    riskRules,
+    devActivity,
+    sellSimulation,
+    warnings,
+    incomplete: [...incomplete],
+  };
+}
+
+module.exports = {
+  auditToken,
+};
@@ -0,0 +1,76 @@
+/**
+ * lib/cache.js
+ * ===========================================
+ * Local store of parsed LP mint events
+ * ===========================================
+ *
+ * One JSON file per LP mint:
+ *   { version, mint, highWaterMark: { signature, blockTime },
+ *     signatureCount, events: [...], updatedAt }
+ *
+ * `highWaterMark` is the newest signature already parsed; the next scan
+ * only fetches signatures after it. Entries are only written for scans
+ * that covered the whole history with no failed transactions, so a
+ * cached entry never has gaps.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Bump when the event parser changes so stale entries are rebuilt
+const CACHE_VERSION = 3;
+
+const DEFAULT_CACHE_DIR = process.env.X1_AUDIT_CACHE_DIR || path.join(os.homedir(), ".x1-token-audit", "cache");
+
+/**
+ * Open (and create if needed) an event cache directory.
+ * Returns { dir, load(mint), save(mint, entry), clear(mint) }.
+ */
+function createEventCache(dir = DEFAULT_CACHE_DIR) {
+  const fileFor = mint => path.join(dir, `lp-events-${mint}.json`);
+
+  function load(mint) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(fileFor(mint), "utf8"));
+      if (entry.version !== CACHE_VERSION || entry.mint !== mint || !entry.highWaterMark) return null;
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  function save(mint, { highWaterMark, signatureCount, events }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fileFor(mint);
+    const tmp = `${file}.${process.pid}.tmp`;
+    const entry = {
+      version: CACHE_VERSION,
+      mint,
+      highWaterMark,
+      signatureCount,
+      events,
+      updatedAt: new Date().toISOString(),
+    };
+    // Readers see the old entry or the new one, never half a file
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      throw err;
+    }
+    return entry;
+  }
+
+  function clear(mint) {
+    fs.rmSync(fileFor(mint), { force: true });
+  }
+
+  return { dir, load, save, clear };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  createEventCache,
+};
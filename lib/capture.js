@@ -0,0 +1,202 @@
+/**
+ * lib/capture.js
+ * ===========================================
+ * Record and replay every RPC and XDEX response of an audit
+ * ===========================================
+ *
+ * A recorder sits between the audit and the network and keeps each
+ * response it passes through; a replayer answers the same requests from
+ * that capture without touching the network, so an audit can be rerun
+ * exactly as it was seen, after chain state has moved on.
+ *
+ * Both expose { fetch, fetchJSON }: `fetch` goes into the web3.js
+ * Connection (see createRpcClient), `fetchJSON` replaces the XDEX
+ * client's (see lib/xdex.js). auditToken() wires both via `capture`.
+ *
+ * Capture file (<dir>/capture.json):
+ *   { version, recordedAt, auditedAt, mint, rpcUrl, xdexApi, ...meta,
+ *     rpc:  [{ method, params, responses: [{ status, statusText, body }] }],
+ *     xdex: [{ url, responses: [{ body } | { error }] }] }
+ *
+ * RPC requests are keyed by method and params (the JSON-RPC id is
+ * dropped). Repeated identical requests are answered in recorded order,
+ * the last response repeating once the list runs out. 429 responses are
+ * not recorded: they are retried, and replaying them only adds delays.
+ *
+ * Both also expose `now`, the audit's time in unix seconds: when the
+ * recorder was created (saved as `auditedAt`), and on replay that
+ * recorded time, so lock expiries are judged as they were at the audit.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fetchJSON } = require("./xdex");
+
+const CAPTURE_VERSION = 1;
+const CAPTURE_FILE = "capture.json";
+
+function rpcKey(method, params) {
+  return JSON.stringify([method, params || []]);
+}
+
+/** Split a JSON-RPC request body into its key, keeping batch order */
+function parseRpcRequest(body) {
+  const request = JSON.parse(body);
+  const calls = Array.isArray(request) ? request : [request];
+  return {
+    batch: Array.isArray(request),
+    ids: calls.map(c => c.id),
+    method: calls.map(c => c.method).join(","),
+    params: Array.isArray(request) ? calls.map(c => [c.method, c.params || []]) : request.params || [],
+  };
+}
+
+function withoutIds(body) {
+  if (Array.isArray(body)) return body.map(withoutIds);
+  if (body && typeof body === "object" && "jsonrpc" in body) {
+    const { id, ...rest } = body;
+    return rest;
+  }
+  return body;
+}
+
+function withIds(body, ids, batch) {
+  if (!body || typeof body !== "object") return body;
+  if (batch) return body.map((r, i) => ({ ...r, id: ids[i] }));
+  return { ...body, id: ids[0] };
+}
+
+/** Append-only map of key -> { ...fields, responses: [] } */
+function responseLog() {
+  const entries = new Map();
+  return {
+    push(key, fields, response) {
+      if (!entries.has(key)) entries.set(key, { ...fields, responses: [] });
+      entries.get(key).responses.push(response);
+    },
+    toJSON: () => [...entries.values()],
+  };
+}
+
+/**
+ * Record the responses of an audit. Call save() once the audit is done;
+ * it writes <dir>/capture.json and returns its path.
+ */
+function createRecorder(dir) {
+  const now = Date.now() / 1000;
+  const rpc = responseLog();
+  const xdex = responseLog();
+
+  async function recordingFetch(url, init) {
+    const res = await fetch(url, init);
+    const text = await res.text();
+    if (res.status !== 429) {
+      const { method, params } = parseRpcRequest(init.body);
+      let body = text;
+      try {
+        body = withoutIds(JSON.parse(text));
+      } catch {
+        // Not JSON (e.g. an HTML error page); keep the raw text
+      }
+      rpc.push(rpcKey(method, params), { method, params }, { status: res.status, statusText: res.statusText, body });
+    }
+    return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+
+  async function recordingFetchJSON(url) {
+    try {
+      const body = await fetchJSON(url);
+      xdex.push(url, { url }, { body });
+      return body;
+    } catch (err) {
+      xdex.push(url, { url }, { error: err.message });
+      throw err;
+    }
+  }
+
+  function save(meta = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, CAPTURE_FILE);
+    const capture = {
+      version: CAPTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      auditedAt: now,
+      ...meta,
+      rpc: rpc.toJSON(),
+      xdex: xdex.toJSON(),
+    };
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(capture, null, 2));
+    fs.renameSync(tmp, file);
+    return file;
+  }
+
+  return { dir, now, fetch: recordingFetch, fetchJSON: recordingFetchJSON, save };
+}
+
+/** Hand out recorded responses in order, repeating the last one */
+function responseQueue(entries, keyOf) {
+  const queues = new Map();
+  for (const entry of entries || []) {
+    queues.set(keyOf(entry), { responses: entry.responses, next: 0 });
+  }
+  return key => {
+    const queue = queues.get(key);
+    if (!queue || queue.responses.length === 0) return null;
+    const response = queue.responses[Math.min(queue.next, queue.responses.length - 1)];
+    queue.next++;
+    return response;
+  };
+}
+
+/**
+ * Answer an audit's requests from <dir>/capture.json. `meta` holds the
+ * capture's top-level fields (mint, rpcUrl, xdexApi, ...). Requests that
+ * were not recorded fail with an error naming the request.
+ * Throws when the capture is missing or from an unknown version.
+ */
+function createReplayer(dir) {
+  const file = path.join(dir, CAPTURE_FILE);
+  let capture;
+  try {
+    capture = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read capture ${file}: ${err.message}`);
+  }
+  if (capture.version !== CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version ${capture.version} in ${file} (expected ${CAPTURE_VERSION})`);
+  }
+
+  const { rpc, xdex, ...meta } = capture;
+  // Captures without auditedAt were saved right after their audit
+  const now = meta.auditedAt ?? Date.parse(meta.recordedAt) / 1000;
+  const nextRpc = responseQueue(rpc, e => rpcKey(e.method, e.params));
+  const nextXdex = responseQueue(xdex, e => e.url);
+
+  async function replayFetch(url, init) {
+    const { batch, ids, method, params } = parseRpcRequest(init.body);
+    const response = nextRpc(rpcKey(method, params));
+    if (!response) {
+      throw new Error(`Not in capture: RPC ${method} ${JSON.stringify(params)}`);
+    }
+    const body = typeof response.body === "string"
+      ? response.body
+      : JSON.stringify(withIds(response.body, ids, batch));
+    return new Response(body, { status: response.status, statusText: response.statusText });
+  }
+
+  async function replayFetchJSON(url) {
+    const response = nextXdex(url);
+    if (!response) throw new Error(`Not in capture: ${url}`);
+    if (response.error) throw new Error(response.error);
+    return response.body;
+  }
+
+  return { dir, meta, now, fetch: replayFetch, fetchJSON: replayFetchJSON };
+}
+
+module.exports = {
+  CAPTURE_FILE,
+  createRecorder,
+  createReplayer,
+};
@@ -0,0 +1,186 @@
+/**
+ * lib/clmm.js
+ * ===========================================
+ * Concentrated-liquidity pools with position NFTs
+ * ===========================================
+ *
+ * CLMM pools have no fungible LP mint. Each position is an account of
+ * the pool program with a liquidity amount and a tick range, owned by
+ * whoever holds its one-off position NFT. LP Safety therefore comes from
+ * the positions: liquidity whose NFT was burned can never be withdrawn,
+ * liquidity whose NFT sits in a burn address or a locker escrow is
+ * burned or locked, the rest can be pulled by the holder.
+ *
+ * Shares are of the pool's *active* liquidity, the positions whose range
+ * contains the current tick; out-of-range positions hold no active
+ * liquidity but are still listed.
+ *
+ * createWhirlpoolAdapter() builds a DEX adapter (see lib/dex.js) for
+ * any deployment of the Whirlpool program layout. No CLMM is registered
+ * by default: set X1_WHIRLPOOL_PROGRAM_ID or call registerDexAdapter()
+ * once a deployment on X1 is confirmed.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { BURN_ADDRESSES } = require("./constants");
+const { parseMintData } = require("./token");
+const { decodeLock } = require("./lockers");
+
+const WHIRLPOOL_SIZE = 653;
+const POSITION_SIZE = 216;
+
+function readPubkey(data, offset) {
+  return new PublicKey(data.slice(offset, offset + 32)).toBase58();
+}
+
+function readU128(data, offset) {
+  return data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+}
+
+/**
+ * Whirlpool account:
+ *   8 config | 41 tick_spacing (u16) | 45 fee_rate (u16, per million)
+ *   49 liquidity (u128) | 65 sqrt_price (u128) | 81 tick_current_index (i32)
+ *   101 token_mint_a | 133 token_vault_a | 181 token_mint_b | 213 token_vault_b
+ * Returns null for other accounts.
+ */
+function decodeWhirlpool(data) {
+  if (!data || data.length !== WHIRLPOOL_SIZE) return null;
+  return {
+    tickSpacing: data.readUInt16LE(41),
+    feeRate: data.readUInt16LE(45) / 1000000,
+    liquidity: readU128(data, 49),
+    tickCurrent: data.readInt32LE(81),
+    mints: [readPubkey(data, 101), readPubkey(data, 181)],
+    vaults: [readPubkey(data, 133), readPubkey(data, 213)],
+  };
+}
+
+/**
+ * Whirlpool position:
+ *   8 whirlpool | 40 position_mint | 72 liquidity (u128)
+ *   88 tick_lower_index | 92 tick_upper_index (i32)
+ */
+function decodeWhirlpoolPosition(data) {
+  if (!data || data.length !== POSITION_SIZE) return null;
+  return {
+    pool: readPubkey(data, 8),
+    positionMint: readPubkey(data, 40),
+    liquidity: readU128(data, 72),
+    tickLower: data.readInt32LE(88),
+    tickUpper: data.readInt32LE(92),
+  };
+}
+
+/**
+ * DEX adapter for a Whirlpool-layout program. Vaults are owned by the
+ * pool account itself, so the vault owners found by discoverPools() are
+ * the pools.
+ */
+function createWhirlpoolAdapter({ name = "Whirlpool", programId }) {
+  const program = new PublicKey(programId);
+
+  return {
+    name,
+    programId: program.toBase58(),
+    lpTokenType: "position-nft",
+    vaultAuthorities: [],
+    findPools: async (connection, mint, vaults) => {
+      const owners = [...new Set(vaults.map(v => v.owner))];
+      const infos = await connection.getMultipleAccountsInfo(owners.map(o => new PublicKey(o)));
+      return owners
+        .map((address, i) => ({ address, state: infos[i] ? decodeWhirlpool(Buffer.from(infos[i].data)) : null }))
+        .filter(p => p.state && p.state.mints.includes(mint))
+        .map(p => ({ address: p.address, lpMint: null, mints: p.state.mints, vaults: p.state.vaults, state: p.state }));
+    },
+    getReserves: async (connection, pool) => {
+      const vaults = await connection.getMultipleParsedAccounts(pool.vaults.map(v => new PublicKey(v)));
+      return pool.mints.map((mint, i) => {
+        const amount = vaults[i]?.data?.parsed?.info?.tokenAmount;
+        return { mint, vault: pool.vaults[i], reserve: amount ? parseFloat(amount.uiAmountString || "0") : null };
+      });
+    },
+    getPositions: async (connection, pool) => {
+      const accounts = await connection.getProgramAccounts(program, {
+        filters: [{ dataSize: POSITION_SIZE }, { memcmp: { offset: 8, bytes: pool.address } }],
+      });
+      return accounts
+        .map(({ pubkey, account }) => ({ address: pubkey.toBase58(), ...decodeWhirlpoolPosition(Buffer.from(account.data)) }))
+        .filter(p => p.positionMint);
+    },
+  };
+}
+
+/**
+ * Who controls each position of a CLMM pool. `positions` come from the
+ * adapter's getPositions(), `tickCurrent` from the pool state.
+ *
+ * Each position gets `holder` (wallet holding the NFT, null when burned),
+ * `status` (burned | burn-address | locked | held), `lock` for locked
+ * NFTs, `inRange` and `activePct` (share of the active liquidity).
+ * Returns { positions, activeLiquidity, burnedPct, lockedPct, heldPct },
+ * percentages of active liquidity; `activeLiquidity` is a decimal string.
+ */
+async function analyzePositions(connection, positions, tickCurrent) {
+  const mints = positions.map(p => new PublicKey(p.positionMint));
+  const mintInfos = mints.length > 0 ? await connection.getMultipleAccountsInfo(mints) : [];
+
+  // Holder of each NFT that still exists: largest account -> its owner
+  const nftAccounts = await Promise.all(positions.map(async (p, i) => {
+    const mint = mintInfos[i] ? parseMintData(mintInfos[i].data) : null;
+    if (!mint || mint.supplyRaw === "0") return null;
+    const largest = await connection.getTokenLargestAccounts(mints[i]);
+    return (largest.value || []).find(a => a.amount !== "0")?.address || null;
+  }));
+  const held = nftAccounts.filter(Boolean);
+  const parsed = held.length > 0 ? await connection.getMultipleParsedAccounts(held) : [];
+  const holderOf = new Map(held.map((account, i) => [account.toBase58(), parsed[i]?.data?.parsed?.info?.owner || null]));
+
+  const holders = [...new Set([...holderOf.values()].filter(Boolean))];
+  const holderInfos = holders.length > 0 ? await connection.getMultipleAccountsInfo(holders.map(h => new PublicKey(h))) : [];
+  const holderAccount = new Map(holders.map((h, i) => [h, holderInfos[i]]));
+
+  const active = positions
+    .filter(p => p.tickLower <= tickCurrent && tickCurrent < p.tickUpper)
+    .reduce((sum, p) => sum + p.liquidity, 0n);
+  const share = liquidity => (active > 0n ? Number((liquidity * 1000000n) / active) / 10000 : 0);
+
+  const result = positions.map((p, i) => {
+    const holder = nftAccounts[i] ? holderOf.get(nftAccounts[i].toBase58()) : null;
+    const lock = holder ? decodeLock(holder, holderAccount.get(holder), p.positionMint) : null;
+    let status = "held";
+    if (!nftAccounts[i]) status = "burned";
+    else if (BURN_ADDRESSES.includes(holder)) status = "burn-address";
+    else if (lock) status = "locked";
+
+    const inRange = p.tickLower <= tickCurrent && tickCurrent < p.tickUpper;
+    return {
+      address: p.address,
+      positionMint: p.positionMint,
+      holder,
+      status,
+      lock,
+      liquidity: p.liquidity.toString(),
+      tickLower: p.tickLower,
+      tickUpper: p.tickUpper,
+      inRange,
+      activePct: inRange ? share(p.liquidity) : 0,
+    };
+  });
+
+  const pctOf = statuses => result.filter(p => statuses.includes(p.status)).reduce((sum, p) => sum + p.activePct, 0);
+  return {
+    positions: result,
+    activeLiquidity: active.toString(),
+    burnedPct: pctOf(["burned", "burn-address"]),
+    lockedPct: pctOf(["locked"]),
+    heldPct: pctOf(["held"]),
+  };
+}
+
+module.exports = {
+  decodeWhirlpool,
+  decodeWhirlpoolPosition,
+  createWhirlpoolAdapter,
+  analyzePositions,
+};
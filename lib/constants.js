@@ -0,0 +1,47 @@
+/**
+ * lib/constants.js
+ * ===========================================
+ * Shared endpoints, program IDs and known addresses
+ * ===========================================
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+
+const DEFAULT_RPC = process.env.X1_RPC_URL || "https://rpc.mainnet.x1.xyz";
+const XDEX_API = process.env.XDEX_API_URL || "https://api.xdex.xyz/api";
+const EXPLORER_URL = "https://explorer.mainnet.x1.xyz";
+
+// RPC client limits (see lib/rpc.js)
+const RPC_CONCURRENCY = parseInt(process.env.X1_RPC_CONCURRENCY || "4", 10) || 4;
+const RPC_MAX_RETRIES = parseInt(process.env.X1_RPC_MAX_RETRIES || "4", 10) || 0;
+
+// Known burn / dead addresses
+const BURN_ADDRESSES = [
+  "1nc1nerator11111111111111111111111111111111",
+  "11111111111111111111111111111111",
+  "1111111111111111111111111111111111111111111",
+];
+
+// Token Programs
+const TOKEN_PROGRAM_ID = new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA");
+const TOKEN_2022_PROGRAM_ID = new PublicKey("TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb");
+
+// XDEX AMM (a Raydium CP-Swap fork); X1_XDEX_PROGRAM_ID points the
+// on-chain pool decoding at another deployment
+const XDEX_PROGRAM_ID = new PublicKey(process.env.X1_XDEX_PROGRAM_ID || "sEsYH97wqmfnkzHedjNcw3zyJdPvUmsa9AixhS4b4fN");
+
+// Metaplex Token Metadata
+const METADATA_PROGRAM_ID = new PublicKey("metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s");
+
+module.exports = {
+  DEFAULT_RPC,
+  XDEX_API,
+  EXPLORER_URL,
+  RPC_CONCURRENCY,
+  RPC_MAX_RETRIES,
+  BURN_ADDRESSES,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  XDEX_PROGRAM_ID,
+  METADATA_PROGRAM_ID,
+};
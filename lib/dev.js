@@ -0,0 +1,239 @@
+/**
+ * lib/dev.js
+ * ===========================================
+ * What the dev wallets did with the token lately
+ * ===========================================
+ *
+ * The dev wallets are the deployer (fee payer of the transaction that
+ * initialized the mint) and the current mint and freeze authorities.
+ * trackDevActivity() reads each one's most recent transactions and
+ * reports, for the audited mint:
+ *   sell              tokens paid into the vault of a registered DEX
+ *   transfer          tokens sent to another wallet; `fresh` when that
+ *                     wallet has next to no history (a likely dev alt)
+ *   lp-removal        liquidity withdrawn from one of `lpMints`
+ *   authority-change  setAuthority on the mint
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { checkTokenAuthorities } = require("./token");
+const { allInstructions, feePayer, lpEventsFromTransaction } = require("./lp");
+const { DEX_ADAPTERS, ownerPrograms } = require("./dex");
+const { fetchSignatureHistory } = require("./history");
+
+// Recent transactions read per dev wallet
+const DEV_RECENT_TXS = 50;
+// A mint with a longer history than this is not searched for its deployer
+const DEPLOYER_MAX_SIGNATURES = 5000;
+// A recipient with at most this many transactions is a fresh wallet
+const FRESH_WALLET_TXS = 5;
+
+/**
+ * Fee payer of the transaction that initialized `mint`, from the oldest
+ * transaction of the mint. Returns { deployer, signature, date } or,
+ * when it cannot be found, { deployer: null, reason }.
+ */
+async function findDeployer(connection, mint) {
+  const history = await fetchSignatureHistory(connection, mint, { maxSignatures: DEPLOYER_MAX_SIGNATURES });
+  if (!history.complete) {
+    return { deployer: null, reason: `more than ${DEPLOYER_MAX_SIGNATURES} transactions` };
+  }
+  const first = history.signatures[history.signatures.length - 1];
+  if (!first) return { deployer: null, reason: "no transactions" };
+
+  const tx = await connection.getParsedTransaction(first.signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0,
+  });
+  const initialized = tx?.transaction?.message?.instructions && allInstructions(tx).some(ix =>
+    (ix.parsed?.type === "initializeMint" || ix.parsed?.type === "initializeMint2") && ix.parsed.info?.mint === mint);
+  if (!initialized) return { deployer: null, reason: "its first transaction does not initialize it" };
+
+  return {
+    deployer: feePayer(tx),
+    signature: first.signature,
+    date: first.blockTime ? new Date(first.blockTime * 1000).toISOString() : null,
+  };
+}
+
+/** Token balance changes in a transaction, as [{ owner, mint, amount }] */
+function balanceChanges(tx) {
+  const changes = new Map();
+  const add = (b, sign) => {
+    if (!b.owner) return;
+    const key = `${b.owner} ${b.mint}`;
+    const entry = changes.get(key) || { owner: b.owner, mint: b.mint, amount: 0 };
+    entry.amount += sign * parseFloat(b.uiTokenAmount?.uiAmountString || "0");
+    changes.set(key, entry);
+  };
+  (tx.meta?.preTokenBalances || []).forEach(b => add(b, -1));
+  (tx.meta?.postTokenBalances || []).forEach(b => add(b, 1));
+  return [...changes.values()];
+}
+
+/**
+ * Dev events of `wallet` in one parsed transaction. Outgoing tokens are
+ * returned as "outflow" events ({ to: [{ owner, amount }] }) until
+ * trackDevActivity() knows which recipients are pools.
+ */
+function devEventsFromTransaction(tx, sigInfo, wallet, { mint, lpMints = [] }) {
+  const events = [];
+  if (!tx?.transaction?.message?.instructions) return events;
+
+  const base = {
+    signature: sigInfo.signature,
+    date: sigInfo.blockTime ? new Date(sigInfo.blockTime * 1000).toISOString() : null,
+    blockTime: sigInfo.blockTime || null,
+    wallet,
+  };
+  const changes = balanceChanges(tx);
+  const sent = -changes
+    .filter(c => c.owner === wallet && c.mint === mint)
+    .reduce((sum, c) => sum + c.amount, 0);
+  if (sent > 0) {
+    const to = changes
+      .filter(c => c.mint === mint && c.owner !== wallet && c.amount > 0)
+      .map(c => ({
+        owner: c.owner,
+        amount: c.amount,
+        // What the recipient paid out in other tokens: the proceeds of a sell
+        paid: changes
+          .filter(p => p.owner === c.owner && p.mint !== mint && p.amount < 0)
+          .map(p => ({ mint: p.mint, amount: -p.amount })),
+      }));
+    if (to.length > 0) events.push({ ...base, type: "outflow", amount: sent, to });
+  }
+
+  for (const lpMint of lpMints) {
+    for (const e of lpEventsFromTransaction(tx, sigInfo, lpMint)) {
+      if (e.type !== "removeLiquidity" || e.provider !== wallet) continue;
+      events.push({ ...base, type: "lp-removal", lpMint, lpAmount: e.amount, tokens: e.tokens });
+    }
+  }
+
+  for (const ix of allInstructions(tx)) {
+    const info = ix.parsed?.info || {};
+    if (ix.parsed?.type !== "setAuthority" || info.mint !== mint) continue;
+    if ((info.authority || info.multisigAuthority) !== wallet) continue;
+    events.push({ ...base, type: "authority-change", authorityType: info.authorityType, newAuthority: info.newAuthority || null });
+  }
+
+  return events;
+}
+
+/** Whether `wallet` has at most FRESH_WALLET_TXS transactions */
+async function isFreshWallet(connection, wallet) {
+  const history = await fetchSignatureHistory(connection, wallet, { maxSignatures: FRESH_WALLET_TXS + 1 });
+  return history.complete && history.signatures.length <= FRESH_WALLET_TXS;
+}
+
+/**
+ * Recent activity of the dev wallets of `mint`, read from the newest
+ * `limit` transactions of each.
+ *   token    checkTokenAuthorities() result (fetched when missing)
+ *   lpMints  LP mints of the token's pools, for LP removals
+ *
+ * Returns { deployer, wallets, events, summary, failed }:
+ *   deployer  findDeployer() result
+ *   wallets   [{ address, roles, scanned, complete }]: `complete` is true
+ *             when the wallet's whole history was read
+ *   events    newest first, { signature, date, blockTime, wallet, type, ... }:
+ *               sell              amount, pct, pool (vault owner), dex, received
+ *               transfer          amount, pct, to, fresh
+ *               lp-removal        lpMint, lpAmount, tokens
+ *               authority-change  authorityType, newAuthority (null: revoked)
+ *   summary   { sells, soldAmount, soldPct, transfers, freshTransfers,
+ *             freshAmount, freshPct, lpRemovals, authorityChanges }
+ *   failed    transactions that could not be fetched
+ * `pct` is a share of the total supply.
+ */
+async function trackDevActivity(connection, mint, { token, lpMints = [], limit = DEV_RECENT_TXS } = {}) {
+  if (!token) token = await checkTokenAuthorities(connection, new PublicKey(mint));
+  const deployer = await findDeployer(connection, mint);
+
+  const roles = new Map();
+  const add = (address, role) => {
+    if (!address) return;
+    if (!roles.has(address)) roles.set(address, []);
+    roles.get(address).push(role);
+  };
+  add(deployer.deployer, "deployer");
+  add(token.mintAuthority, "mint-authority");
+  add(token.freezeAuthority, "freeze-authority");
+
+  // One fetch per transaction, even when several dev wallets signed it
+  const wallets = [];
+  const signatures = new Map();
+  for (const [address, walletRoles] of roles) {
+    const history = await fetchSignatureHistory(connection, address, { maxSignatures: limit });
+    wallets.push({ address, roles: walletRoles, scanned: history.signatures.length, complete: history.complete });
+    history.signatures.forEach(sig => signatures.set(sig.signature, sig));
+  }
+
+  let failed = 0;
+  const found = [];
+  await Promise.all([...signatures.values()].map(async sigInfo => {
+    let tx;
+    try {
+      tx = await connection.getParsedTransaction(sigInfo.signature, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+    } catch {
+      failed++;
+      return;
+    }
+    for (const address of roles.keys()) {
+      found.push(...devEventsFromTransaction(tx, sigInfo, address, { mint, lpMints }));
+    }
+  }));
+
+  // Outflows into a DEX vault are sells; the rest are transfers
+  const recipients = [...new Set(found.filter(e => e.type === "outflow").flatMap(e => e.to.map(t => t.owner)))];
+  const programs = await ownerPrograms(connection, recipients);
+  const fresh = new Map();
+  for (const owner of recipients) {
+    if (!programs.get(owner) && !roles.has(owner)) fresh.set(owner, await isFreshWallet(connection, owner));
+  }
+
+  const pct = amount => (token.supply > 0 ? (amount / token.supply) * 100 : 0);
+  const events = found.flatMap(e => {
+    if (e.type !== "outflow") return [e];
+    const { to, amount, ...base } = e;
+    return to.map(t => {
+      const adapter = DEX_ADAPTERS[programs.get(t.owner)];
+      return adapter
+        ? { ...base, type: "sell", amount: t.amount, pct: pct(t.amount), pool: t.owner, dex: adapter.name, received: t.paid }
+        : { ...base, type: "transfer", amount: t.amount, pct: pct(t.amount), to: t.owner, fresh: fresh.get(t.owner) || false };
+    });
+  }).sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0));
+
+  const sells = events.filter(e => e.type === "sell");
+  const transfers = events.filter(e => e.type === "transfer");
+  const freshTransfers = transfers.filter(e => e.fresh);
+  const soldAmount = sells.reduce((sum, e) => sum + e.amount, 0);
+  const freshAmount = freshTransfers.reduce((sum, e) => sum + e.amount, 0);
+
+  return {
+    deployer,
+    wallets,
+    events,
+    summary: {
+      sells: sells.length,
+      soldAmount,
+      soldPct: pct(soldAmount),
+      transfers: transfers.length,
+      freshTransfers: freshTransfers.length,
+      freshAmount,
+      freshPct: pct(freshAmount),
+      lpRemovals: events.filter(e => e.type === "lp-removal").length,
+      authorityChanges: events.filter(e => e.type === "authority-change").length,
+    },
+    failed,
+  };
+}
+
+module.exports = {
+  findDeployer,
+  trackDevActivity,
+};
@@ -0,0 +1,171 @@
+/**
+ * lib/dex.js
+ * ===========================================
+ * Registry of DEX adapters for on-chain pool discovery
+ * ===========================================
+ *
+ * Pools are found from their vaults: the token accounts of the mint
+ * whose owner belongs to a DEX program. discoverPools() lists those
+ * token accounts once, works out which program owns each one, and
+ * hands every program's vaults to that program's adapter.
+ *
+ * An adapter is { name, programId, lpTokenType, vaultAuthorities,
+ * findPools, getReserves }:
+ *   vaultAuthorities   addresses that sign for the program's vaults but
+ *                      hold no account of their own (PDAs)
+ *   findPools(connection, mint, vaults)
+ *                      -> [{ address, lpMint, mints, vaults, state }]
+ *   getReserves(connection, pool)
+ *                      -> [{ mint, vault, reserve }]
+ *   getPositions(connection, pool)
+ *                      position-nft adapters only; positions for
+ *                      analyzePositions() in lib/clmm.js
+ * The LP mint is resolved by findPools from the pool's own state;
+ * position-NFT pools have none.
+ *
+ * To support another DEX, register an adapter for its program ID on X1
+ * with registerDexAdapter(); check the program is deployed at that
+ * address on X1 first.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { TOKEN_2022_PROGRAM_ID, XDEX_PROGRAM_ID } = require("./constants");
+const { scanTokenAccounts } = require("./token");
+const { findPoolsByVaults, describePoolState } = require("./xdex");
+const { createWhirlpoolAdapter, analyzePositions } = require("./clmm");
+
+const SYSTEM_PROGRAM = "11111111111111111111111111111111";
+
+// CP-Swap signs for all of its vaults and LP mints with one PDA
+const XDEX_AUTHORITY = PublicKey.findProgramAddressSync(
+  [Buffer.from("vault_and_lp_mint_auth_seed")],
+  XDEX_PROGRAM_ID
+)[0].toBase58();
+
+const xdexAdapter = {
+  name: "XDEX",
+  programId: XDEX_PROGRAM_ID.toBase58(),
+  lpTokenType: "standard",
+  vaultAuthorities: [XDEX_AUTHORITY],
+  // The pool states that name the vaults found, not every pool of the mint
+  findPools: async (connection, mint, vaults) => {
+    const found = await findPoolsByVaults(connection, vaults.map(v => v.address), XDEX_PROGRAM_ID);
+    return found
+      .filter(p => p.state.mints.includes(mint))
+      .map(p => ({ address: p.address, lpMint: p.state.lpMint, mints: p.state.mints, vaults: p.state.vaults, state: p.state }));
+  },
+  getReserves: async (connection, pool) => (await describePoolState(connection, pool.state, XDEX_PROGRAM_ID)).tokens,
+};
+
+const DEX_ADAPTERS = {
+  [xdexAdapter.programId]: xdexAdapter,
+};
+
+if (process.env.X1_WHIRLPOOL_PROGRAM_ID) {
+  const adapter = createWhirlpoolAdapter({ programId: process.env.X1_WHIRLPOOL_PROGRAM_ID });
+  DEX_ADAPTERS[adapter.programId] = adapter;
+}
+
+/** Add (or replace) the adapter for `adapter.programId` */
+function registerDexAdapter(adapter) {
+  const programId = new PublicKey(adapter.programId).toBase58();
+  DEX_ADAPTERS[programId] = { vaultAuthorities: [], lpTokenType: "standard", ...adapter, programId };
+}
+
+/** Every token account of `mint`, as [{ address, owner, amount }] */
+async function scanVaults(connection, mint) {
+  const mintInfo = await connection.getAccountInfo(new PublicKey(mint));
+  return scanTokenAccounts(connection, mint, Boolean(mintInfo?.owner?.equals?.(TOKEN_2022_PROGRAM_ID)));
+}
+
+/**
+ * Program behind each vault owner, as owner -> program ID. Adapter
+ * authorities are matched directly; the remaining owners are looked up
+ * in one batched call. Wallets (system-owned or unfunded) map to null.
+ */
+async function ownerPrograms(connection, owners) {
+  const programs = new Map();
+  const authorities = new Map();
+  for (const adapter of Object.values(DEX_ADAPTERS)) {
+    adapter.vaultAuthorities.forEach(a => authorities.set(a, adapter.programId));
+  }
+
+  const unknown = [];
+  for (const owner of new Set(owners)) {
+    if (authorities.has(owner)) programs.set(owner, authorities.get(owner));
+    else unknown.push(owner);
+  }
+
+  const infos = unknown.length > 0
+    ? await connection.getMultipleAccountsInfo(unknown.map(o => new PublicKey(o)))
+    : [];
+  unknown.forEach((owner, i) => {
+    const program = infos[i]?.owner?.toBase58() || null;
+    programs.set(owner, program === SYSTEM_PROGRAM ? null : program);
+  });
+  return programs;
+}
+
+/**
+ * Pools of `mint` across every registered DEX, from one vault scan.
+ * Returns { pools, unsupported }: pools are { dex, programId, lpTokenType,
+ * address, lpMint, mints, vault, tokenAmount, reserves, state } (`state`:
+ * the adapter's decoded pool state, null when it has none), plus `positions`
+ * (analyzePositions() output) for position-NFT pools; `unsupported`
+ * lists the vaults of programs without an adapter as
+ * [{ programId, vaults: [{ address, owner, amount }] }].
+ * With `lpTokenType`, only adapters of that type are asked for pools.
+ */
+async function discoverPools(connection, mint, { lpTokenType } = {}) {
+  const vaults = await scanVaults(connection, mint);
+  const programs = await ownerPrograms(connection, vaults.map(v => v.owner));
+
+  const groups = new Map();
+  for (const vault of vaults) {
+    const program = programs.get(vault.owner);
+    if (!program) continue;
+    if (!groups.has(program)) groups.set(program, []);
+    groups.get(program).push(vault);
+  }
+
+  const pools = [];
+  const unsupported = [];
+  for (const [programId, group] of groups) {
+    const adapter = DEX_ADAPTERS[programId];
+    if (!adapter) {
+      unsupported.push({ programId, vaults: group });
+      continue;
+    }
+    if (lpTokenType && adapter.lpTokenType !== lpTokenType) continue;
+    for (const pool of await adapter.findPools(connection, mint, group)) {
+      const vault = group.find(v => pool.vaults.includes(v.address));
+      const entry = {
+        dex: adapter.name,
+        programId,
+        lpTokenType: adapter.lpTokenType,
+        address: pool.address,
+        lpMint: pool.lpMint,
+        mints: pool.mints,
+        vault: vault.address,
+        tokenAmount: vault.amount,
+        reserves: await adapter.getReserves(connection, pool),
+        state: pool.state || null,
+      };
+      if (adapter.getPositions) {
+        entry.positions = await analyzePositions(connection, await adapter.getPositions(connection, pool), pool.state.tickCurrent);
+      }
+      pools.push(entry);
+    }
+  }
+
+  return { pools, unsupported };
+}
+
+module.exports = {
+  XDEX_AUTHORITY,
+  DEX_ADAPTERS,
+  registerDexAdapter,
+  scanVaults,
+  ownerPrograms,
+  discoverPools,
+};
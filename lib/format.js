@@ -0,0 +1,330 @@
+/**
+ * lib/format.js
+ * ===========================================
+ * Display helpers shared by the CLIs and the bot
+ * ===========================================
+ */
+
+function shortAddr(addr, len = 6) {
+  if (!addr) return "N/A";
+  const s = typeof addr === "string" ? addr : addr.toBase58();
+  return s.length > len * 2 ? `${s.slice(0, len)}...${s.slice(-len)}` : s;
+}
+
+function formatNumber(n) {
+  if (typeof n === "string") n = parseFloat(n);
+  if (typeof n !== "number" || isNaN(n)) return "N/A";
+  if (n >= 1e12) return (n / 1e12).toFixed(2) + "T";
+  if (n >= 1e9) return (n / 1e9).toFixed(2) + "B";
+  if (n >= 1e6) return (n / 1e6).toFixed(2) + "M";
+  if (n >= 1e3) return (n / 1e3).toFixed(2) + "K";
+  return n.toFixed(2);
+}
+
+function formatDollarValue(n) {
+  if (!n || n <= 0) return "$0.00";
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(2)}B`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(2)}K`;
+  return `$${n.toFixed(2)}`;
+}
+
+function formatPrice(n) {
+  if (!n || n <= 0) return "$0.00";
+  // For very small prices, show as $0.0{10}716 style
+  if (n < 0.000001) {
+    const str = n.toFixed(15).replace(/0+$/, ""); // Remove trailing zeros
+    const match = str.match(/0\.0+/);
+    if (match) {
+      const zeroCount = match[0].length - 2; // -2 for "0."
+      const significant = str.slice(match[0].length);
+      return `$0.0{${zeroCount}}${significant}`;
+    }
+    return `$${n.toExponential(2)}`;
+  }
+  if (n < 0.01) {
+    return `$${n.toFixed(9)}`;
+  }
+  if (n < 1) {
+    return `$${n.toFixed(5)}`;
+  }
+  return `$${n.toFixed(4)}`;
+}
+
+function progressBar(percent, width = 20) {
+  const filled = Math.round((percent / 100) * width);
+  const empty = width - filled;
+  const bar = "█".repeat(filled) + "░".repeat(empty);
+  return `[${bar}] ${percent.toFixed(1)}%`;
+}
+
+function riskGauge(score) {
+  const segments = 10;
+  const filled = Math.round((score / 100) * segments);
+  let gauge = "";
+  for (let i = 0; i < segments; i++) {
+    if (i < filled) {
+      if (score >= 50) gauge += "🔴";
+      else if (score >= 25) gauge += "🟡";
+      else gauge += "🟢";
+    } else {
+      gauge += "⚪";
+    }
+  }
+  return gauge;
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace("T", " ").split(".")[0] + " UTC";
+}
+
+/** "🔒 until 2027-01-01" for the earliest active LP lock, "⚠️ unlocked" once all have expired */
+function formatLockUntil(locks, now = Date.now() / 1000) {
+  const active = (locks || []).filter(l => l.unlockTime && l.unlockTime > now).map(l => l.unlockTime);
+  if (active.length === 0) return "⚠️ unlocked";
+  return `🔒 until ${new Date(Math.min(...active) * 1000).toISOString().split("T")[0]}`;
+}
+
+/** "• label (+points)" and a line of the factor's evidence; lists show their length */
+function formatRiskFactor(f) {
+  const value = v => {
+    if (Array.isArray(v)) return v.length;
+    if (typeof v === "object") return JSON.stringify(v);
+    return typeof v === "string" && v.length > 32 ? shortAddr(v) : v;
+  };
+  const evidence = Object.entries(f.evidence || {})
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([key, v]) => `${key}: ${value(v)}`);
+  return [`• ${f.label} (+${f.points})`, ...(evidence.length > 0 ? [`  ${evidence.join(", ")}`] : [])];
+}
+
+/** "FIX/WXNT" from a pool's token symbols, short mint addresses where a symbol is unknown */
+function poolPairName(pool, separator = "/") {
+  const name = t => t.symbol || shortAddr(t.address, 4);
+  return `${name(pool.token1)}${separator}${name(pool.token2)}`;
+}
+
+/** Per-pool LP table (burned / locked / held and TVL weight), one string per line */
+function formatPoolLPTable(pools) {
+  const pct = n => `${n.toFixed(1)}%`.padEnd(7);
+  const lines = [
+    "| Pool             | TVL        | Burned  | Locked  | Held    | Weight",
+    "| ---------------- | ---------- | ------- | ------- | ------- | ------",
+  ];
+  for (const pool of pools) {
+    const name = poolPairName(pool).slice(0, 16).padEnd(16);
+    const tvl = formatDollarValue(pool.tvl).padEnd(10);
+    const s = pool.lpSafety;
+    lines.push(s
+      ? `| ${name} | ${tvl} | ${pct(s.pct)} | ${pct(s.lockedPct)} | ${pct(s.heldPct)} | ${(pool.weight * 100).toFixed(0)}%${s.estimated ? " (est.)" : ""}`
+      : `| ${name} | ${tvl} | no LP data`);
+  }
+  return lines;
+}
+
+/**
+ * Lines for an audit's CLMM pool (see auditToken clmmPools): the burned,
+ * locked and withdrawable shares of its active liquidity, then up to
+ * `max` in-range positions, largest first
+ */
+function formatClmmPool(pool, max = 3) {
+  const lines = [
+    `${poolPairName(pool)} ${pool.dex} (${shortAddr(pool.address)}): ${pool.positions.length} position NFT(s)`,
+    `  Active liquidity: ${pool.burnedPct.toFixed(1)}% burned, ${pool.lockedPct.toFixed(1)}% locked, ${pool.heldPct.toFixed(1)}% withdrawable`,
+  ];
+  pool.positions
+    .filter(p => p.inRange)
+    .sort((a, b) => b.activePct - a.activePct)
+    .slice(0, max)
+    .forEach(p => {
+      const until = p.lock?.unlockTime ? ` until ${new Date(p.lock.unlockTime * 1000).toISOString().split("T")[0]}` : "";
+      const holder = p.holder ? ` by ${shortAddr(p.holder)}` : "";
+      lines.push(`  • ${p.activePct.toFixed(1)}% ${p.status}${until}${holder}`);
+    });
+  return lines;
+}
+
+/**
+ * One liquidity timeline line (see liquidityTimeline), e.g.
+ * "2025-03-01 ➖ removed 40.0% of pool: 1.2M TKN + 300 XNT by AbCdEf...123456 🚩 pool-creator"
+ */
+function formatLiquidityEvent(e) {
+  const date = e.date && e.date !== "Unknown" ? e.date.split("T")[0] : "unknown date";
+  const verb = e.type === "add" ? "➕ added" : "➖ removed";
+  const tokens = e.tokens.map(t => `${formatNumber(t.amount)} ${t.symbol || shortAddr(t.mint, 4)}`).join(" + ");
+  const by = e.provider ? ` by ${shortAddr(e.provider)}` : "";
+  const team = e.roles.length > 0 ? ` 🚩 ${e.roles.join(", ")}` : "";
+  return `${date} ${verb} ${e.pct.toFixed(1)}% of pool${tokens ? `: ${tokens}` : ""}${by}${team}`;
+}
+
+/** "3d 4h", "2h 5m", "45s": a duration in seconds, two largest units */
+function formatDuration(seconds) {
+  const units = [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]];
+  const parts = [];
+  let rest = Math.max(0, Math.round(seconds));
+  for (const [unit, size] of units) {
+    if (rest >= size || (unit === "s" && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(" ");
+}
+
+/** Initial liquidity provenance (see initialLiquidityProvenance), one string per line */
+function formatProvenance(p) {
+  const date = d => (d && d !== "Unknown" ? d.split("T")[0] : "unknown date");
+  const tokens = p.tokens.map(t => `${formatNumber(t.amount)} ${t.symbol || shortAddr(t.mint, 4)}`).join(" + ");
+  const lines = [
+    `Pool created:     ${date(p.createdAt)} by ${p.creator ? shortAddr(p.creator) : "unknown"}`,
+    `Initial LP:       ${formatNumber(p.lpAmount)} LP to ${shortAddr(p.provider)}${p.funder && p.funder !== p.provider ? ` (paid by ${shortAddr(p.funder)})` : ""}`,
+  ];
+  if (tokens) lines.push(`Deposited:        ${tokens}`);
+  if (p.price) {
+    lines.push(`Opening price:    ${formatNumber(p.price.value)} ${p.price.quoteSymbol || shortAddr(p.price.quoteMint, 4)} per token`);
+  }
+  p.funding.forEach((hop, i) => {
+    const label = i === 0 ? "Funded by:" : "  then by:";
+    const source = hop.funder
+      ? `${shortAddr(hop.funder)} (${formatNumber(hop.amount)} XNT on ${date(hop.date)})`
+      : `unknown (${hop.reason})`;
+    lines.push(`${label.padEnd(18)}${source}`);
+  });
+  if (p.firstBurn) {
+    const delay = p.firstBurn.delaySeconds !== null ? `${formatDuration(p.firstBurn.delaySeconds)} after creation` : date(p.firstBurn.date);
+    lines.push(`First LP burn:    ${formatNumber(p.firstBurn.amount)} LP, ${delay}`);
+  } else {
+    lines.push("First LP burn:    none");
+  }
+  lines.push(p.burnedInFull
+    ? "Burned:           ✅ all of the initial LP, by the provider"
+    : `Burned:           ⚠️ ${p.burnedPct.toFixed(1)}% of the initial LP, by the provider`);
+  return lines;
+}
+
+/**
+ * Sell simulation (see simulateSell), one string per line; `pools` are
+ * the audit's pools, for their pair names.
+ */
+function formatSellSimulation(sim, pools) {
+  const lines = [`Selling ${formatNumber(sim.amount)} tokens (${sim.label}):`];
+  sim.pools.forEach(r => {
+    const pool = pools.find(p => p.address === r.pool);
+    const name = pool ? `${poolPairName(pool)} ${shortAddr(r.pool, 4)}` : shortAddr(r.pool);
+    if (r.output === null) {
+      lines.push(`${name}: reserves unknown`);
+      return;
+    }
+    const usd = r.outputUsd !== null ? ` (${formatDollarValue(r.outputUsd)})` : "";
+    const best = r.pool === sim.best && sim.pools.length > 1 ? " ⭐" : "";
+    const warn = r.priceImpactPct >= 50 ? " 🚩" : r.priceImpactPct >= 10 ? " ⚠️" : "";
+    lines.push(`${name}: ${formatNumber(r.output)} ${r.quoteSymbol || shortAddr(r.quoteMint, 4)}${usd}, price impact ${r.priceImpactPct.toFixed(2)}%${warn}${best}`);
+  });
+  return lines;
+}
+
+/** Holder type tag (see classifyHolders), empty for regular wallets */
+function formatHolderType(holder) {
+  if (!holder.type || holder.type === "wallet") return "";
+  const label = holder.type === "program" && holder.label ? shortAddr(holder.label) : holder.label;
+  return ` [${holder.type}${label ? `: ${label}` : ""}]`;
+}
+
+/** Holder clusters (see findHolderClusters), one string per line */
+function formatHolderClusters(clustering) {
+  const top = clustering.effectiveTopHolder;
+  if (!top) return [];
+  const lines = [top.clustered
+    ? `Effective top holder: ${top.wallets.length} linked wallets own ${top.pct.toFixed(2)}%`
+    : `Effective top holder: ${top.pct.toFixed(2)}% (no linked wallets among the top ${clustering.analyzed})`];
+  clustering.clusters.forEach(c => {
+    const why = c.reasons.map(r => (r.type === "common-funder"
+      ? `funded by ${shortAddr(r.source)}`
+      : `first tokens from ${shortAddr(r.source)} in one transaction`));
+    lines.push(`🔗 ${c.wallets.map(w => shortAddr(w)).join(", ")} (${c.pct.toFixed(2)}%): ${why.join("; ")}`);
+  });
+  return lines;
+}
+
+/** Holder snapshot diff (see diffSnapshots), one string per line */
+function formatSnapshotDiff(diff) {
+  const signed = (n, format) => `${n > 0 ? "+" : n < 0 ? "-" : "±"}${format(Math.abs(n))}`;
+  const { metrics, top } = diff;
+  const lines = [
+    `${diff.from} → ${diff.to} (${formatDuration(diff.elapsedSeconds)})`,
+    `Holders: ${metrics.totalHolders.before} → ${metrics.totalHolders.after} (${signed(metrics.totalHolders.change, String)}): ${diff.newHolders} new, ${diff.exitedHolders} exited`,
+    `Gini: ${metrics.gini.before.toFixed(3)} → ${metrics.gini.after.toFixed(3)} (${signed(metrics.gini.change, n => n.toFixed(3))})`,
+    `Nakamoto: ${metrics.nakamoto.before} → ${metrics.nakamoto.after} (${signed(metrics.nakamoto.change, String)})`,
+    `Top 10 wallets: ${metrics.top10WalletsPct.before.toFixed(2)}% → ${metrics.top10WalletsPct.after.toFixed(2)}% (${signed(metrics.top10WalletsPct.change, n => `${n.toFixed(2)} pts`)})`,
+    `Top ${top.wallets.length} wallets at start: ${top.direction}, ${signed(top.netChange, formatNumber)} tokens (${signed(top.netChangePct, n => n.toFixed(2))}% of supply)`,
+  ];
+  diff.newWhales.forEach(w => lines.push(`🐋 New whale ${shortAddr(w.address)}: ${formatNumber(w.amount)} (${w.pct.toFixed(2)}%), had ${formatNumber(w.before)}`));
+  diff.exitedWhales.forEach(w => lines.push(`👋 Exited ${shortAddr(w.address)}${formatHolderType(w)}: held ${formatNumber(w.amount)} (${w.pct.toFixed(2)}%)`));
+  return lines;
+}
+
+/**
+ * Dev wallet activity (see trackDevActivity), one string per line, with
+ * the `max` newest events; `pools` are the audit's pools, for symbols.
+ */
+function formatDevActivity(dev, pools = [], max = 10) {
+  const symbols = {};
+  pools.flatMap(p => [p.token1, p.token2]).forEach(t => {
+    if (t?.symbol) symbols[t.address] = t.symbol;
+  });
+  const date = d => (d ? d.split("T")[0] : "unknown date");
+  const tokens = list => list.map(t => `${formatNumber(t.amount)} ${symbols[t.mint] || shortAddr(t.mint, 4)}`).join(" + ");
+  const { summary } = dev;
+  const lines = [dev.deployer.deployer
+    ? `Deployer: ${shortAddr(dev.deployer.deployer)} (mint created ${date(dev.deployer.date)})`
+    : `Deployer: unknown (${dev.deployer.reason})`];
+  dev.wallets.forEach(w => {
+    lines.push(`${shortAddr(w.address)} (${w.roles.join(", ")}): ${w.complete ? "whole history" : `last ${w.scanned} transactions`} read`);
+  });
+  if (dev.events.length === 0) {
+    lines.push("✅ No sells, transfers, LP removals or authority changes");
+    return lines;
+  }
+  lines.push(`Sold ${formatNumber(summary.soldAmount)} (${summary.soldPct.toFixed(2)}%) in ${summary.sells} sell(s); `
+    + `${formatNumber(summary.freshAmount)} (${summary.freshPct.toFixed(2)}%) sent to ${summary.freshTransfers} fresh wallet(s)`);
+  dev.events.slice(0, max).forEach(e => {
+    const by = shortAddr(e.wallet);
+    if (e.type === "sell") {
+      const received = tokens(e.received);
+      lines.push(`${date(e.date)} 🚩 ${by} sold ${formatNumber(e.amount)} (${e.pct.toFixed(2)}%) into ${e.dex}${received ? ` for ${received}` : ""}`);
+    } else if (e.type === "transfer") {
+      lines.push(`${date(e.date)} ${e.fresh ? "⚠️" : "➡️"} ${by} sent ${formatNumber(e.amount)} (${e.pct.toFixed(2)}%) to ${shortAddr(e.to)}${e.fresh ? " (fresh wallet)" : ""}`);
+    } else if (e.type === "lp-removal") {
+      const received = tokens(e.tokens);
+      lines.push(`${date(e.date)} 🚩 ${by} removed ${formatNumber(e.lpAmount)} LP${received ? ` for ${received}` : ""}`);
+    } else {
+      lines.push(`${date(e.date)} 🔑 ${by} ${e.newAuthority ? `handed ${e.authorityType} to ${shortAddr(e.newAuthority)}` : `revoked ${e.authorityType}`}`);
+    }
+  });
+  if (dev.events.length > max) lines.push(`... ${dev.events.length - max} older event(s)`);
+  return lines;
+}
+
+module.exports = {
+  shortAddr,
+  formatNumber,
+  formatDollarValue,
+  formatPrice,
+  progressBar,
+  riskGauge,
+  timestamp,
+  formatLockUntil,
+  formatRiskFactor,
+  poolPairName,
+  formatPoolLPTable,
+  formatClmmPool,
+  formatLiquidityEvent,
+  formatDuration,
+  formatProvenance,
+  formatSellSimulation,
+  formatHolderType,
+  formatHolderClusters,
+  formatSnapshotDiff,
+  formatDevActivity,
+};
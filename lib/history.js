@@ -0,0 +1,85 @@
+/**
+ * lib/history.js
+ * ===========================================
+ * Paginated signature history of an address
+ * ===========================================
+ *
+ * getSignaturesForAddress returns at most 1000 signatures, newest first.
+ * fetchSignatureHistory() follows `before` cursors page by page until the
+ * address's first transaction, or until one of the optional bounds is hit.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+
+const PAGE_SIZE = 1000;
+
+/** Accepts a Date, an ISO/date string or unix seconds; returns unix seconds or null */
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+  if (typeof value === "number") return value;
+  const ms = Date.parse(value);
+  if (isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Fetch the signature history of an address, newest first.
+ *
+ * Options:
+ *   maxSignatures  Stop after this many signatures (default: no limit)
+ *   since          Stop at signatures older than this (Date, date string or unix seconds)
+ *   until          Stop at this signature, exclusive (e.g. the last one already processed)
+ *   pageSize       Signatures per request (default/max: 1000)
+ *   onProgress     Called with { pages, signatures, oldestTime } after each page
+ *
+ * Returns { signatures, complete, bound }: `complete` is true when the
+ * history was followed back to the first transaction (or to `until`),
+ * `bound` names the option that stopped it early ("maxSignatures" or
+ * "since"), otherwise null.
+ */
+async function fetchSignatureHistory(connection, address, options = {}) {
+  const pubkey = new PublicKey(address);
+  const maxSignatures = options.maxSignatures > 0 ? options.maxSignatures : Infinity;
+  const since = toUnixSeconds(options.since);
+  const pageSize = Math.min(options.pageSize || PAGE_SIZE, PAGE_SIZE);
+  const onProgress = options.onProgress || (() => {});
+
+  const signatures = [];
+  let before;
+  let pages = 0;
+
+  while (true) {
+    const limit = Math.min(pageSize, maxSignatures - signatures.length);
+    const page = await connection.getSignaturesForAddress(pubkey, {
+      limit,
+      ...(before ? { before } : {}),
+      ...(options.until ? { until: options.until } : {}),
+    });
+    pages++;
+
+    for (const sig of page) {
+      if (since !== null && sig.blockTime && sig.blockTime < since) {
+        onProgress({ pages, signatures: signatures.length, oldestTime: sig.blockTime });
+        return { signatures, complete: false, bound: "since" };
+      }
+      signatures.push(sig);
+    }
+
+    const oldest = page[page.length - 1];
+    onProgress({ pages, signatures: signatures.length, oldestTime: oldest?.blockTime || null });
+
+    if (page.length < limit) {
+      return { signatures, complete: true, bound: null };
+    }
+    if (signatures.length >= maxSignatures) {
+      return { signatures, complete: false, bound: "maxSignatures" };
+    }
+    before = oldest.signature;
+  }
+}
+
+module.exports = {
+  toUnixSeconds,
+  fetchSignatureHistory,
+};
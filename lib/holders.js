@@ -0,0 +1,207 @@
+/**
+ * lib/holders.js
+ * ===========================================
+ * Who the top holders are
+ * ===========================================
+ *
+ * Not every large balance is a wallet that can dump the token: pool
+ * vaults, LP locker escrows and other program accounts hold tokens on
+ * behalf of a program. classifyHolders() tags each holder with a type:
+ *   pool      vault authority of a registered DEX (see lib/dex.js)
+ *   locker    escrow of a registered LP locker (see lib/lockers.js)
+ *   burn      burn address
+ *   exchange  known exchange wallet  \ from the known wallets registry
+ *   bridge    known bridge wallet    /
+ *   program   any other program-owned account, or an address off the
+ *             ed25519 curve (a PDA) even when it has no account of its own
+ *   wallet    a regular wallet: the only type that can sell at will
+ *
+ * Known wallets are registered with registerKnownWallet() or listed in
+ * the JSON file named by X1_KNOWN_WALLETS:
+ *   { "<address>": { "name": "Some Exchange", "type": "exchange" } }
+ *
+ * findHolderClusters() then looks for top wallets that are really one
+ * owner: funded by the same wallet, or handed their first tokens in the
+ * same transaction by the team.
+ */
+
+const fs = require("fs");
+const { PublicKey } = require("@solana/web3.js");
+const { BURN_ADDRESSES } = require("./constants");
+const { DEX_ADAPTERS, ownerPrograms } = require("./dex");
+const { LOCKER_PROGRAMS } = require("./lockers");
+const { findFunder, findFirstReceipt } = require("./provenance");
+
+const HOLDER_TYPES = ["pool", "locker", "burn", "exchange", "bridge", "program", "wallet"];
+const KNOWN_WALLET_TYPES = ["exchange", "bridge"];
+
+const KNOWN_WALLETS = {};
+
+// Top wallets traced by findHolderClusters()
+const CLUSTER_TOP_N = 20;
+
+/** Add (or replace) a known exchange or bridge wallet */
+function registerKnownWallet(address, { name, type }) {
+  if (!KNOWN_WALLET_TYPES.includes(type)) {
+    throw new Error(`Invalid known wallet type for ${address}: ${type} (use ${KNOWN_WALLET_TYPES.join(" or ")})`);
+  }
+  KNOWN_WALLETS[new PublicKey(address).toBase58()] = { name, type };
+}
+
+/** Register every wallet of a known wallets file; throws on a bad file */
+function loadKnownWallets(file) {
+  let wallets;
+  try {
+    wallets = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read known wallets file ${file}: ${err.message}`);
+  }
+  for (const [address, entry] of Object.entries(wallets)) {
+    registerKnownWallet(address, entry || {});
+  }
+}
+
+if (process.env.X1_KNOWN_WALLETS) loadKnownWallets(process.env.X1_KNOWN_WALLETS);
+
+/**
+ * Tag `holders` ([{ address, tokenAccounts, ... }]) with { type, label },
+ * returning new objects. Owners not matched by address are looked up in
+ * one batched call to find the program behind them. `poolVaults` maps the
+ * vaults of the token's known pools to their DEX name, so vaults of
+ * unregistered DEX programs still count as pools.
+ */
+async function classifyHolders(connection, holders, { poolVaults = new Map() } = {}) {
+  const programs = await ownerPrograms(connection, holders.map(h => h.address));
+
+  return holders.map(holder => {
+    const { address } = holder;
+    const program = programs.get(address);
+    const vault = (holder.tokenAccounts || []).find(a => poolVaults.has(a));
+    let type = "wallet";
+    let label = null;
+    if (BURN_ADDRESSES.includes(address)) {
+      type = "burn";
+    } else if (KNOWN_WALLETS[address]) {
+      ({ type, name: label } = KNOWN_WALLETS[address]);
+    } else if (vault) {
+      type = "pool";
+      label = poolVaults.get(vault);
+    } else if (program && DEX_ADAPTERS[program]) {
+      type = "pool";
+      label = DEX_ADAPTERS[program].name;
+    } else if (program && LOCKER_PROGRAMS[program]) {
+      type = "locker";
+      label = LOCKER_PROGRAMS[program].name;
+    } else if (program) {
+      type = "program";
+      label = program;
+    } else if (!PublicKey.isOnCurve(new PublicKey(address).toBytes())) {
+      // A PDA signing for an account of a program we cannot see
+      type = "program";
+    }
+    return { ...holder, type, label };
+  });
+}
+
+/** Holders that can sell at will: regular wallets, or every holder when none are classified */
+function sellableHolders(holders) {
+  return holders.filter(h => !h.type || h.type === "wallet");
+}
+
+// ─── Clusters ────────────────────────────────────────────────
+
+/**
+ * Linked wallets among the top `topN` sellable holders. For each wallet
+ * the first incoming XNT (findFunder) and the first receipt of `mint`
+ * (findFirstReceipt, from its first token account) are traced. Wallets
+ * are linked when:
+ *   common-funder          the same wallet funded them (known exchange and
+ *                          bridge wallets excepted), or one funded the other
+ *   deployer-distribution  they received their first tokens in the same
+ *                          transaction from one of `deployers`
+ *
+ * Returns { analyzed, clusters, effectiveTopHolder }: clusters (two or more
+ * wallets, largest first) are { wallets, amount, pct, reasons };
+ * `effectiveTopHolder` is the largest cluster or single wallet, as
+ * { wallets, amount, pct, clustered }.
+ */
+async function findHolderClusters(connection, holders, { mint, deployers = [], topN = CLUSTER_TOP_N } = {}) {
+  const wallets = sellableHolders(holders).slice(0, topN);
+  const traces = await Promise.all(wallets.map(async holder => ({
+    holder,
+    funding: await findFunder(connection, holder.address),
+    receipt: holder.tokenAccounts?.length
+      ? await findFirstReceipt(connection, holder.address, holder.tokenAccounts[0], mint)
+      : null,
+  })));
+
+  // Union-find over wallet addresses
+  const parent = new Map(wallets.map(h => [h.address, h.address]));
+  const root = a => (parent.get(a) === a ? a : root(parent.get(a)));
+  const links = [];
+  const link = (a, b, reason) => {
+    parent.set(root(a), root(b));
+    links.push({ wallets: [a, b], reason });
+  };
+
+  const byFunder = new Map();
+  for (const { holder, funding } of traces) {
+    const funder = funding.funder;
+    if (!funder || KNOWN_WALLETS[funder]) continue;
+    if (parent.has(funder)) link(holder.address, funder, { type: "common-funder", source: funder });
+    if (byFunder.has(funder)) link(holder.address, byFunder.get(funder), { type: "common-funder", source: funder });
+    else byFunder.set(funder, holder.address);
+  }
+
+  const bySignature = new Map();
+  for (const { holder, receipt } of traces) {
+    if (!receipt?.from || !deployers.includes(receipt.from)) continue;
+    const first = bySignature.get(receipt.signature);
+    if (first) link(holder.address, first, { type: "deployer-distribution", source: receipt.from, signature: receipt.signature });
+    else bySignature.set(receipt.signature, holder.address);
+  }
+
+  const groups = new Map();
+  for (const holder of wallets) {
+    const id = root(holder.address);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(holder);
+  }
+
+  const clusters = [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      const addresses = group.map(h => h.address);
+      const reasons = [];
+      for (const { wallets: pair, reason } of links) {
+        if (!addresses.includes(pair[0])) continue;
+        if (!reasons.some(r => r.type === reason.type && r.source === reason.source && r.signature === reason.signature)) {
+          reasons.push(reason);
+        }
+      }
+      return {
+        wallets: addresses,
+        amount: group.reduce((sum, h) => sum + h.amount, 0),
+        pct: group.reduce((sum, h) => sum + h.pct, 0),
+        reasons,
+      };
+    })
+    .sort((a, b) => b.pct - a.pct);
+
+  const top = wallets[0];
+  const effectiveTopHolder = clusters[0] && (!top || clusters[0].pct >= top.pct)
+    ? { wallets: clusters[0].wallets, amount: clusters[0].amount, pct: clusters[0].pct, clustered: true }
+    : top ? { wallets: [top.address], amount: top.amount, pct: top.pct, clustered: false } : null;
+
+  return { analyzed: wallets.length, clusters, effectiveTopHolder };
+}
+
+module.exports = {
+  HOLDER_TYPES,
+  KNOWN_WALLETS,
+  registerKnownWallet,
+  loadKnownWallets,
+  classifyHolders,
+  sellableHolders,
+  findHolderClusters,
+};
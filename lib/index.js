@@ -0,0 +1,61 @@
+/**
+ * x1-token-audit
+ * ===========================================
+ * Library entry point
+ * ===========================================
+ *
+ * Usage:
+ *   const { auditToken } = require("x1-token-audit");
+ *   const result = await auditToken("7SXmUpcBGSAwW5LmtzQVF9jHswZ7xzmdKqWa4nDgL3ER");
+ *   console.log(result.risk.score, result.lp.pct);
+ */
+
+const constants = require("./constants");
+const format = require("./format");
+const xdex = require("./xdex");
+const market = require("./market");
+const dex = require("./dex");
+const clmm = require("./clmm");
+const token = require("./token");
+const token2022 = require("./token2022");
+const metadata = require("./metadata");
+const lp = require("./lp");
+const provenance = require("./provenance");
+const holders = require("./holders");
+const snapshot = require("./snapshot");
+const dev = require("./dev");
+const lockers = require("./lockers");
+const risk = require("./risk");
+const report = require("./report");
+const rpc = require("./rpc");
+const history = require("./history");
+const cache = require("./cache");
+const capture = require("./capture");
+const telegram = require("./telegram");
+const { auditToken } = require("./audit");
+
+module.exports = {
+  auditToken,
+  ...constants,
+  ...format,
+  ...xdex,
+  ...market,
+  ...dex,
+  ...clmm,
+  ...token,
+  ...token2022,
+  ...metadata,
+  ...lp,
+  ...provenance,
+  ...holders,
+  ...snapshot,
+  ...dev,
+  ...lockers,
+  ...risk,
+  ...report,
+  ...rpc,
+  ...history,
+  ...cache,
+  ...capture,
+  ...telegram,
+};
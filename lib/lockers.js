@@ -0,0 +1,116 @@
+/**
+ * lib/lockers.js
+ * ===========================================
+ * Registry of LP locker (time-lock / vesting escrow) programs
+ * ===========================================
+ *
+ * LP that sits in a locker escrow is neither burned nor free: it comes
+ * back to the beneficiary at the unlock time. An LP token account is
+ * treated as locked when its owner is an account of a registered locker
+ * program and that account decodes as an escrow for the same LP mint.
+ *
+ * Each entry maps a program ID to { name, decode(data) }, where decode
+ * returns { mint, beneficiary, unlockTime } (unlockTime in unix seconds,
+ * null when unknown) or null when the account is not an escrow. The
+ * locked amount itself is read from the escrow's token account, not
+ * from the decoded state.
+ *
+ * No locker program is registered by default. Escrow layouts live in
+ * LOCKER_LAYOUTS; register a program deployed on X1 with one of them
+ * through X1_LOCKER_PROGRAMS (comma-separated `<programId>:<layout>`,
+ * e.g. `<programId>:jupiter-lock`) or registerLocker().
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+
+function readPubkey(data, offset) {
+  return new PublicKey(data.slice(offset, offset + 32)).toBase58();
+}
+
+function readU64(data, offset) {
+  return Number(data.readBigUInt64LE(offset));
+}
+
+/**
+ * Jupiter Lock VestingEscrow (github.com/jup-ag/jup-lock), zero-copy:
+ *   8 discriminator | recipient | token_mint | creator | base (32 each)
+ *   136 bump + modes + padding | 144 cliff_time | 152 frequency
+ *   160 cliff_unlock_amount | 168 amount_per_period | 176 number_of_period
+ *   184 total_claimed_amount | 192 vesting_start_time | 200 cancelled_at
+ * Tokens are fully released at cliff_time + frequency * number_of_period.
+ */
+function decodeJupiterVestingEscrow(data) {
+  if (data.length < 208) return null;
+  const cliffTime = readU64(data, 144);
+  const frequency = readU64(data, 152);
+  const periods = readU64(data, 176);
+  const cancelledAt = readU64(data, 200);
+  return {
+    mint: readPubkey(data, 40),
+    beneficiary: readPubkey(data, 8),
+    unlockTime: cancelledAt > 0 ? cancelledAt : cliffTime + frequency * periods,
+  };
+}
+
+/** Escrow layouts by name, for X1_LOCKER_PROGRAMS */
+const LOCKER_LAYOUTS = {
+  "jupiter-lock": { name: "Jupiter Lock", decode: decodeJupiterVestingEscrow },
+};
+
+const LOCKER_PROGRAMS = {};
+
+/** Add (or replace) a locker program: decode(data) -> { mint, beneficiary, unlockTime } | null */
+function registerLocker(programId, { name, decode }) {
+  LOCKER_PROGRAMS[new PublicKey(programId).toBase58()] = { name, decode };
+}
+
+/** Register the `<programId>:<layout>` entries of a comma-separated list */
+function registerLockersFromList(list) {
+  for (const entry of list.split(",").map(e => e.trim()).filter(Boolean)) {
+    const [programId, layoutName] = entry.split(":");
+    const layout = LOCKER_LAYOUTS[layoutName];
+    if (!layout) {
+      throw new Error(`Unknown locker layout "${layoutName}" in X1_LOCKER_PROGRAMS (known: ${Object.keys(LOCKER_LAYOUTS).join(", ")})`);
+    }
+    registerLocker(programId, layout);
+  }
+}
+
+if (process.env.X1_LOCKER_PROGRAMS) registerLockersFromList(process.env.X1_LOCKER_PROGRAMS);
+
+/**
+ * Decode the escrow that owns an LP token account.
+ * `ownerAccount` is the owner's account info (from getMultipleAccountsInfo).
+ * Returns { program, name, escrow, beneficiary, unlockTime } when the
+ * owner is a registered locker's escrow for `lpMint`, otherwise null.
+ */
+function decodeLock(ownerAddress, ownerAccount, lpMint) {
+  if (!ownerAccount) return null;
+  const program = ownerAccount.owner.toBase58();
+  const locker = LOCKER_PROGRAMS[program];
+  if (!locker) return null;
+
+  let decoded = null;
+  try {
+    decoded = locker.decode(Buffer.from(ownerAccount.data));
+  } catch {
+    // Not an escrow account of this program
+  }
+  if (!decoded || (decoded.mint && decoded.mint !== lpMint)) return null;
+
+  return {
+    program,
+    name: locker.name,
+    escrow: ownerAddress,
+    beneficiary: decoded.beneficiary || null,
+    unlockTime: decoded.unlockTime || null,
+  };
+}
+
+module.exports = {
+  LOCKER_LAYOUTS,
+  LOCKER_PROGRAMS,
+  registerLocker,
+  registerLockersFromList,
+  decodeLock,
+};
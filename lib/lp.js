@@ -0,0 +1,601 @@
+/**
+ * lib/lp.js
+ * ===========================================
+ * LP burn detection and LP Safety calculation
+ * ===========================================
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { BURN_ADDRESSES } = require("./constants");
+const { parseMintData } = require("./token");
+const { fetchSignatureHistory, toUnixSeconds } = require("./history");
+const { decodeLock } = require("./lockers");
+
+// Transactions fetched per progress update while scanning
+const TX_CHUNK_SIZE = 100;
+
+/**
+ * LP supply, mint authority, burn-address holdings and locker escrows of
+ * an LP mint. `locks` lists LP held by registered locker programs (see
+ * lib/lockers.js) as { program, name, escrow, beneficiary, unlockTime, amount }.
+ */
+async function checkLPBurnStatus(connection, lpMintAddress) {
+  const result = {
+    lpMint: lpMintAddress,
+    exists: false,
+    supply: 0,
+    decimals: 0,
+    burnedAmount: 0,
+    burnPercentage: 0,
+    lockedAmount: 0,
+    locks: [],
+    mintAuthorityRevoked: false,
+    topHolders: [],
+  };
+
+  if (!lpMintAddress) return result;
+
+  const lpMintPubkey = new PublicKey(lpMintAddress);
+  const mintInfo = await connection.getAccountInfo(lpMintPubkey);
+  const mint = mintInfo ? parseMintData(mintInfo.data) : null;
+  if (!mint) return result;
+
+  result.exists = true;
+  result.supply = mint.supply;
+  result.decimals = mint.decimals;
+  result.mintAuthorityRevoked = mint.mintAuthorityRevoked;
+
+  const largestAccounts = await connection.getTokenLargestAccounts(lpMintPubkey);
+  const addresses = (largestAccounts.value || []).map(a => a.address);
+  const accounts = addresses.length > 0 ? await connection.getMultipleParsedAccounts(addresses) : [];
+
+  for (const account of accounts) {
+    const info = account?.data?.parsed?.info;
+    if (!info) continue;
+
+    const amount = parseFloat(info.tokenAmount?.uiAmountString || "0");
+    const isBurn = BURN_ADDRESSES.includes(info.owner);
+
+    result.topHolders.push({
+      address: info.owner,
+      amount: amount,
+      isBurnAddress: isBurn,
+    });
+
+    if (isBurn) {
+      result.burnedAmount += amount;
+    }
+  }
+
+  // LP held by an escrow of a known locker program
+  const candidates = result.topHolders.filter(h => !h.isBurnAddress && h.amount > 0);
+  const owners = candidates.length > 0
+    ? await connection.getMultipleAccountsInfo(candidates.map(h => new PublicKey(h.address)))
+    : [];
+  candidates.forEach((holder, i) => {
+    const lock = decodeLock(holder.address, owners[i], lpMintAddress);
+    if (!lock) return;
+    holder.lock = lock;
+    result.locks.push({ ...lock, amount: holder.amount });
+    result.lockedAmount += holder.amount;
+  });
+
+  if (result.supply > 0) {
+    result.burnPercentage = (result.burnedAmount / result.supply) * 100;
+  }
+
+  result.topHolders.sort((a, b) => b.amount - a.amount);
+  return result;
+}
+
+// Event types that take LP out of circulation (see scanLPBurnEvents)
+const BURN_EVENT_TYPES = ["burn", "burnChecked", "closeAccount (burn)"];
+
+function rawToUi(raw, decimals) {
+  return parseFloat(raw || 0) / Math.pow(10, decimals);
+}
+
+/** Owner of a token account touched by the transaction, from its token balances */
+function tokenAccountOwner(tx, account) {
+  const keys = tx.transaction.message.accountKeys || [];
+  const index = keys.findIndex(k => (k.pubkey?.toBase58?.() || String(k.pubkey || k)) === account);
+  if (index === -1) return null;
+  const balance = (tx.meta?.postTokenBalances || []).find(b => b.accountIndex === index)
+    || (tx.meta?.preTokenBalances || []).find(b => b.accountIndex === index);
+  return balance?.owner || null;
+}
+
+/** The transaction's fee payer: the wallet that funded it */
+function feePayer(tx) {
+  const first = (tx.transaction.message.accountKeys || [])[0];
+  if (!first) return null;
+  return first.pubkey?.toBase58?.() || String(first.pubkey || first);
+}
+
+/**
+ * Net flow of every non-LP token into accounts not owned by `wallet`
+ * (the pool's vaults), as [{ mint, amount }]: positive when the wallet
+ * deposited, negative when it was paid out. The wallet's own accounts are
+ * left out so wrapping or unwrapping native XNT does not hide the flow.
+ */
+function poolFlows(tx, wallet, lpMint) {
+  const balances = new Map();
+  const read = (list, sign) => {
+    for (const b of list || []) {
+      if (b.mint === lpMint || !b.owner || b.owner === wallet) continue;
+      const key = `${b.accountIndex}:${b.mint}`;
+      const entry = balances.get(key) || { mint: b.mint, delta: 0 };
+      entry.delta += sign * parseFloat(b.uiTokenAmount?.uiAmountString || "0");
+      balances.set(key, entry);
+    }
+  };
+  read(tx.meta?.preTokenBalances, -1);
+  read(tx.meta?.postTokenBalances, 1);
+
+  const byMint = new Map();
+  for (const { mint, delta } of balances.values()) {
+    byMint.set(mint, (byMint.get(mint) || 0) + delta);
+  }
+  return [...byMint].filter(([, amount]) => amount !== 0).map(([mint, amount]) => ({ mint, amount }));
+}
+
+/** Top-level and inner (CPI) instructions; pool programs mint and burn LP by CPI */
+function allInstructions(tx) {
+  const inner = (tx.meta?.innerInstructions || []).flatMap(set => set.instructions || []);
+  return [...tx.transaction.message.instructions, ...inner];
+}
+
+/**
+ * LP events found in one parsed transaction:
+ *   burn / burnChecked           LP destroyed by instruction
+ *   removeLiquidity              LP burned while the pool's vaults paid the
+ *                                burner (`provider`) out: a withdrawal, not
+ *                                a burn; `tokens` lists the amounts received
+ *   closeAccount (burn)          balance zeroed + account closed
+ *   mintTo / mintToChecked       LP minted (deposits, initial liquidity);
+ *                                `destinationOwner` is the wallet receiving it
+ *                                and `tokens` the amounts deposited
+ *   transfer (burn address)      LP sent to a known burn address
+ * Every event carries the `signer` (fee payer) of its transaction.
+ */
+function lpEventsFromTransaction(tx, sigInfo, lpMint, decimals = 9) {
+  const events = [];
+  if (!tx || !tx.transaction?.message?.instructions) return events;
+
+  const date = sigInfo.blockTime
+    ? new Date(sigInfo.blockTime * 1000).toISOString()
+    : "Unknown";
+  const base = { signature: sigInfo.signature, date, blockTime: sigInfo.blockTime || null, signer: feePayer(tx) };
+  const instructions = allInstructions(tx);
+
+  for (const ix of instructions) {
+    if (!ix.parsed) continue;
+    const info = ix.parsed.info || {};
+    const type = ix.parsed.type;
+
+    // Method 1: burnChecked / burn instructions
+    if (type === "burnChecked" || type === "burn") {
+      const amount =
+        info.tokenAmount?.uiAmount ||
+        rawToUi(info.amount, info.tokenAmount?.decimals || decimals);
+      const authority = info.authority || "Unknown";
+      const mint = info.mint || lpMint;
+      const payout = mint === lpMint
+        ? poolFlows(tx, authority, lpMint).filter(f => f.amount < 0).map(f => ({ mint: f.mint, amount: -f.amount }))
+        : [];
+      if (payout.length > 0) {
+        events.push({ ...base, type: "removeLiquidity", amount, authority, mint, provider: authority, tokens: payout });
+      } else {
+        events.push({ ...base, type, amount, authority, mint });
+      }
+    }
+
+    if ((type === "mintTo" || type === "mintToChecked") && (info.mint || lpMint) === lpMint) {
+      const amount = info.tokenAmount?.uiAmount || rawToUi(info.amount, decimals);
+      if (amount > 0) {
+        const destinationOwner = info.account ? tokenAccountOwner(tx, info.account) : null;
+        events.push({
+          ...base,
+          type,
+          amount,
+          authority: info.mintAuthority || "Unknown",
+          mint: lpMint,
+          destination: info.account || null,
+          destinationOwner,
+          tokens: poolFlows(tx, destinationOwner || base.signer, lpMint).filter(f => f.amount > 0),
+        });
+      }
+    }
+
+    if (type === "transfer" || type === "transferChecked") {
+      const owner = tokenAccountOwner(tx, info.destination);
+      if (owner && BURN_ADDRESSES.includes(owner) && (info.mint || lpMint) === lpMint) {
+        const amount = info.tokenAmount?.uiAmount || rawToUi(info.amount, decimals);
+        events.push({ ...base, type: "transfer (burn address)", amount, authority: info.authority || "Unknown", mint: lpMint, destination: owner });
+      }
+    }
+  }
+
+  // Method 2: closeAccount burn (balance zeroed + account closed).
+  // Skipped when the transaction already burned or withdrew that LP.
+  if (tx.meta?.preTokenBalances && tx.meta?.postTokenBalances) {
+    for (const pre of tx.meta.preTokenBalances) {
+      if (pre.mint !== lpMint) continue;
+      const preAmount = parseFloat(pre.uiTokenAmount?.uiAmountString || "0");
+      if (preAmount <= 0) continue;
+      const post = tx.meta.postTokenBalances.find(
+        p => p.accountIndex === pre.accountIndex && p.mint === lpMint
+      );
+      const postAmount = post ? parseFloat(post.uiTokenAmount?.uiAmountString || "0") : 0;
+      if (postAmount !== 0) continue;
+
+      const hasClose = instructions.some(
+        ix => ix.parsed && (ix.parsed.type === "closeAccount" || ix.parsed.type === "closeChecked")
+      );
+      const handled = events.some(e => BURN_EVENT_TYPES.includes(e.type) || e.type === "removeLiquidity");
+      if (hasClose && !handled) {
+        events.push({
+          ...base,
+          type: "closeAccount (burn)",
+          amount: preAmount,
+          authority: "closeAccount",
+          mint: lpMint,
+        });
+      }
+    }
+  }
+
+  return events;
+}
+
+/** Fetch and parse transactions in chunks; returns { events, failed } */
+async function parseSignatures(connection, signatures, lpMint, decimals, onProgress) {
+  const events = [];
+  let failed = 0;
+
+  for (let i = 0; i < signatures.length; i += TX_CHUNK_SIZE) {
+    const perTx = await Promise.all(signatures.slice(i, i + TX_CHUNK_SIZE).map(async sigInfo => {
+      try {
+        const tx = await connection.getParsedTransaction(sigInfo.signature, {
+          commitment: "confirmed",
+          maxSupportedTransactionVersion: 0,
+        });
+        return lpEventsFromTransaction(tx, sigInfo, lpMint, decimals);
+      } catch {
+        failed++;
+        return [];
+      }
+    }));
+    events.push(...perTx.flat());
+    onProgress({ phase: "transactions", done: Math.min(i + TX_CHUNK_SIZE, signatures.length), total: signatures.length });
+  }
+
+  return { events, failed };
+}
+
+/**
+ * Parse the history of an LP mint for burn, mintTo and closeAccount events
+ * (see lpEventsFromTransaction), newest first.
+ *
+ * The whole signature history is followed back to the mint's creation
+ * unless `maxSignatures` or `since` bound it (see fetchSignatureHistory).
+ * Transactions are fetched in parallel, so pass a client from
+ * createRpcClient() to keep within the RPC's rate limit.
+ *
+ * With a `cache` (createEventCache), a mint whose full history was parsed
+ * before only fetches signatures newer than the cached high-water mark;
+ * `maxSignatures` does not apply to those, `since` filters the events.
+ *
+ * `onProgress` receives { phase: "signatures", signatures } while paging
+ * and { phase: "transactions", done, total } while parsing.
+ *
+ * Returns { events, scanned, failed, complete, bound, cached }: `failed`
+ * counts transactions that could not be fetched, `complete` is false when
+ * a bound stopped the history early, `cached` is true when earlier events
+ * came from the cache.
+ */
+async function scanLPEvents(connection, lpMint, { maxSignatures, since, cache, decimals = 9, onProgress = () => {} } = {}) {
+  const cached = cache ? cache.load(lpMint) : null;
+  const history = await fetchSignatureHistory(connection, lpMint, cached
+    ? { until: cached.highWaterMark.signature, onProgress: ({ signatures }) => onProgress({ phase: "signatures", signatures }) }
+    : { maxSignatures, since, onProgress: ({ signatures }) => onProgress({ phase: "signatures", signatures }) });
+
+  const signatures = history.signatures;
+  const parsed = await parseSignatures(connection, signatures, lpMint, decimals, onProgress);
+  let events = parsed.events;
+  let scanned = signatures.length;
+
+  if (cached) {
+    events = [...events, ...cached.events];
+    scanned += cached.signatureCount;
+  }
+
+  const complete = history.complete;
+  if (cache && complete && parsed.failed === 0 && (signatures.length > 0 || !cached)) {
+    cache.save(lpMint, {
+      highWaterMark: signatures.length > 0
+        ? { signature: signatures[0].signature, blockTime: signatures[0].blockTime || null }
+        : cached?.highWaterMark || null,
+      signatureCount: scanned,
+      events,
+    });
+  }
+
+  const sinceSeconds = toUnixSeconds(since);
+  if (cached && sinceSeconds !== null) {
+    events = events.filter(e => !e.blockTime || e.blockTime >= sinceSeconds);
+  }
+
+  return {
+    events,
+    scanned,
+    failed: parsed.failed,
+    complete,
+    bound: history.bound,
+    cached: Boolean(cached),
+  };
+}
+
+/**
+ * Burn events of an LP mint: burn / burnChecked instructions and
+ * closeAccount burns. Same options and result as scanLPEvents.
+ */
+async function scanLPBurnEvents(connection, lpMint, options = {}) {
+  const scan = await scanLPEvents(connection, lpMint, options);
+  return { ...scan, events: scan.events.filter(e => BURN_EVENT_TYPES.includes(e.type)) };
+}
+
+/**
+ * LP Safety: percentage of the original LP supply that is burned.
+ *
+ * Prefers the on-chain supply difference (original - current). When the
+ * API reports no original supply it is estimated from current supply plus
+ * the burns found, and when only burn-address holdings are known the
+ * result is reported as effectively burned. Capped at 99.9%.
+ *
+ * `originalLP` is the pool's own LP supply (see parsePoolLPSupply), which
+ * withdrawals already reduce; `removedTotal` (LP withdrawn, from
+ * liquidityTimeline) is only passed through for the report.
+ *
+ * LP held by locker escrows (`locks`, see checkLPBurnStatus) is not
+ * burned and never counts towards `pct`; it is reported separately as
+ * `lockedTotal` / `lockedPct` (of the original supply, or of the current
+ * supply when the original is unknown), with a `pct` per lock.
+ */
+function computeLPSafety({ originalLP = 0, currentLP = 0, burnCheckedTotal = 0, burnAddressTotal = 0, removedTotal = 0, locks = [] }) {
+  const hasBurns = burnCheckedTotal > 0 || burnAddressTotal > 0;
+  let original = originalLP;
+  let estimated = false;
+  let method = "none";
+  let pct = 0;
+
+  // API returned no original supply: estimate it from what we can see
+  if (hasBurns && currentLP > 0 && original === 0) {
+    original = currentLP + burnCheckedTotal + burnAddressTotal;
+    estimated = true;
+  }
+
+  if (original > 0) {
+    const onChainBurned = Math.max(0, original - currentLP);
+    if (hasBurns && onChainBurned > 0) {
+      pct = (onChainBurned / original) * 100;
+      method = estimated ? "estimated-original" : "supply-diff";
+    } else if (hasBurns && burnCheckedTotal > 0) {
+      const estimatedOriginal = currentLP + burnCheckedTotal + burnAddressTotal;
+      pct = estimatedOriginal > 0 ? ((burnCheckedTotal + burnAddressTotal) / estimatedOriginal) * 100 : 0;
+      method = "burn-events";
+    }
+  } else if (burnAddressTotal > 0) {
+    // Can't calculate % but we know significant burn happened
+    pct = 99.9;
+    estimated = true;
+    method = "burn-address-only";
+  }
+
+  if (pct > 99.9) pct = 99.9;
+
+  const lockBase = original > 0 ? original : currentLP;
+  const lockPct = amount => (lockBase > 0 ? Math.min(100, (amount / lockBase) * 100) : 0);
+  const lockedTotal = locks.reduce((sum, l) => sum + l.amount, 0);
+
+  return {
+    pct,
+    estimated,
+    method,
+    originalLP: original,
+    currentLP,
+    burnCheckedTotal,
+    burnAddressTotal,
+    removedTotal,
+    lockedTotal,
+    lockedPct: lockPct(lockedTotal),
+    heldPct: Math.max(0, 100 - pct - lockPct(lockedTotal)),
+    locks: locks.map(l => ({ ...l, pct: lockPct(l.amount) })),
+  };
+}
+
+// ─── Team-held LP ─────────────────────────────────────────────
+
+/**
+ * Wallets tied to the token's team, as address -> roles:
+ *   mint-authority / freeze-authority   current token authorities
+ *   pool-creator                        pool creator reported by XDEX
+ *   initial-lp-funder                   fee payer of the LP mint's first mintTo
+ *   initial-lp-recipient                wallet that received that first LP
+ */
+function teamWallets({ token, poolCreator, initialMint }) {
+  const wallets = new Map();
+  const add = (address, role) => {
+    if (!address) return;
+    if (!wallets.has(address)) wallets.set(address, []);
+    wallets.get(address).push(role);
+  };
+  add(token?.mintAuthority, "mint-authority");
+  add(token?.freezeAuthority, "freeze-authority");
+  add(poolCreator, "pool-creator");
+  add(initialMint?.signer, "initial-lp-funder");
+  add(initialMint?.destinationOwner, "initial-lp-recipient");
+  return wallets;
+}
+
+/** Oldest mintTo event of an LP mint (the initial liquidity), or null */
+function findInitialMint(events, lpMint) {
+  const mints = events.filter(e => (e.type === "mintTo" || e.type === "mintToChecked") && e.mint === lpMint);
+  if (mints.length === 0) return null;
+  return mints.reduce((oldest, e) => ((e.blockTime || Infinity) < (oldest.blockTime || Infinity) ? e : oldest));
+}
+
+/**
+ * LP the team can still pull: team wallets (from teamWallets) among the
+ * LP holders of checkLPBurnStatus(). Withdrawable LP is the current
+ * supply minus burn-address holdings and locker escrows.
+ * Returns { amount, withdrawable, pct, wallets: [{ address, roles, amount }] }.
+ */
+function teamLPExposure(status, wallets) {
+  const withdrawable = Math.max(0, status.supply - status.burnedAmount - status.lockedAmount);
+  const held = new Map();
+  for (const holder of status.topHolders) {
+    const roles = wallets.get(holder.address);
+    if (!roles || holder.isBurnAddress || holder.lock || holder.amount <= 0) continue;
+    const entry = held.get(holder.address) || { address: holder.address, roles, amount: 0 };
+    entry.amount += holder.amount;
+    held.set(holder.address, entry);
+  }
+  const amount = [...held.values()].reduce((sum, w) => sum + w.amount, 0);
+  return {
+    amount,
+    withdrawable,
+    pct: withdrawable > 0 ? Math.min(100, (amount / withdrawable) * 100) : 0,
+    wallets: [...held.values()],
+  };
+}
+
+// ─── Liquidity timeline ───────────────────────────────────────
+
+/**
+ * Liquidity adds (LP mintTo) and removals (removeLiquidity) of one LP
+ * mint, oldest first, from scanLPEvents() events. The LP supply around
+ * each event is rebuilt backwards from `currentLP`, so `pct` (the share
+ * of the pool's LP the event added or took out) does not need the whole
+ * history. Providers found in `wallets` (teamWallets) get their `roles`.
+ *
+ * Returns { events: [{ signature, date, blockTime, type: "add" | "remove",
+ * provider, lpAmount, pct, tokens, roles }], addedLP, removedLP,
+ * largestRemovalPct }.
+ */
+function liquidityTimeline(events, lpMint, currentLP = 0, wallets = new Map()) {
+  const newestFirst = events
+    .filter(e => e.mint === lpMint)
+    .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0));
+
+  const timeline = [];
+  let supply = currentLP;
+  for (const e of newestFirst) {
+    const isAdd = e.type === "mintTo" || e.type === "mintToChecked";
+    const isRemove = e.type === "removeLiquidity";
+    const after = supply;
+    if (isAdd) supply = Math.max(0, supply - e.amount);
+    else if (isRemove || BURN_EVENT_TYPES.includes(e.type)) supply += e.amount;
+    if (!isAdd && !isRemove) continue;
+
+    const provider = isAdd ? e.destinationOwner || e.signer : e.provider;
+    const poolSize = Math.max(supply, after);
+    timeline.unshift({
+      signature: e.signature,
+      date: e.date,
+      blockTime: e.blockTime,
+      type: isAdd ? "add" : "remove",
+      provider: provider || null,
+      lpAmount: e.amount,
+      pct: poolSize > 0 ? Math.min(100, (e.amount / poolSize) * 100) : 0,
+      tokens: e.tokens || [],
+      roles: (provider && wallets.get(provider)) || [],
+    });
+  }
+
+  const removals = timeline.filter(e => e.type === "remove");
+  return {
+    events: timeline,
+    addedLP: timeline.filter(e => e.type === "add").reduce((sum, e) => sum + e.lpAmount, 0),
+    removedLP: removals.reduce((sum, e) => sum + e.lpAmount, 0),
+    largestRemovalPct: removals.reduce((max, e) => Math.max(max, e.pct), 0),
+  };
+}
+
+/**
+ * Token-level LP Safety from per-pool results (`pool.lpSafety`, from
+ * computeLPSafety). Percentages are averaged weighted by each pool's TVL,
+ * so a burned shallow pool cannot hide an unburned deep one; pools are
+ * weighted equally when none reports a TVL. Pools without LP data are
+ * left out. Sets `pool.weight` (0-1) on every pool that takes part.
+ *
+ * Amount totals are summed over pools. `locks` are rescaled to the
+ * token level: `pct` is the lock's share of its pool times the pool's
+ * weight, `poolPct` its share of the pool. `team` combines the pools'
+ * `lpTeam` (teamLPExposure) the same way.
+ */
+function combineLPSafety(pools) {
+  const rated = pools.filter(p => p.lpSafety);
+  const totalTvl = rated.reduce((sum, p) => sum + (p.tvl || 0), 0);
+  const weighting = rated.length === 0 ? null : totalTvl > 0 ? "tvl" : "equal";
+  for (const pool of rated) {
+    pool.weight = weighting === "tvl" ? (pool.tvl || 0) / totalTvl : 1 / rated.length;
+  }
+
+  const weighted = key => rated.reduce((sum, p) => sum + p.lpSafety[key] * p.weight, 0);
+  const total = key => rated.reduce((sum, p) => sum + p.lpSafety[key], 0);
+
+  let method = "none";
+  if (rated.length === 1) method = rated[0].lpSafety.method;
+  else if (rated.some(p => p.lpSafety.method !== "none")) method = "tvl-weighted";
+
+  return {
+    pct: Math.min(99.9, weighted("pct")),
+    estimated: rated.some(p => p.lpSafety.estimated),
+    method,
+    weighting,
+    originalLP: total("originalLP"),
+    currentLP: total("currentLP"),
+    burnCheckedTotal: total("burnCheckedTotal"),
+    burnAddressTotal: total("burnAddressTotal"),
+    removedTotal: total("removedTotal"),
+    lockedTotal: total("lockedTotal"),
+    lockedPct: weighted("lockedPct"),
+    heldPct: rated.length > 0 ? weighted("heldPct") : 0,
+    locks: rated.flatMap(p => p.lpSafety.locks.map(l => ({ ...l, poolPct: l.pct, pct: l.pct * p.weight }))),
+    team: combineTeamLP(rated),
+  };
+}
+
+function combineTeamLP(pools) {
+  const withTeam = pools.filter(p => p.lpTeam);
+  const wallets = new Map();
+  for (const pool of withTeam) {
+    for (const w of pool.lpTeam.wallets) {
+      const entry = wallets.get(w.address) || { address: w.address, roles: [], pools: [] };
+      entry.roles = [...new Set([...entry.roles, ...w.roles])];
+      entry.pools.push({ lpMint: pool.lpMint, amount: w.amount, pct: pool.lpTeam.withdrawable > 0 ? (w.amount / pool.lpTeam.withdrawable) * 100 : 0 });
+      wallets.set(w.address, entry);
+    }
+  }
+  return {
+    pct: withTeam.reduce((sum, p) => sum + p.lpTeam.pct * p.weight, 0),
+    wallets: [...wallets.values()],
+  };
+}
+
+module.exports = {
+  BURN_EVENT_TYPES,
+  checkLPBurnStatus,
+  allInstructions,
+  feePayer,
+  lpEventsFromTransaction,
+  scanLPEvents,
+  scanLPBurnEvents,
+  teamWallets,
+  findInitialMint,
+  teamLPExposure,
+  liquidityTimeline,
+  computeLPSafety,
+  combineLPSafety,
+};
@@ -0,0 +1,190 @@
+/**
+ * lib/market.js
+ * ===========================================
+ * Token price from pool reserves, with sanity checks
+ * ===========================================
+ *
+ * The XDEX API quotes a USD price per pool. checkPoolPrices() recomputes
+ * it from each pool's vault balances on chain (the other token's reserve
+ * over the token's reserve, times the other token's USD price) and lets
+ * the deepest pool set the token's price, so a thin pool someone pushed
+ * around cannot set the market cap. It flags:
+ *   divergence    a pool prices the token far from the deepest pool
+ *   dust          a pool with next to no liquidity; its price is ignored
+ *   api-mismatch  the API price of a pool disagrees with its reserves
+ */
+
+const { shortAddr, formatPrice, formatDollarValue } = require("./format");
+
+const PRICE_CHECKS = {
+  divergencePct: 20,
+  apiMismatchPct: 10,
+  dustLiquidityUsd: 500,
+};
+
+function deviationPct(value, reference) {
+  return reference > 0 ? (Math.abs(value - reference) / reference) * 100 : 0;
+}
+
+/**
+ * Price of `mint` in one pool. `pool` is an audit pool entry (reserves
+ * under `pool.chain.tokens`), `apiPool` its XDEX pool list entry, if any.
+ */
+function poolPrice(pool, apiPool, mint) {
+  const side = pool.token1.address === mint ? 1 : pool.token2.address === mint ? 2 : null;
+  if (!side) return null;
+  const quote = side === 1 ? pool.token2 : pool.token1;
+  const apiPrice = parseFloat(apiPool?.[`token${side}_price`]) || null;
+  const quoteUsd = parseFloat(apiPool?.[`token${3 - side}_price`]) || null;
+
+  const reserves = pool.chain?.tokens || [];
+  const tokenReserve = reserves.find(t => t.mint === mint)?.reserve ?? null;
+  const quoteReserve = reserves.find(t => t.mint === quote.address)?.reserve ?? null;
+  const hasReserves = tokenReserve > 0 && quoteReserve !== null;
+  const reservePrice = hasReserves ? quoteReserve / tokenReserve : null;
+
+  // Constant-product pools hold the same value on both sides
+  const liquidityUsd = hasReserves && quoteUsd ? 2 * quoteReserve * quoteUsd : pool.tvl || null;
+
+  return {
+    pool: pool.address,
+    quoteMint: quote.address,
+    quoteSymbol: quote.symbol,
+    tokenReserve,
+    quoteReserve,
+    reservePrice,
+    quoteUsd,
+    priceUsd: reservePrice !== null && quoteUsd ? reservePrice * quoteUsd : apiPrice,
+    apiPriceUsd: apiPrice,
+    liquidityUsd,
+    flags: [],
+  };
+}
+
+/**
+ * Price checks over a token's pools. `pools` are audit pool entries,
+ * `apiPools` the XDEX pool list entries they came from.
+ *
+ * Returns { price, source, referencePool, pools, flags }: `price` is the
+ * USD price of the deepest non-dust pool (`source` "reserves" when it
+ * comes from its reserves, "api" when only the API price is known, null
+ * when no pool is priced); `pools` has one entry per pool with its
+ * reserve-implied price and flags; `flags` lists every flag as
+ * { pool, type, message }.
+ */
+function checkPoolPrices(pools, apiPools, mint, thresholds = PRICE_CHECKS) {
+  const limits = { ...PRICE_CHECKS, ...thresholds };
+  const priced = pools
+    .map(pool => poolPrice(pool, apiPools.find(p => p.pool_address === pool.address), mint))
+    .filter(Boolean);
+  const flags = [];
+  const flag = (entry, type, message) => {
+    entry.flags.push(type);
+    flags.push({ pool: entry.pool, type, message: `Pool ${shortAddr(entry.pool)}: ${message}` });
+  };
+
+  for (const entry of priced) {
+    if (entry.liquidityUsd !== null && entry.liquidityUsd < limits.dustLiquidityUsd) {
+      flag(entry, "dust", `only ${formatDollarValue(entry.liquidityUsd)} of liquidity, its price is ignored`);
+    }
+    if (entry.reservePrice !== null && entry.quoteUsd && entry.apiPriceUsd) {
+      const off = deviationPct(entry.apiPriceUsd, entry.priceUsd);
+      if (off > limits.apiMismatchPct) {
+        flag(entry, "api-mismatch", `API price ${formatPrice(entry.apiPriceUsd)} is ${off.toFixed(0)}% off the ${formatPrice(entry.priceUsd)} its reserves imply`);
+      }
+    }
+  }
+
+  const candidates = priced.filter(e => e.priceUsd > 0 && !e.flags.includes("dust"));
+  const reference = candidates.reduce((best, e) => (!best || (e.liquidityUsd || 0) > (best.liquidityUsd || 0) ? e : best), null);
+
+  if (reference) {
+    for (const entry of candidates) {
+      if (entry === reference) continue;
+      const off = deviationPct(entry.priceUsd, reference.priceUsd);
+      if (off > limits.divergencePct) {
+        flag(entry, "divergence", `prices the token ${off.toFixed(0)}% away from the deepest pool ${shortAddr(reference.pool)}`);
+      }
+    }
+  }
+
+  return {
+    price: reference ? reference.priceUsd : 0,
+    source: reference ? (reference.reservePrice !== null && reference.quoteUsd ? "reserves" : "api") : null,
+    referencePool: reference ? reference.pool : null,
+    pools: priced,
+    flags,
+  };
+}
+
+// ─── Sell simulation ─────────────────────────────────────────
+
+/**
+ * Sell size from a spec: a token amount ("250000"), a share of the supply
+ * ("5%"), or "top" for the largest holder's balance. Holders listed in
+ * `exclude` (pool vault authorities) are skipped for "top".
+ * Returns { spec, amount, label }; throws on an unreadable spec.
+ */
+function resolveSellAmount(spec, { supply = 0, holders = [], exclude = [] } = {}) {
+  const text = String(spec).trim().toLowerCase();
+  if (text === "top") {
+    const top = holders.find(h => !exclude.includes(h.address));
+    if (!top) throw new Error("No holder to simulate a sell for");
+    return { spec: text, amount: top.amount, label: `top holder ${shortAddr(top.address)}`, holder: top.address };
+  }
+  const pct = text.match(/^(\d+(?:\.\d+)?)%$/);
+  if (pct) {
+    const value = parseFloat(pct[1]);
+    if (!(value > 0 && value <= 100)) throw new Error(`Invalid supply share: ${spec}`);
+    return { spec: text, amount: (supply * value) / 100, label: `${value}% of supply` };
+  }
+  const amount = parseFloat(text);
+  if (!/^\d+(\.\d+)?$/.test(text) || !(amount > 0)) {
+    throw new Error(`Invalid sell amount: ${spec} (use a token amount, a % of supply or "top")`);
+  }
+  return { spec: text, amount, label: `${amount} tokens` };
+}
+
+/**
+ * Sell `amount` tokens into each pool on its own, along the constant
+ * product curve: out = quoteReserve × in / (tokenReserve + in), where
+ * `in` is the amount after the pool's trade fee. `prices` are the
+ * checkPoolPrices() pool entries, `pools` the audit pool entries (for
+ * the fee rate).
+ *
+ * Returns { amount, pools, best }: each pool gives `output` (quote
+ * tokens received), `outputUsd`, `priceImpactPct` (how far the curve
+ * moves the price, fee excluded) and `feeRate`; pools without reserves
+ * get null output. `best` is the pool that pays the most.
+ */
+function simulateSell(amount, prices, pools) {
+  const results = prices.map(p => {
+    const pool = pools.find(e => e.address === p.pool);
+    const feeRate = pool?.chain?.fees?.tradeFeeRate ?? null;
+    const base = { pool: p.pool, quoteMint: p.quoteMint, quoteSymbol: p.quoteSymbol, feeRate, flags: p.flags };
+    if (!(p.tokenReserve > 0) || p.quoteReserve === null) {
+      return { ...base, output: null, outputUsd: null, priceImpactPct: null };
+    }
+    const amountIn = amount * (1 - (feeRate || 0));
+    const output = (p.quoteReserve * amountIn) / (p.tokenReserve + amountIn);
+    return {
+      ...base,
+      output,
+      outputUsd: p.quoteUsd ? output * p.quoteUsd : null,
+      priceImpactPct: (amountIn / (p.tokenReserve + amountIn)) * 100,
+    };
+  });
+
+  const value = r => (r.outputUsd ?? r.output ?? -1);
+  const best = results
+    .filter(r => r.output !== null)
+    .reduce((top, r) => (!top || value(r) > value(top) ? r : top), null);
+  return { amount, pools: results, best: best ? best.pool : null };
+}
+
+module.exports = {
+  PRICE_CHECKS,
+  checkPoolPrices,
+  resolveSellAmount,
+  simulateSell,
+};
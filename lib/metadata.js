@@ -0,0 +1,164 @@
+/**
+ * lib/metadata.js
+ * ===========================================
+ * Token name/symbol/URI from on-chain metadata
+ * ===========================================
+ *
+ * Sources, in order:
+ *   1. Token-2022 TokenMetadata extension stored on the mint itself
+ *   2. The account a Token-2022 MetadataPointer points at
+ *   3. The Metaplex Token Metadata PDA of the mint
+ */
+
+const crypto = require("crypto");
+const { PublicKey } = require("@solana/web3.js");
+const { METADATA_PROGRAM_ID } = require("./constants");
+const { findExtension, decodeTokenMetadata, readBorshString } = require("./token2022");
+
+const METAPLEX_KEY_METADATA_V1 = 4;
+
+// TLV discriminator of TokenMetadata in accounts owned by metadata-interface programs
+const TOKEN_METADATA_DISCRIMINATOR = crypto
+  .createHash("sha256")
+  .update("spl_token_metadata_interface:token_metadata")
+  .digest()
+  .slice(0, 8);
+
+function findMetadataAddress(mint) {
+  const mintPubkey = new PublicKey(mint);
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from("metadata"), METADATA_PROGRAM_ID.toBuffer(), mintPubkey.toBuffer()],
+    METADATA_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Decode a Metaplex MetadataV1 account.
+ * Returns null when the buffer is not a metadata account.
+ */
+function parseMetaplexMetadata(data) {
+  if (!data || data.length < 65 || data.readUInt8(0) !== METAPLEX_KEY_METADATA_V1) return null;
+
+  try {
+    let offset = 65;
+    let name, symbol, uri;
+    [name, offset] = readBorshString(data, offset);
+    [symbol, offset] = readBorshString(data, offset);
+    [uri, offset] = readBorshString(data, offset);
+
+    const sellerFeeBasisPoints = data.readUInt16LE(offset);
+    offset += 2;
+
+    const creators = [];
+    if (data.readUInt8(offset) === 1) {
+      const count = data.readUInt32LE(offset + 1);
+      offset += 5;
+      for (let i = 0; i < count; i++) {
+        creators.push({
+          address: new PublicKey(data.slice(offset, offset + 32)).toBase58(),
+          verified: data.readUInt8(offset + 32) === 1,
+          share: data.readUInt8(offset + 33),
+        });
+        offset += 34;
+      }
+    } else {
+      offset += 1;
+    }
+
+    const primarySaleHappened = data.readUInt8(offset) === 1;
+    const isMutable = data.readUInt8(offset + 1) === 1;
+
+    return {
+      updateAuthority: new PublicKey(data.slice(1, 33)).toBase58(),
+      mint: new PublicKey(data.slice(33, 65)).toBase58(),
+      name,
+      symbol,
+      uri,
+      sellerFeeBasisPoints,
+      creators,
+      primarySaleHappened,
+      isMutable,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Token-2022 metadata is mutable for as long as an update authority is set */
+function fromTokenMetadata(metadata, updateAuthority, source, address) {
+  return {
+    source,
+    address,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    updateAuthority: updateAuthority || null,
+    isMutable: Boolean(updateAuthority),
+  };
+}
+
+function fromMetaplex(metadata, address) {
+  return {
+    source: "metaplex",
+    address,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    updateAuthority: metadata.updateAuthority,
+    isMutable: metadata.isMutable,
+  };
+}
+
+/** Decode an external metadata account by owner program */
+function parseMetadataAccount(accountInfo, address) {
+  if (accountInfo.owner.equals(METADATA_PROGRAM_ID)) {
+    const metadata = parseMetaplexMetadata(accountInfo.data);
+    return metadata ? fromMetaplex(metadata, address) : null;
+  }
+
+  const data = accountInfo.data;
+  const index = data.indexOf(TOKEN_METADATA_DISCRIMINATOR);
+  if (index === -1) return null;
+  try {
+    const { updateAuthority, ...metadata } = decodeTokenMetadata(data.slice(index + 12));
+    return fromTokenMetadata(metadata, updateAuthority, "token-metadata-interface", address);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a mint's metadata.
+ *
+ * `extensions` are the decoded Token-2022 extensions of the mint (see
+ * checkTokenAuthorities); pass [] for standard SPL mints.
+ * Returns { source, address, name, symbol, uri, updateAuthority, isMutable }
+ * or null when the mint has no metadata.
+ */
+async function resolveTokenMetadata(connection, mint, extensions = []) {
+  const mintAddress = new PublicKey(mint).toBase58();
+  const pointer = findExtension(extensions, "MetadataPointer");
+  const embedded = findExtension(extensions, "TokenMetadata");
+
+  if (embedded?.metadata && (!pointer || !pointer.metadataAddress || pointer.metadataAddress === mintAddress)) {
+    return fromTokenMetadata(embedded.metadata, embedded.authority, "token-2022", mintAddress);
+  }
+
+  if (pointer?.metadataAddress && pointer.metadataAddress !== mintAddress) {
+    const accountInfo = await connection.getAccountInfo(new PublicKey(pointer.metadataAddress));
+    const resolved = accountInfo ? parseMetadataAccount(accountInfo, pointer.metadataAddress) : null;
+    if (resolved) return resolved;
+  }
+
+  const pda = findMetadataAddress(mintAddress);
+  const accountInfo = await connection.getAccountInfo(pda);
+  if (!accountInfo) return null;
+  const metadata = parseMetaplexMetadata(accountInfo.data);
+  return metadata ? fromMetaplex(metadata, pda.toBase58()) : null;
+}
+
+module.exports = {
+  findMetadataAddress,
+  parseMetaplexMetadata,
+  resolveTokenMetadata,
+};
@@ -0,0 +1,200 @@
+/**
+ * lib/provenance.js
+ * ===========================================
+ * Where a pool's initial liquidity came from
+ * ===========================================
+ *
+ * Built from the LP mint events of scanLPEvents(): the first mintTo is
+ * the initial liquidity (XDEX pools mint it in the transaction that
+ * creates the pool), the deposit next to it gives the opening price, and
+ * the burns after it tell whether that LP was given up. The funding
+ * trail of the liquidity provider is followed separately on chain by
+ * traceFunding(); findFirstReceipt() does the same for the first tokens
+ * a holder received.
+ */
+
+const { BURN_EVENT_TYPES, findInitialMint, allInstructions, feePayer } = require("./lp");
+const { fetchSignatureHistory } = require("./history");
+
+const LAMPORTS_PER_XNT = 1e9;
+const FUNDING_HOPS = 2;
+// A wallet with a longer history than this is not traced (exchanges, bots)
+const FUNDING_MAX_SIGNATURES = 1000;
+// How many of a wallet's oldest transactions are searched for its funding
+const FUNDING_FIRST_TXS = 10;
+
+const LP_BURN_TYPES = [...BURN_EVENT_TYPES, "transfer (burn address)"];
+
+/** Wallet that burned an LP burn event (closeAccount burns only know the signer) */
+function burner(event) {
+  return event.type === "closeAccount (burn)" ? event.signer : event.authority;
+}
+
+/**
+ * Initial liquidity of a pool from its LP mint events, or null when the
+ * first mintTo is not among them.
+ *   mint      the audited token, priced in the other token of the pair
+ *   creator   pool creator (pool state or XDEX API)
+ *   symbols   mint -> symbol, for the deposited tokens
+ *
+ * Returns { creator, createdAt, signature, provider, funder, lpAmount,
+ * tokens, price, firstBurn, burnedLP, burnedPct, burnedInFull, funding }.
+ * `price` is the quote token paid per audited token at launch; `burnedLP`
+ * counts the provider's own burns, `burnedInFull` is true when they cover
+ * the whole initial LP. `funding` is left empty for traceFunding().
+ */
+function initialLiquidityProvenance(events, lpMint, { mint, creator = null, symbols = {} } = {}) {
+  const initial = findInitialMint(events, lpMint);
+  if (!initial) return null;
+
+  const provider = initial.destinationOwner || initial.signer;
+  const tokens = (initial.tokens || []).map(t => ({ ...t, symbol: symbols[t.mint] || null }));
+  const base = tokens.find(t => t.mint === mint);
+  const quote = tokens.find(t => t.mint !== mint);
+  const price = base && quote && base.amount > 0
+    ? { quoteMint: quote.mint, quoteSymbol: quote.symbol, value: quote.amount / base.amount }
+    : null;
+
+  const burns = events
+    .filter(e => e.mint === lpMint && LP_BURN_TYPES.includes(e.type) && (e.blockTime || 0) >= (initial.blockTime || 0))
+    .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+  const first = burns[0];
+  const firstBurn = first
+    ? {
+      signature: first.signature,
+      date: first.date,
+      type: first.type,
+      amount: first.amount,
+      by: burner(first),
+      delaySeconds: first.blockTime && initial.blockTime ? first.blockTime - initial.blockTime : null,
+    }
+    : null;
+
+  const burnedLP = burns.filter(e => burner(e) === provider).reduce((sum, e) => sum + e.amount, 0);
+  const burnedPct = initial.amount > 0 ? Math.min(100, (burnedLP / initial.amount) * 100) : 0;
+
+  return {
+    creator,
+    createdAt: initial.date,
+    signature: initial.signature,
+    provider,
+    funder: initial.signer,
+    lpAmount: initial.amount,
+    tokens,
+    price,
+    firstBurn,
+    burnedLP,
+    burnedPct,
+    // Float sums of UI amounts: allow for rounding in the last digits
+    burnedInFull: burnedLP >= initial.amount * 0.9999,
+    funding: [],
+  };
+}
+
+/**
+ * First incoming XNT transfer of `wallet`, searched in its oldest
+ * transactions. Returns { wallet, funder, amount, signature, date } or,
+ * when no funder is found, { wallet, funder: null, reason }.
+ */
+async function findFunder(connection, wallet) {
+  const history = await fetchSignatureHistory(connection, wallet, { maxSignatures: FUNDING_MAX_SIGNATURES });
+  if (!history.complete) {
+    return { wallet, funder: null, reason: `more than ${FUNDING_MAX_SIGNATURES} transactions` };
+  }
+
+  if (history.signatures.length === 0) return { wallet, funder: null, reason: "no transactions" };
+
+  const oldest = history.signatures.slice(-FUNDING_FIRST_TXS).reverse();
+  for (const sig of oldest) {
+    const tx = await connection.getParsedTransaction(sig.signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx?.transaction?.message?.instructions) continue;
+
+    for (const ix of allInstructions(tx)) {
+      if (ix.program !== "system" || !ix.parsed) continue;
+      const info = ix.parsed.info || {};
+      const destination = info.destination || info.newAccount;
+      if (destination !== wallet || !info.source || info.source === wallet) continue;
+      return {
+        wallet,
+        funder: info.source,
+        amount: Number(info.lamports || 0) / LAMPORTS_PER_XNT,
+        signature: sig.signature,
+        date: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+      };
+    }
+  }
+  return { wallet, funder: null, reason: `no incoming XNT in its first ${oldest.length} transactions` };
+}
+
+/**
+ * First time `wallet` received `mint`, searched in the oldest
+ * transactions of its token account. `from` is the wallet whose balance
+ * dropped the most in that transaction, or the fee payer when the tokens
+ * were minted. Returns { wallet, from, amount, signature, date } or, when
+ * nothing is found, { wallet, from: null, reason }.
+ */
+async function findFirstReceipt(connection, wallet, tokenAccount, mint) {
+  const history = await fetchSignatureHistory(connection, tokenAccount, { maxSignatures: FUNDING_MAX_SIGNATURES });
+  if (!history.complete) {
+    return { wallet, from: null, reason: `more than ${FUNDING_MAX_SIGNATURES} transactions` };
+  }
+
+  const oldest = history.signatures.slice(-FUNDING_FIRST_TXS).reverse();
+  for (const sig of oldest) {
+    const tx = await connection.getParsedTransaction(sig.signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx?.meta) continue;
+
+    // Balance change of `mint` per owner
+    const changes = new Map();
+    const add = (b, sign) => {
+      if (b.mint !== mint || !b.owner) return;
+      changes.set(b.owner, (changes.get(b.owner) || 0) + sign * parseFloat(b.uiTokenAmount?.uiAmountString || "0"));
+    };
+    (tx.meta.preTokenBalances || []).forEach(b => add(b, -1));
+    (tx.meta.postTokenBalances || []).forEach(b => add(b, 1));
+
+    const received = changes.get(wallet) || 0;
+    if (received <= 0) continue;
+    const senders = [...changes].filter(([owner, change]) => owner !== wallet && change < 0);
+    const sender = senders.reduce((top, s) => (!top || s[1] < top[1] ? s : top), null);
+    return {
+      wallet,
+      from: sender ? sender[0] : feePayer(tx),
+      amount: received,
+      signature: sig.signature,
+      date: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+    };
+  }
+  return { wallet, from: null, reason: `no receipt in the first ${oldest.length} transactions of its token account` };
+}
+
+/**
+ * Funding trail of `wallet`, up to `hops` wallets back: [findFunder()
+ * result per hop], stopping early at the first wallet without a funder.
+ */
+async function traceFunding(connection, wallet, hops = FUNDING_HOPS) {
+  const trail = [];
+  let current = wallet;
+  const seen = new Set([wallet]);
+  while (current && trail.length < hops) {
+    const hop = await findFunder(connection, current);
+    trail.push(hop);
+    if (!hop.funder || seen.has(hop.funder)) break;
+    seen.add(hop.funder);
+    current = hop.funder;
+  }
+  return trail;
+}
+
+module.exports = {
+  initialLiquidityProvenance,
+  findFunder,
+  findFirstReceipt,
+  traceFunding,
+};
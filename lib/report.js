@@ -0,0 +1,282 @@
+/**
+ * lib/report.js
+ * ===========================================
+ * Versioned, machine-readable audit report
+ * ===========================================
+ *
+ * The document layout is described by schema/audit-report.schema.json.
+ * Bump REPORT_SCHEMA_VERSION (and the schema) whenever a field is
+ * removed or changes meaning; adding optional fields is a minor bump.
+ */
+
+const REPORT_SCHEMA_VERSION = "1.19.0";
+
+function authority(address, revoked) {
+  return { address: address || null, revoked: Boolean(revoked) };
+}
+
+function lpLock(lock) {
+  return {
+    program: lock.program,
+    name: lock.name,
+    escrow: lock.escrow,
+    beneficiary: lock.beneficiary,
+    amount: lock.amount,
+    pct: lock.pct,
+    poolPct: lock.poolPct ?? lock.pct,
+    unlockTime: lock.unlockTime,
+    unlockDate: lock.unlockTime ? new Date(lock.unlockTime * 1000).toISOString() : null,
+  };
+}
+
+/** Per-LP-mint totals split by how the LP left circulation (or is locked) */
+function lpBurnBreakdown(pools, burnEvents, locks) {
+  const byMint = new Map();
+
+  for (const pool of pools) {
+    if (!pool.lpMint || byMint.has(pool.lpMint)) continue;
+    byMint.set(pool.lpMint, {
+      lpMint: pool.lpMint,
+      pool: pool.address,
+      burnChecked: { amount: 0, count: 0 },
+      closeAccount: { amount: 0, count: 0 },
+      burnAddress: { amount: pool.burnAddressAmount },
+      locked: {
+        amount: pool.lockedAmount || 0,
+        locks: (locks || []).filter(l => l.lpMint === pool.lpMint).map(lpLock),
+      },
+      scan: pool.burnScan,
+      events: [],
+    });
+  }
+
+  for (const event of burnEvents) {
+    const entry = byMint.get(event.mint);
+    if (!entry) continue;
+    const bucket = event.type.startsWith("closeAccount") ? entry.closeAccount : entry.burnChecked;
+    bucket.amount += event.amount;
+    bucket.count += 1;
+    entry.events.push({
+      signature: event.signature,
+      date: event.date === "Unknown" ? null : event.date,
+      type: event.type,
+      amount: event.amount,
+      authority: event.authority,
+    });
+  }
+
+  return [...byMint.values()];
+}
+
+/** Build the JSON report document from an auditToken() result */
+function buildJSONReport(audit) {
+  const { token, market, holders, pools, lp, risk } = audit;
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: audit.timestamp,
+    mint: audit.mint,
+    rpcUrl: audit.rpcUrl,
+    token: {
+      symbol: token.symbol || null,
+      name: token.name || null,
+      decimals: token.decimals,
+      supply: token.supply,
+      supplyRaw: token.supplyRaw,
+      isToken2022: token.isToken2022,
+      authorities: {
+        mint: authority(token.mintAuthority, token.mintAuthorityRevoked),
+        freeze: authority(token.freezeAuthority, token.freezeAuthorityRevoked),
+      },
+      extensions: token.extensions || [],
+      metadata: token.metadata || null,
+    },
+    market: {
+      priceUsd: market.price,
+      marketCapUsd: market.marketCap,
+      liquidityUsd: market.liquidity,
+      volume24hUsd: market.volume24h,
+      priceSource: market.priceSource || null,
+      referencePool: market.referencePool || null,
+      poolPrices: (market.prices || []).map(p => ({
+        pool: p.pool,
+        quoteMint: p.quoteMint,
+        tokenReserve: p.tokenReserve,
+        quoteReserve: p.quoteReserve,
+        reservePrice: p.reservePrice,
+        priceUsd: p.priceUsd,
+        apiPriceUsd: p.apiPriceUsd,
+        liquidityUsd: p.liquidityUsd,
+        flags: p.flags,
+      })),
+    },
+    pools: pools.map(pool => ({
+      address: pool.address,
+      dex: pool.dex,
+      source: pool.source,
+      token1: pool.token1,
+      token2: pool.token2,
+      tvlUsd: pool.tvl,
+      lpMint: pool.lpMint,
+      creator: pool.creator || null,
+      lpDecimals: pool.lpDecimals,
+      lpSupplyOriginal: pool.lpSupplyOriginal,
+      lpSupplyCurrent: pool.lpSupplyCurrent,
+      lpMintAuthorityRevoked: pool.lpMintAuthorityRevoked,
+      lpLocked: pool.lockedAmount || 0,
+      lpSafety: pool.lpSafety
+        ? {
+          burnedPct: pool.lpSafety.pct,
+          lockedPct: pool.lpSafety.lockedPct,
+          heldPct: pool.lpSafety.heldPct,
+          estimated: pool.lpSafety.estimated,
+          method: pool.lpSafety.method,
+          weight: pool.weight,
+        }
+        : null,
+      initialLP: pool.initialLP || null,
+      lpTeam: pool.lpTeam
+        ? {
+          pct: pool.lpTeam.pct,
+          amount: pool.lpTeam.amount,
+          withdrawable: pool.lpTeam.withdrawable,
+          wallets: pool.lpTeam.wallets,
+        }
+        : null,
+      liquidity: pool.liquidity
+        ? {
+          adds: pool.liquidity.events.filter(e => e.type === "add").length,
+          removals: pool.liquidity.events.filter(e => e.type === "remove").length,
+          addedLP: pool.liquidity.addedLP,
+          removedLP: pool.liquidity.removedLP,
+          largestRemovalPct: pool.liquidity.largestRemovalPct,
+        }
+        : null,
+      provenance: pool.provenance || null,
+      chain: pool.chain || null,
+      discrepancies: pool.discrepancies || [],
+    })),
+    lpBurns: lpBurnBreakdown(pools, lp.burnEvents, lp.locks),
+    lpSafety: {
+      pct: lp.pct,
+      estimated: lp.estimated,
+      method: lp.method,
+      weighting: lp.weighting || null,
+      originalLP: lp.originalLP,
+      currentLP: lp.currentLP,
+      burnCheckedTotal: lp.burnCheckedTotal,
+      burnAddressTotal: lp.burnAddressTotal,
+      removedTotal: lp.removedTotal || 0,
+      lockedTotal: lp.lockedTotal || 0,
+      lockedPct: lp.lockedPct || 0,
+      heldPct: lp.heldPct || 0,
+    },
+    lpTeam: {
+      pct: lp.team ? lp.team.pct : 0,
+      wallets: lp.team ? lp.team.wallets : [],
+    },
+    clmmPools: (audit.clmmPools || []).map(pool => ({
+      address: pool.address,
+      dex: pool.dex,
+      programId: pool.programId,
+      token1: pool.token1,
+      token2: pool.token2,
+      reserves: pool.reserves,
+      activeLiquidity: pool.activeLiquidity,
+      burnedPct: pool.burnedPct,
+      lockedPct: pool.lockedPct,
+      heldPct: pool.heldPct,
+      positions: pool.positions.map(p => ({
+        address: p.address,
+        positionMint: p.positionMint,
+        holder: p.holder,
+        status: p.status,
+        lock: p.lock
+          ? { ...p.lock, unlockDate: p.lock.unlockTime ? new Date(p.lock.unlockTime * 1000).toISOString() : null }
+          : null,
+        liquidity: p.liquidity,
+        tickLower: p.tickLower,
+        tickUpper: p.tickUpper,
+        inRange: p.inRange,
+        activePct: p.activePct,
+      })),
+    })),
+    liquidityEvents: (lp.liquidityEvents || []).map(e => ({
+      signature: e.signature,
+      date: e.date === "Unknown" ? null : e.date,
+      type: e.type,
+      pool: e.pool,
+      lpMint: e.lpMint,
+      provider: e.provider,
+      lpAmount: e.lpAmount,
+      pct: e.pct,
+      tokens: e.tokens,
+      roles: e.roles,
+    })),
+    holders: {
+      totalHolders: holders.totalHolders,
+      complete: holders.complete,
+      circulatingSupply: holders.circulatingSupply,
+      burned: holders.burned,
+      gini: holders.gini,
+      nakamoto: holders.nakamoto,
+      effectiveTopHolder: holders.clustering?.effectiveTopHolder || null,
+      clusters: holders.clustering
+        ? holders.clustering.clusters.map(c => ({ wallets: c.wallets, amount: c.amount, pct: c.pct, reasons: c.reasons }))
+        : null,
+      topHolders: holders.topHolders.map(h => ({
+        address: h.address,
+        amount: h.amount,
+        pct: h.pct,
+        accounts: h.accounts,
+        type: h.type || null,
+        label: h.label || null,
+      })),
+    },
+    risk: {
+      score: risk.score,
+      rating: risk.rating,
+      ruleset: risk.ruleset,
+      factors: risk.factors.map(f => ({
+        id: f.id,
+        label: f.label,
+        points: f.points,
+        ok: f.ok,
+        evidence: f.evidence,
+      })),
+    },
+    devActivity: audit.devActivity
+      ? {
+        deployer: audit.devActivity.deployer.deployer,
+        deployerTx: audit.devActivity.deployer.signature || null,
+        wallets: audit.devActivity.wallets,
+        summary: audit.devActivity.summary,
+        events: audit.devActivity.events.map(({ blockTime, ...e }) => e),
+      }
+      : null,
+    sellSimulation: audit.sellSimulation
+      ? {
+        spec: audit.sellSimulation.spec,
+        label: audit.sellSimulation.label,
+        amount: audit.sellSimulation.amount,
+        best: audit.sellSimulation.best,
+        pools: audit.sellSimulation.pools.map(p => ({
+          pool: p.pool,
+          quoteMint: p.quoteMint,
+          quoteSymbol: p.quoteSymbol,
+          feeRate: p.feeRate,
+          output: p.output,
+          outputUsd: p.outputUsd,
+          priceImpactPct: p.priceImpactPct,
+        })),
+      }
+      : null,
+    warnings: audit.warnings,
+    incomplete: audit.incomplete,
+  };
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  buildJSONReport,
+};
@@ -0,0 +1,347 @@
+/**
+ * lib/risk.js
+ * ===========================================
+ * Risk scoring shared by every entry point
+ * ===========================================
+ *
+ * Weights, thresholds and rating bands live in a rules file
+ * (rules/risk-rules.json by default, or X1_RISK_RULES). The code below
+ * only decides *which* check fails and what evidence it saw; how many
+ * points that costs comes from the rules.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { shortAddr } = require("./format");
+const { findExtension } = require("./token2022");
+
+const BUILTIN_RULES_FILE = path.join(__dirname, "..", "rules", "risk-rules.json");
+
+function factor(id, label, points, ok, evidence = {}) {
+  return { id, label, points, ok, evidence };
+}
+
+/** Points of the first tier whose `key` threshold the value reaches */
+function tierPoints(tiers, value, key, inclusive = true) {
+  const tier = (tiers || []).find(t => (inclusive ? value >= t[key] : value > t[key]));
+  return tier ? tier.points : 0;
+}
+
+// ─── Rule evaluators ──────────────────────────────────────────
+// One entry per rule id, in report order. Each returns zero or more
+// factors: { id, label, points, ok, evidence }.
+
+const RULE_EVALUATORS = {
+  "mint-authority": ({ token }, rule) => [token.mintAuthorityRevoked
+    ? factor("mint-authority", "Mint authority revoked", 0, true, { mintAuthority: null })
+    : factor("mint-authority", "Mint authority active", rule.points, false, { mintAuthority: token.mintAuthority })],
+
+  "freeze-authority": ({ token }, rule) => [token.freezeAuthorityRevoked
+    ? factor("freeze-authority", "Freeze authority revoked", 0, true, { freezeAuthority: null })
+    : factor("freeze-authority", "Freeze authority active", rule.points, false, { freezeAuthority: token.freezeAuthority })],
+
+  // ─── Token-2022 extensions (rug vectors invisible in the base mint layout) ───
+
+  "t22-permanent-delegate": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "PermanentDelegate");
+    if (!ext?.authority) return [];
+    return [factor("t22-permanent-delegate", `Permanent delegate can move or burn any holder's tokens (${shortAddr(ext.authority)})`,
+      rule.points, false, { delegate: ext.authority })];
+  },
+
+  "t22-non-transferable": ({ token }, rule) => {
+    if (!findExtension(token.extensions, "NonTransferable")) return [];
+    return [factor("t22-non-transferable", "Token is non-transferable", rule.points, false, { extension: "NonTransferable" })];
+  },
+
+  "t22-default-frozen": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "DefaultAccountState");
+    if (ext?.state !== "Frozen") return [];
+    return [factor("t22-default-frozen", "New token accounts start frozen", rule.points, false, { defaultState: ext.state })];
+  },
+
+  "t22-transfer-fee": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "TransferFeeConfig");
+    if (!ext) return [];
+    const bps = Math.max(ext.olderTransferFee?.basisPoints || 0, ext.newerTransferFee?.basisPoints || 0);
+    if (bps === 0) return [];
+    return [factor("t22-transfer-fee", `Transfer fee ${(bps / 100).toFixed(2)}%`,
+      tierPoints(rule.tiers, bps, "minBps"), false, { basisPoints: bps })];
+  },
+
+  "t22-transfer-fee-mutable": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "TransferFeeConfig");
+    if (!ext?.authority) return [];
+    return [factor("t22-transfer-fee-mutable", `Transfer fee can be changed (${shortAddr(ext.authority)})`,
+      rule.points, false, { feeAuthority: ext.authority })];
+  },
+
+  "t22-transfer-hook": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "TransferHook");
+    if (ext?.programId) {
+      return [factor("t22-transfer-hook", `Transfer hook runs program ${shortAddr(ext.programId)} on every transfer`,
+        rule.programPoints, false, { hookProgram: ext.programId, hookAuthority: ext.authority })];
+    }
+    if (ext?.authority) {
+      return [factor("t22-transfer-hook", `Transfer hook can be set (${shortAddr(ext.authority)})`,
+        rule.authorityPoints, false, { hookProgram: null, hookAuthority: ext.authority })];
+    }
+    return [];
+  },
+
+  "t22-mint-close": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "MintCloseAuthority");
+    if (!ext?.authority) return [];
+    return [factor("t22-mint-close", `Mint can be closed (${shortAddr(ext.authority)})`, rule.points, false, { closeAuthority: ext.authority })];
+  },
+
+  "t22-confidential": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "ConfidentialTransferMint");
+    if (!ext) return [];
+    return [factor("t22-confidential", "Confidential transfers hide balances and amounts", rule.points, false, { authority: ext.authority || null })];
+  },
+
+  "t22-pausable": ({ token }, rule) => {
+    const ext = findExtension(token.extensions, "Pausable");
+    if (ext?.paused) {
+      return [factor("t22-pausable", "Transfers are currently paused", rule.pausedPoints, false, { paused: true, pauseAuthority: ext.authority })];
+    }
+    if (ext?.authority) {
+      return [factor("t22-pausable", `Transfers can be paused (${shortAddr(ext.authority)})`, rule.authorityPoints, false, { paused: false, pauseAuthority: ext.authority })];
+    }
+    return [];
+  },
+
+  // Metadata mutability - a dev can rebrand the token after launch
+  "metadata-mutable": ({ token }, rule) => {
+    if (!token.metadata) return [];
+    const evidence = { source: token.metadata.source, updateAuthority: token.metadata.updateAuthority };
+    return [token.metadata.isMutable
+      ? factor("metadata-mutable", `Metadata mutable (update authority ${shortAddr(token.metadata.updateAuthority)})`, rule.points, false, evidence)
+      : factor("metadata-mutable", "Metadata immutable", 0, true, evidence)];
+  },
+
+  // Locked LP counts as secured in proportion to how long the lock has left
+  // (rule.lockTiers); expired or open-ended locks earn no credit
+  "lp-burn": ({ lpSafety, lpLocks, poolCount, now }, rule) => {
+    const pct = lpSafety || 0;
+    const evidence = { lpSafetyPct: Number(pct.toFixed(2)), poolCount };
+    if (poolCount === 0) {
+      return [factor("lp-burn", "No XDEX liquidity found", rule.noPoolsPoints, false, evidence)];
+    }
+
+    const locks = (lpLocks || []).map(lock => {
+      const remainingDays = lock.unlockTime ? Math.max(0, (lock.unlockTime - now) / 86400) : 0;
+      const tier = (rule.lockTiers || []).find(t => remainingDays > 0 && remainingDays >= t.minDays);
+      return { lock, remainingDays, credit: tier ? tier.credit : 0 };
+    });
+    const lockedPct = locks.reduce((sum, l) => sum + l.lock.pct, 0);
+    const securedPct = Math.min(100, pct + locks.reduce((sum, l) => sum + l.lock.pct * l.credit, 0));
+    const points = tierPoints(rule.tiers, securedPct, "minPct");
+
+    let label = points > 0 && pct < 10 ? "LP tokens not burned" : `${pct.toFixed(1)}% of LP burned`;
+    if (locks.length > 0) {
+      const active = locks.filter(l => l.remainingDays > 0).map(l => l.lock.unlockTime);
+      const until = active.length > 0 ? ` until ${new Date(Math.min(...active) * 1000).toISOString().split("T")[0]}` : " (unlocked)";
+      label += `, ${lockedPct.toFixed(1)}% locked${until}`;
+      evidence.lockedPct = Number(lockedPct.toFixed(2));
+      evidence.securedPct = Number(securedPct.toFixed(2));
+      evidence.locks = locks.map(l => ({
+        escrow: l.lock.escrow,
+        locker: l.lock.name,
+        pct: Number(l.lock.pct.toFixed(2)),
+        unlockTime: l.lock.unlockTime,
+        remainingDays: Math.floor(l.remainingDays),
+        credit: l.credit,
+      }));
+    }
+    return [factor("lp-burn", label, points, points === 0, evidence)];
+  },
+
+  // Withdrawable LP in team wallets is the actual rug-pull exposure
+  "lp-team": ({ lpTeam }, rule) => {
+    if (!lpTeam || lpTeam.wallets.length === 0) return [];
+    const points = tierPoints(rule.tiers, lpTeam.pct, "abovePct", false);
+    return [factor("lp-team", `Team wallets hold ${lpTeam.pct.toFixed(1)}% of withdrawable LP`, points, points === 0, {
+      teamPct: Number(lpTeam.pct.toFixed(2)),
+      wallets: lpTeam.wallets.map(w => ({ address: w.address, roles: w.roles })),
+    })];
+  },
+
+  // A past withdrawal of a large share of a pool is a rug already pulled,
+  // or rehearsed; it weighs more when a team wallet pulled it
+  "liquidity-removal": ({ liquidityEvents }, rule) => {
+    const removals = (liquidityEvents || []).filter(e => e.type === "remove");
+    if (removals.length === 0) return [];
+    const largest = removals.reduce((max, e) => (e.pct > max.pct ? e : max));
+    const team = removals.filter(e => e.roles.length > 0 && e.pct >= rule.teamMinPct);
+    const points = tierPoints(rule.tiers, largest.pct, "minPct") + (team.length > 0 ? rule.teamPoints : 0);
+    const label = team.length > 0
+      ? `Team wallet removed ${Math.max(...team.map(e => e.pct)).toFixed(1)}% of a pool's liquidity`
+      : `Largest liquidity removal took ${largest.pct.toFixed(1)}% of a pool`;
+    return [factor("liquidity-removal", label, points, points === 0, {
+      removals: removals.length,
+      largestPct: Number(largest.pct.toFixed(2)),
+      team: team.map(e => ({ signature: e.signature, date: e.date, provider: e.provider, roles: e.roles, pct: Number(e.pct.toFixed(2)) })),
+    })];
+  },
+
+  // Only wallets that can sell count: pool vaults, lockers and other
+  // program accounts are left out once holders are classified
+  "holder-concentration": ({ holders }, rule) => {
+    const all = holders?.topHolders || [];
+    const top = all.filter(h => !h.type || h.type === "wallet").slice(0, rule.topN);
+    if (top.length === 0) return [];
+    const topPct = top.reduce((sum, h) => sum + h.pct, 0);
+    const points = tierPoints(rule.tiers, topPct, "abovePct", false);
+    const who = all.some(h => h.type) ? "wallets" : "holders";
+    return [factor("holder-concentration", `Top ${rule.topN} ${who} own ${topPct.toFixed(1)}%`, points, points === 0, {
+      topN: rule.topN,
+      topPct: Number(topPct.toFixed(2)),
+      holders: top.map(h => h.address),
+      excluded: all.filter(h => h.type && h.type !== "wallet").map(h => ({ address: h.address, type: h.type })),
+    })];
+  },
+
+  // Supply split over linked wallets looks distributed but sells as one
+  "holder-clusters": ({ holders }, rule) => {
+    const clustering = holders?.clustering;
+    if (!clustering || clustering.analyzed === 0) return [];
+    const top = clustering.clusters[0];
+    if (!top) {
+      return [factor("holder-clusters", `No linked wallets among the top ${clustering.analyzed} holders`, 0, true, { analyzed: clustering.analyzed })];
+    }
+    const points = tierPoints(rule.tiers, top.pct, "abovePct", false);
+    return [factor("holder-clusters", `${top.wallets.length} linked wallets hold ${top.pct.toFixed(1)}%`, points, points === 0, {
+      analyzed: clustering.analyzed,
+      clusters: clustering.clusters.length,
+      pct: Number(top.pct.toFixed(2)),
+      wallets: top.wallets,
+      reasons: top.reasons.map(r => r.type),
+    })];
+  },
+
+  // Tokens the dev wallets sold, or parked in fresh wallets to sell later
+  "dev-selling": ({ devActivity }, rule) => {
+    if (!devActivity || devActivity.wallets.length === 0) return [];
+    const { summary } = devActivity;
+    const pct = summary.soldPct + summary.freshPct;
+    const evidence = {
+      wallets: devActivity.wallets.map(w => w.address),
+      sells: summary.sells,
+      soldPct: Number(summary.soldPct.toFixed(2)),
+      freshTransfers: summary.freshTransfers,
+      freshPct: Number(summary.freshPct.toFixed(2)),
+    };
+    if (pct === 0) {
+      return [factor("dev-selling", "No recent dev sells or transfers to fresh wallets", 0, true, evidence)];
+    }
+    const points = tierPoints(rule.tiers, pct, "minPct");
+    const label = `Dev wallets sold ${summary.soldPct.toFixed(1)}% and moved ${summary.freshPct.toFixed(1)}% of supply to fresh wallets`;
+    return [factor("dev-selling", label, points, points === 0, evidence)];
+  },
+};
+
+// ─── Rules files ──────────────────────────────────────────────
+
+function validateRules(rules, source) {
+  const fail = message => {
+    throw new Error(`Invalid risk rules (${source}): ${message}`);
+  };
+  if (!(rules.maxScore > 0 && rules.maxScore <= 100)) fail("`maxScore` must be between 1 and 100");
+  if (!Array.isArray(rules.bands) || rules.bands.length === 0) fail("`bands` must be a non-empty array");
+  rules.bands.forEach((band, i) => {
+    if (typeof band.max !== "number" || !band.rating) fail(`band ${i} needs a numeric max and a rating`);
+    if (i > 0 && band.max <= rules.bands[i - 1].max) fail("band max values must increase");
+  });
+  if (rules.bands[rules.bands.length - 1].max < rules.maxScore) fail("the last band must cover maxScore");
+  for (const id of Object.keys(rules.rules || {})) {
+    if (!RULE_EVALUATORS[id]) fail(`unknown rule "${id}"`);
+  }
+  return rules;
+}
+
+/**
+ * Load a rules file. Rules given in the file are merged over the built-in
+ * ones per rule id, so a file only needs the weights it changes; `bands`
+ * replaces the built-in bands when present. `"enabled": false` turns a
+ * rule off. Throws on unreadable or inconsistent files.
+ */
+function loadRiskRules(file) {
+  const builtin = JSON.parse(fs.readFileSync(BUILTIN_RULES_FILE, "utf8"));
+  if (!file) return validateRules(builtin, BUILTIN_RULES_FILE);
+
+  const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+  const merged = {
+    ...builtin,
+    ...custom,
+    name: custom.name || path.basename(file, ".json"),
+    rules: { ...builtin.rules },
+  };
+  for (const [id, rule] of Object.entries(custom.rules || {})) {
+    merged.rules[id] = { ...builtin.rules[id], ...rule };
+  }
+  return validateRules(merged, file);
+}
+
+let defaultRules = null;
+
+/**
+ * The X1_RISK_RULES rules, else the built-in ones. Loaded on first use, so
+ * a bad rules file fails the audit or CLI that needs it, not require().
+ */
+function defaultRiskRules() {
+  if (!defaultRules) defaultRules = loadRiskRules(process.env.X1_RISK_RULES);
+  return defaultRules;
+}
+
+function getRiskRating(score, rules = defaultRiskRules()) {
+  return rules.bands.find(level => score <= level.max) || rules.bands[rules.bands.length - 1];
+}
+
+/** One "🟢 0-24:  LOW — ..." line per risk level, for report legends */
+function formatRiskLevels(rules = defaultRiskRules()) {
+  let min = 0;
+  return rules.bands.map(level => {
+    const line = `${level.emoji} ${`${min}-${level.max}:`.padEnd(6)} ${level.rating} — ${level.description}`;
+    min = level.max + 1;
+    return line;
+  });
+}
+
+/**
+ * Score a token from 0 (safe) to `maxScore` (likely rug).
+ * Every check contributes a factor with the evidence it was based on;
+ * `ok` factors carry 0 points. `lpLocks` and `lpTeam` are combineLPSafety()'s
+ * `locks` and `team`, `liquidityEvents` the pools' liquidityTimeline()
+ * events, `devActivity` the trackDevActivity() result; `now` (unix
+ * seconds) dates the remaining lock time.
+ */
+function calculateRiskScore({ token, lpSafety, lpLocks = [], lpTeam = null, liquidityEvents = [], holders, devActivity = null, poolCount, now = Date.now() / 1000 }, rules = defaultRiskRules()) {
+  const factors = [];
+
+  for (const [id, evaluate] of Object.entries(RULE_EVALUATORS)) {
+    const rule = rules.rules[id];
+    if (!rule || rule.enabled === false) continue;
+    factors.push(...evaluate({ token, lpSafety, lpLocks, lpTeam, liquidityEvents, holders, devActivity, poolCount, now }, rule));
+  }
+
+  const score = Math.min(factors.reduce((sum, f) => sum + f.points, 0), rules.maxScore);
+  const level = getRiskRating(score, rules);
+
+  return {
+    score,
+    rating: level.rating,
+    emoji: level.emoji,
+    ruleset: rules.name,
+    factors,
+  };
+}
+
+module.exports = {
+  defaultRiskRules,
+  loadRiskRules,
+  getRiskRating,
+  formatRiskLevels,
+  calculateRiskScore,
+};
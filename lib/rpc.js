@@ -0,0 +1,141 @@
+/**
+ * lib/rpc.js
+ * ===========================================
+ * Rate-limited, retrying RPC client
+ * ===========================================
+ *
+ * createRpcClient() wraps a web3.js Connection and exposes the same
+ * methods the audit uses, with three guarantees:
+ *   - at most `concurrency` requests are in flight at once
+ *   - 429 / 5xx / network errors are retried with exponential backoff
+ *   - account lookups are batched through getMultiple* (100 per call)
+ *
+ * Errors that survive the retries are thrown, never swallowed, so callers
+ * can mark their section of the result as incomplete.
+ */
+
+const { Connection } = require("@solana/web3.js");
+const { DEFAULT_RPC, RPC_CONCURRENCY, RPC_MAX_RETRIES } = require("./constants");
+
+const MAX_BATCH_SIZE = 100;
+const RETRYABLE_PATTERN = /\b429\b|too many requests|rate limit|ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|fetch failed|timed out/i;
+// A 5xx only counts as an HTTP status: web3.js starts the message with it
+// ("503 Service Unavailable: ..."), other clients put it after HTTP or status
+const HTTP_5XX_PATTERN = /^5\d\d\b|\b(?:HTTP(?:\/[\d.]+)?|status(?: code)?:?)\s*5\d\d\b/i;
+
+function isRetryableError(err) {
+  const status = err?.status ?? err?.statusCode;
+  if (status >= 500 && status < 600) return true;
+  const message = String(err?.message || err);
+  return RETRYABLE_PATTERN.test(message) || HTTP_5XX_PATTERN.test(message);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** Promise-returning semaphore: limit(fn) runs fn once a slot is free */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Wrap a Connection (or an RPC URL).
+ *
+ * Options:
+ *   concurrency   Max requests in flight (default: X1_RPC_CONCURRENCY or 4)
+ *   maxRetries    Retries per request on 429/5xx (default: X1_RPC_MAX_RETRIES or 4)
+ *   baseDelayMs   First backoff delay, doubled per retry (default: 500)
+ *   fetch         fetch() used by a Connection built from a URL (see lib/capture.js)
+ */
+function createRpcClient(connectionOrUrl, options = {}) {
+  if (connectionOrUrl?.isRpcClient) return connectionOrUrl;
+
+  // web3.js has its own 429 retry loop; ours replaces it so the limits apply
+  const connection = connectionOrUrl && typeof connectionOrUrl === "object"
+    ? connectionOrUrl
+    : new Connection(connectionOrUrl || DEFAULT_RPC, {
+      commitment: "confirmed",
+      disableRetryOnRateLimit: true,
+      ...(options.fetch ? { fetch: options.fetch } : {}),
+    });
+
+  const maxRetries = options.maxRetries ?? RPC_MAX_RETRIES;
+  const baseDelayMs = options.baseDelayMs ?? 500;
+  const limit = createLimiter(options.concurrency || RPC_CONCURRENCY);
+  const stats = { requests: 0, retries: 0, failures: 0 };
+
+  async function call(method, ...args) {
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      try {
+        return await limit(() => connection[method](...args));
+      } catch (err) {
+        if (attempt >= maxRetries || !isRetryableError(err)) {
+          stats.failures++;
+          throw err;
+        }
+        stats.retries++;
+        const delay = baseDelayMs * Math.pow(2, attempt);
+        await sleep(delay + Math.floor(Math.random() * delay * 0.25));
+      }
+    }
+  }
+
+  async function batched(method, pubkeys, ...args) {
+    const results = await Promise.all(
+      chunk(pubkeys, MAX_BATCH_SIZE).map(keys => call(method, keys, ...args))
+    );
+    return results.flatMap(r => (Array.isArray(r) ? r : r.value));
+  }
+
+  return {
+    isRpcClient: true,
+    connection,
+    rpcEndpoint: connection.rpcEndpoint,
+    stats,
+    call,
+    getAccountInfo: (...args) => call("getAccountInfo", ...args),
+    getParsedAccountInfo: (...args) => call("getParsedAccountInfo", ...args),
+    getTokenLargestAccounts: (...args) => call("getTokenLargestAccounts", ...args),
+    getSignaturesForAddress: (...args) => call("getSignaturesForAddress", ...args),
+    getParsedTransaction: (...args) => call("getParsedTransaction", ...args),
+    getProgramAccounts: (...args) => call("getProgramAccounts", ...args),
+    getParsedProgramAccounts: (...args) => call("getParsedProgramAccounts", ...args),
+    getMultipleAccountsInfo: (pubkeys, ...args) => batched("getMultipleAccountsInfo", pubkeys, ...args),
+    getMultipleParsedAccounts: (pubkeys, ...args) => batched("getMultipleParsedAccounts", pubkeys, ...args),
+  };
+}
+
+module.exports = {
+  createRpcClient,
+  createLimiter,
+  isRetryableError,
+};
@@ -0,0 +1,190 @@
+/**
+ * lib/snapshot.js
+ * ===========================================
+ * Holder snapshots and how the distribution moved between them
+ * ===========================================
+ *
+ * A snapshot is the full holder list of a mint at one point in time,
+ * stored as one JSON file per snapshot:
+ *   <dir>/<mint>/<takenAt>.json
+ *   { version, mint, takenAt, supply, metrics, holders: [{ address, amount, pct, type, label }] }
+ *
+ * `type` (see classifyHolders) is only set for the largest holders, so
+ * new whales and the top wallets can be told apart from pool vaults.
+ * diffSnapshots() compares two snapshots of the same mint.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PublicKey } = require("@solana/web3.js");
+const { checkTokenAuthorities, getTokenHolders } = require("./token");
+const { classifyHolders, sellableHolders } = require("./holders");
+
+const SNAPSHOT_VERSION = 1;
+
+const DEFAULT_SNAPSHOT_DIR = process.env.X1_SNAPSHOT_DIR || path.join(os.homedir(), ".x1-token-audit", "snapshots");
+
+// Holders classified per snapshot, and compared for accumulation
+const SNAPSHOT_TOP_N = 20;
+// A wallet holding at least this share of the circulating supply is a whale
+const WHALE_PCT = 1;
+
+/** Concentration metrics of a holder list sorted largest first */
+function snapshotMetrics(summary, holders) {
+  const wallets = sellableHolders(holders);
+  return {
+    totalHolders: summary.totalHolders,
+    circulatingSupply: summary.circulatingSupply,
+    gini: summary.gini,
+    nakamoto: summary.nakamoto,
+    top10WalletsPct: wallets.slice(0, 10).reduce((sum, h) => sum + h.pct, 0),
+  };
+}
+
+/**
+ * Take a snapshot of every holder of `mint`. Throws when the mint does
+ * not exist or its token accounts cannot be enumerated: a partial holder
+ * list would show up as holders exiting in the next diff.
+ */
+async function takeHolderSnapshot(connection, mint) {
+  const token = await checkTokenAuthorities(connection, new PublicKey(mint));
+  if (!token.exists) throw new Error(`Mint not found: ${mint}`);
+
+  const summary = await getTokenHolders(connection, mint, {
+    supply: token.supply,
+    isToken2022: token.isToken2022,
+    top: Infinity,
+  });
+  const top = await classifyHolders(connection, summary.topHolders.slice(0, SNAPSHOT_TOP_N));
+  const holders = [
+    ...top,
+    ...summary.topHolders.slice(SNAPSHOT_TOP_N),
+  ].map(h => ({ address: h.address, amount: h.amount, pct: h.pct, type: h.type || null, label: h.label || null }));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    mint,
+    takenAt: new Date().toISOString(),
+    supply: token.supply,
+    metrics: snapshotMetrics(summary, holders),
+    holders,
+  };
+}
+
+/**
+ * Open (and create on save) a snapshot directory.
+ * Returns { dir, save(snapshot), list(mint), load(file), latest(mint, count) }:
+ * list() gives a mint's snapshot files oldest first, latest() the newest
+ * `count` snapshots, oldest first.
+ */
+function createSnapshotStore(dir = DEFAULT_SNAPSHOT_DIR) {
+  const mintDir = mint => path.join(dir, mint);
+
+  function save(snapshot) {
+    fs.mkdirSync(mintDir(snapshot.mint), { recursive: true });
+    const file = path.join(mintDir(snapshot.mint), `${snapshot.takenAt.replace(/:/g, "-")}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    // A half-written snapshot would break every later diff of the mint
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(snapshot));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      throw err;
+    }
+    return file;
+  }
+
+  function list(mint) {
+    try {
+      return fs.readdirSync(mintDir(mint))
+        .filter(name => name.endsWith(".json"))
+        .sort()
+        .map(name => path.join(mintDir(mint), name));
+    } catch {
+      return [];
+    }
+  }
+
+  function load(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.holders)) {
+      throw new Error(`Not a holder snapshot (version ${SNAPSHOT_VERSION}): ${file}`);
+    }
+    return snapshot;
+  }
+
+  function latest(mint, count = 2) {
+    return list(mint).slice(-count).map(load);
+  }
+
+  return { dir, save, list, load, latest };
+}
+
+// ─── Diff ────────────────────────────────────────────────────
+
+/**
+ * How the holder distribution moved from `before` to `after`:
+ *   metrics      { before, after, change } per concentration metric
+ *   newHolders / exitedHolders   holder counts that appeared / left
+ *   newWhales    wallets at WHALE_PCT or more that were below it before
+ *   exitedWhales holders at WHALE_PCT or more before that sold out
+ *   top          the top 20 wallets of `before`: what each holds now and
+ *                their net change, as { wallets, netChange, netChangePct,
+ *                direction: "accumulation" | "distribution" | "flat" }
+ */
+function diffSnapshots(before, after) {
+  if (before.mint !== after.mint) {
+    throw new Error(`Snapshots are of different mints: ${before.mint} and ${after.mint}`);
+  }
+  const was = new Map(before.holders.map(h => [h.address, h]));
+  const now = new Map(after.holders.map(h => [h.address, h]));
+  const circulating = after.metrics.circulatingSupply || before.metrics.circulatingSupply;
+
+  const metrics = {};
+  for (const key of Object.keys(after.metrics)) {
+    metrics[key] = { before: before.metrics[key], after: after.metrics[key], change: after.metrics[key] - before.metrics[key] };
+  }
+
+  const newWhales = after.holders
+    .filter(h => (!h.type || h.type === "wallet") && h.pct >= WHALE_PCT && !(was.get(h.address)?.pct >= WHALE_PCT))
+    .map(h => ({ address: h.address, amount: h.amount, pct: h.pct, before: was.get(h.address)?.amount || 0 }));
+  const exitedWhales = before.holders
+    .filter(h => h.pct >= WHALE_PCT && !now.has(h.address))
+    .map(h => ({ address: h.address, amount: h.amount, pct: h.pct, type: h.type }));
+
+  const wallets = sellableHolders(before.holders.slice(0, SNAPSHOT_TOP_N)).map(h => {
+    const amount = now.get(h.address)?.amount || 0;
+    return { address: h.address, before: h.amount, after: amount, change: amount - h.amount };
+  });
+  const netChange = wallets.reduce((sum, w) => sum + w.change, 0);
+  const netChangePct = circulating > 0 ? (netChange / circulating) * 100 : 0;
+
+  return {
+    mint: after.mint,
+    from: before.takenAt,
+    to: after.takenAt,
+    elapsedSeconds: Math.round((Date.parse(after.takenAt) - Date.parse(before.takenAt)) / 1000),
+    metrics,
+    newHolders: after.holders.filter(h => !was.has(h.address)).length,
+    exitedHolders: before.holders.filter(h => !now.has(h.address)).length,
+    newWhales,
+    exitedWhales,
+    top: {
+      wallets,
+      netChange,
+      netChangePct,
+      // Changes under 0.01% of supply are noise
+      direction: Math.abs(netChangePct) < 0.01 ? "flat" : netChange > 0 ? "accumulation" : "distribution",
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT_DIR,
+  WHALE_PCT,
+  takeHolderSnapshot,
+  createSnapshotStore,
+  diffSnapshots,
+};
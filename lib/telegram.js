@@ -0,0 +1,228 @@
+/**
+ * lib/telegram.js
+ * ===========================================
+ * The /audit report of the Telegram bot
+ * ===========================================
+ *
+ * Telegram rejects messages over 4096 characters; splitMessage() cuts a
+ * long report into messages that fit, at section breaks where it can.
+ */
+
+const { EXPLORER_URL } = require("./constants");
+const {
+  shortAddr,
+  formatNumber,
+  formatPrice,
+  formatDollarValue,
+  formatLockUntil,
+  formatRiskFactor,
+  poolPairName,
+  formatPoolLPTable,
+  formatClmmPool,
+  formatLiquidityEvent,
+  formatHolderType,
+  formatHolderClusters,
+  formatDevActivity,
+} = require("./format");
+const { formatRiskLevels } = require("./risk");
+
+const TELEGRAM_MAX_MESSAGE = 4096;
+
+/**
+ * `text` cut into messages of at most `max` characters: between sections
+ * (blank lines) where possible, else between lines, and a line longer
+ * than `max` on its own is cut wherever it has to be.
+ */
+function splitMessage(text, max = TELEGRAM_MAX_MESSAGE) {
+  const messages = [];
+  let current = "";
+  const add = (piece, separator) => {
+    if (current && current.length + separator.length + piece.length <= max) {
+      current += separator + piece;
+      return;
+    }
+    if (current) messages.push(current);
+    current = piece;
+  };
+  for (const section of text.split("\n\n")) {
+    if (section.length <= max) {
+      add(section, "\n\n");
+      continue;
+    }
+    section.split("\n").forEach((line, i) => {
+      for (let at = 0; at < line.length || at === 0; at += max) {
+        add(line.slice(at, at + max), at > 0 ? "" : i === 0 ? "\n\n" : "\n");
+      }
+    });
+  }
+  if (current || messages.length === 0) messages.push(current);
+  return messages;
+}
+
+/** Full /audit report for an auditToken() result, as Markdown (see splitMessage) */
+function formatAuditReport(audit) {
+  const { token, market, holders, pools, lp, risk } = audit;
+  const burns = lp.burnEvents;
+
+  let response = `─────────────────────────────────────────────────────\n`;
+  response += `💰 TOKEN: ${token.symbol || "Unknown"}\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `Price:        ${market.price > 0 ? formatPrice(market.price) : "$N/A"}\n`;
+  response += `Market Cap:   ${market.marketCap > 0 ? formatDollarValue(market.marketCap) : "$N/A"}\n`;
+  response += `Liquidity:    ${formatDollarValue(market.liquidity)}\n`;
+  response += `Vol 24h:      ${formatDollarValue(market.volume24h)}\n`;
+  const priceFlags = market.prices.filter(p => p.flags.length > 0);
+  if (priceFlags.length > 0) {
+    response += `⚖️ Price checks: ${priceFlags.length} pool(s) flagged (${[...new Set(priceFlags.flatMap(p => p.flags))].join(", ")})\n`;
+  }
+  response += `\n`;
+
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `👥 TOKEN HOLDERS\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `Total Holders: ${holders.totalHolders}${holders.complete ? "" : " (20 largest accounts only)"}\n`;
+  if (holders.totalHolders > 0) {
+    response += `Gini: ${holders.gini.toFixed(3)} · Nakamoto: ${holders.nakamoto}\n`;
+  }
+  if (holders.clustering) {
+    formatHolderClusters(holders.clustering).forEach(line => {
+      response += `${line}\n`;
+    });
+  }
+  if (holders.topHolders.length > 0) {
+    response += `Top Holders:\n`;
+    holders.topHolders.slice(0, 5).forEach((h, i) => {
+      response += `  ${i + 1}. ${shortAddr(h.address)} - ${formatNumber(h.amount)} (${h.pct.toFixed(2)}%)${formatHolderType(h)}\n`;
+    });
+  }
+  response += `\n`;
+
+  if (audit.devActivity) {
+    response += `─────────────────────────────────────────────────────\n`;
+    response += `👨‍💻 DEV ACTIVITY\n`;
+    response += `─────────────────────────────────────────────────────\n`;
+    formatDevActivity(audit.devActivity, pools, 5).forEach(line => {
+      response += `${line}\n`;
+    });
+    response += `\n`;
+  }
+
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `📊 AUDIT SUMMARY\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `| Metric                              | Value\n`;
+  response += `| ----------------------------------- | ------------\n`;
+  response += `| Mint Authority                      | ${token.mintAuthorityRevoked ? "✅ REVOKED" : "⚠️ ACTIVE"}\n`;
+  response += `| Freeze Authority                    | ${token.freezeAuthorityRevoked ? "✅ REVOKED" : "⚠️ ACTIVE"}\n`;
+  if (token.metadata) {
+    response += `| Metadata                            | ${token.metadata.isMutable ? "⚠️ MUTABLE" : "✅ IMMUTABLE"}\n`;
+  }
+  if (token.isToken2022) {
+    response += `| Token-2022 Extensions               | ${token.extensions.map(e => e.name).join(", ") || "none"}\n`;
+  }
+  response += `| Total Supply                        | ${formatNumber(token.supply)} (${token.decimals} decimals)\n`;
+  response += `| Pools Found                         | ${pools.length}\n`;
+  response += `| LP Burned (BurnChecked)            | ${formatNumber(lp.burnCheckedTotal)} (${burns.length} txs)\n`;
+  response += `| LP Burned (Burn Addr)              | ${formatNumber(lp.burnAddressTotal)}\n`;
+  if (lp.lockedTotal > 0) {
+    response += `| LP Locked (not burned)              | ${formatNumber(lp.lockedTotal)} (${lp.lockedPct.toFixed(1)}%) ${formatLockUntil(lp.locks, Date.parse(audit.timestamp) / 1000)}\n`;
+  }
+  if (lp.team.wallets.length > 0) {
+    const roles = [...new Set(lp.team.wallets.flatMap(w => w.roles))].join(", ");
+    response += `| LP Held by Team                     | ⚠️ ${lp.team.pct.toFixed(1)}% of withdrawable LP (${roles})\n`;
+  }
+  const removals = lp.liquidityEvents.filter(e => e.type === "remove");
+  if (removals.length > 0) {
+    const byTeam = removals.some(e => e.roles.length > 0) ? " 🚩 incl. team" : "";
+    response += `| Liquidity Removals                  | ${removals.length} (largest ${Math.max(...removals.map(e => e.pct)).toFixed(1)}% of a pool)${byTeam}\n`;
+  }
+  response += `| LP Safety                           | ${lp.pct.toFixed(1)}%${lp.estimated ? " (est.)" : ""}\n`;
+  response += `| Risk Score                          | ${risk.score}/100 ${risk.emoji} ${risk.rating}\n`;
+  if (audit.incomplete.length > 0) {
+    response += `| Data                                | ⚠️ INCOMPLETE (${audit.incomplete.join(", ")})\n`;
+  }
+  response += `\n`;
+
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `🔥 BURNCHECKED TRANSACTIONS\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  if (burns.length > 0) {
+    burns.slice(0, 5).forEach((tx, i) => {
+      const txUrl = `${EXPLORER_URL}/tx/${tx.signature}`;
+      response += `${i + 1}. ${formatNumber(tx.amount)} LP on ${tx.date.split("T")[0]} ([TX Explorer](${txUrl}))\n`;
+    });
+  } else {
+    response += `No BurnChecked transactions found.\n`;
+  }
+  response += `\n`;
+
+  if (removals.length > 0) {
+    response += `─────────────────────────────────────────────────────\n`;
+    response += `💧 LIQUIDITY REMOVALS\n`;
+    response += `─────────────────────────────────────────────────────\n`;
+    removals.slice(-5).forEach(e => {
+      response += `• ${formatLiquidityEvent(e)} ([TX](${EXPLORER_URL}/tx/${e.signature}))\n`;
+    });
+    response += `\n`;
+  }
+
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `🏊 XDEX POOL DISCOVERY\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `✅ Discovered ${pools.length} pool(s)\n\n`;
+  pools.forEach(pool => {
+    const burnNote = pool.burnEventCount > 0 ? `, ${pool.burnEventCount} BurnChecked txs ✅` : "";
+    const source = pool.source === "chain" ? " (from chain state, API down)" : "";
+    response += `• ${poolPairName(pool)} Pool: ${formatNumber(pool.lpSupplyOriginal)} LP supply${burnNote}${source}\n`;
+    pool.discrepancies.forEach(d => {
+      response += `  ⚠️ API ${d.field} differs from chain\n`;
+    });
+  });
+  if (pools.length > 0) {
+    response += `\nLP per pool (LP Safety is ${lp.weighting === "tvl" ? "TVL" : "equal"}-weighted):\n`;
+    formatPoolLPTable(pools).forEach(line => {
+      response += `${line}\n`;
+    });
+  }
+  response += `\n`;
+
+  if (audit.clmmPools.length > 0) {
+    response += `─────────────────────────────────────────────────────\n`;
+    response += `🎯 CLMM POSITIONS\n`;
+    response += `─────────────────────────────────────────────────────\n`;
+    audit.clmmPools.forEach(pool => {
+      formatClmmPool(pool).forEach(line => {
+        response += `${line}\n`;
+      });
+    });
+    response += `\n`;
+  }
+
+  response += `─────────────────────────────────────────────────────\n`;
+  response += `✅ SUMMARY\n`;
+  response += `─────────────────────────────────────────────────────\n`;
+  if (risk.score === 0) {
+    response += `Strong security profile - mint/freeze revoked, LP\n`;
+    response += `burn percentage: ${lp.pct.toFixed(1)}%.\n`;
+    response += `🟢 LOW RISK.\n`;
+  } else {
+    response += `Risk factors detected: ${risk.rating} ${risk.emoji}\n`;
+    risk.factors.filter(f => !f.ok).forEach(f => {
+      response += formatRiskFactor(f).join("\n") + "\n";
+    });
+  }
+  response += `\n`;
+  response += `📋 Risk Levels:\n`;
+  response += formatRiskLevels(audit.riskRules).join("\n") + "\n\n";
+
+  response += `_Audit completed at ${audit.timestamp}_\n`;
+  response += `🔗 Explorer: ${EXPLORER_URL}/address/${audit.mint}`;
+
+  return response;
+}
+
+module.exports = {
+  TELEGRAM_MAX_MESSAGE,
+  splitMessage,
+  formatAuditReport,
+};
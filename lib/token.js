@@ -0,0 +1,233 @@
+/**
+ * lib/token.js
+ * ===========================================
+ * Mint account decoding and holder lookups
+ * ===========================================
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { BURN_ADDRESSES, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require("./constants");
+const { parseMintExtensions } = require("./token2022");
+
+function isValidAddress(addr) {
+  try {
+    new PublicKey(addr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode the 82-byte SPL mint layout (shared by Token-2022).
+ * Returns null when the buffer is too short to be a mint.
+ */
+function parseMintData(data) {
+  if (!data || data.length < 82) return null;
+
+  const result = {
+    mintAuthority: null,
+    mintAuthorityRevoked: false,
+    freezeAuthority: null,
+    freezeAuthorityRevoked: false,
+    supplyRaw: "0",
+    supply: 0,
+    decimals: 0,
+    isInitialized: false,
+  };
+
+  if (data.readUInt32LE(0) === 1) {
+    result.mintAuthority = new PublicKey(data.slice(4, 36)).toBase58();
+  } else {
+    result.mintAuthorityRevoked = true;
+  }
+
+  const supplyRaw = data.readBigUInt64LE(36);
+  result.decimals = data.readUInt8(44);
+  result.supplyRaw = supplyRaw.toString();
+  result.supply = Number(supplyRaw) / Math.pow(10, result.decimals);
+  result.isInitialized = data.readUInt8(45) === 1;
+
+  if (data.readUInt32LE(46) === 1) {
+    result.freezeAuthority = new PublicKey(data.slice(50, 82)).toBase58();
+  } else {
+    result.freezeAuthorityRevoked = true;
+  }
+
+  return result;
+}
+
+/**
+ * Mint/freeze authority, supply and token program of a mint,
+ * plus the decoded extensions of Token-2022 mints.
+ */
+async function checkTokenAuthorities(connection, mintPubkey) {
+  const accountInfo = await connection.getAccountInfo(mintPubkey);
+  const parsed = accountInfo ? parseMintData(accountInfo.data) : null;
+
+  if (!parsed) {
+    return {
+      exists: false,
+      mintAuthority: null,
+      mintAuthorityRevoked: false,
+      freezeAuthority: null,
+      freezeAuthorityRevoked: false,
+      supplyRaw: "0",
+      supply: 0,
+      decimals: 0,
+      isToken2022: false,
+      extensions: [],
+    };
+  }
+
+  const isToken2022 = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID);
+  return {
+    exists: true,
+    ...parsed,
+    isToken2022,
+    extensions: isToken2022 ? parseMintExtensions(accountInfo.data) : [],
+  };
+}
+
+// Token account layout: mint at 0, owner at 32. Token-2022 accounts
+// with extensions are longer, so those are matched on the mint only
+const TOKEN_ACCOUNT_SIZE = 165;
+const TOP_HOLDERS = 20;
+
+/**
+ * Every token account of `mint`, as [{ address, owner, amount }], from a
+ * single getProgramAccounts call on the mint's token program.
+ */
+async function scanTokenAccounts(connection, mint, isToken2022 = false) {
+  const tokenProgram = isToken2022 ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+  const filters = [{ memcmp: { offset: 0, bytes: mint } }];
+  if (!isToken2022) filters.unshift({ dataSize: TOKEN_ACCOUNT_SIZE });
+
+  const accounts = await connection.getParsedProgramAccounts(tokenProgram, { filters });
+  return accounts
+    .map(({ pubkey, account }) => {
+      const info = account.data?.parsed?.info;
+      if (!info) return null;
+      return {
+        address: pubkey.toBase58(),
+        owner: info.owner,
+        amount: parseFloat(info.tokenAmount?.uiAmountString || "0"),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Gini coefficient of a set of balances: 0 when everyone holds the same,
+ * approaching 1 when one holder has everything.
+ */
+function giniCoefficient(amounts) {
+  const sorted = amounts.filter(a => a > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, a) => sum + a, 0);
+  if (sorted.length === 0 || total === 0) return 0;
+  const weighted = sorted.reduce((sum, a, i) => sum + (i + 1) * a, 0);
+  const n = sorted.length;
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Nakamoto coefficient: the fewest holders that together own more than
+ * half of `total`. `amounts` must be sorted largest first.
+ */
+function nakamotoCoefficient(amounts, total) {
+  let held = 0;
+  for (let i = 0; i < amounts.length; i++) {
+    held += amounts[i];
+    if (held > total / 2) return i + 1;
+  }
+  return 0;
+}
+
+/**
+ * Holder distribution from token accounts ([{ address, owner, amount }]),
+ * one holder per owner with the addresses of its token accounts. Burn
+ * addresses are not holders, and what they hold is taken out of the
+ * circulating supply; percentages are of that supply. `supply` is the
+ * mint supply (0: use the sum of the accounts); `top` caps topHolders.
+ */
+function summarizeHolders(accounts, supply = 0, top = TOP_HOLDERS) {
+  const byOwner = new Map();
+  let burned = 0;
+  let counted = 0;
+
+  for (const account of accounts) {
+    counted += account.amount;
+    if (BURN_ADDRESSES.includes(account.owner)) {
+      burned += account.amount;
+      continue;
+    }
+    if (!(account.amount > 0)) continue;
+    const holder = byOwner.get(account.owner) || { address: account.owner, amount: 0, accounts: 0, tokenAccounts: [], pct: 0 };
+    holder.amount += account.amount;
+    holder.accounts += 1;
+    holder.tokenAccounts.push(account.address);
+    byOwner.set(account.owner, holder);
+  }
+
+  const circulatingSupply = Math.max(0, (supply > 0 ? supply : counted) - burned);
+  const holders = [...byOwner.values()].sort((a, b) => b.amount - a.amount);
+  if (circulatingSupply > 0) {
+    holders.forEach(h => {
+      h.pct = (h.amount / circulatingSupply) * 100;
+    });
+  }
+
+  const amounts = holders.map(h => h.amount);
+  return {
+    totalHolders: holders.length,
+    topHolders: holders.slice(0, top),
+    circulatingSupply,
+    burned,
+    gini: giniCoefficient(amounts),
+    nakamoto: nakamotoCoefficient(amounts, circulatingSupply),
+  };
+}
+
+/**
+ * Every holder of a mint, from all its token accounts (summarizeHolders()
+ * output, with `complete: true`). Pass the mint's `supply` and whether it
+ * is a Token-2022 mint from checkTokenAuthorities(), and `top` to keep
+ * more than the 20 largest holders (Infinity: all of them). RPC errors
+ * propagate; RPC nodes that disable getProgramAccounts fail here.
+ */
+async function getTokenHolders(connection, mintAddress, { supply = 0, isToken2022 = false, top = TOP_HOLDERS } = {}) {
+  const accounts = await scanTokenAccounts(connection, mintAddress, isToken2022);
+  return { ...summarizeHolders(accounts, supply, top), complete: true };
+}
+
+/**
+ * Fallback for getTokenHolders(): the owners of the 20 largest token
+ * accounts only (`complete: false`). The holder count, Gini and Nakamoto
+ * coefficients then only describe those accounts.
+ */
+async function getLargestHolders(connection, mintAddress, { supply = 0 } = {}) {
+  const largestAccounts = await connection.getTokenLargestAccounts(new PublicKey(mintAddress));
+  const addresses = (largestAccounts.value || []).map(a => a.address);
+  const parsed = addresses.length > 0 ? await connection.getMultipleParsedAccounts(addresses) : [];
+  const accounts = parsed
+    .map((account, i) => {
+      const info = account?.data?.parsed?.info;
+      if (!info) return null;
+      return { address: addresses[i].toString(), owner: info.owner, amount: parseFloat(info.tokenAmount?.uiAmountString || "0") };
+    })
+    .filter(Boolean);
+  return { ...summarizeHolders(accounts, supply), complete: false };
+}
+
+module.exports = {
+  TOP_HOLDERS,
+  isValidAddress,
+  parseMintData,
+  checkTokenAuthorities,
+  scanTokenAccounts,
+  giniCoefficient,
+  nakamotoCoefficient,
+  summarizeHolders,
+  getTokenHolders,
+  getLargestHolders,
+};
@@ -0,0 +1,209 @@
+/**
+ * lib/token2022.js
+ * ===========================================
+ * Token-2022 mint extension decoding
+ * ===========================================
+ *
+ * Token-2022 mints keep the 82-byte SPL layout, pad it to 165 bytes,
+ * then store a 1-byte account type followed by TLV entries:
+ *   u16 extension type | u16 length | value
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+
+const BASE_ACCOUNT_LENGTH = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+const EXTENSION_NAMES = {
+  1: "TransferFeeConfig",
+  3: "MintCloseAuthority",
+  4: "ConfidentialTransferMint",
+  6: "DefaultAccountState",
+  9: "NonTransferable",
+  10: "InterestBearingConfig",
+  12: "PermanentDelegate",
+  14: "TransferHook",
+  16: "ConfidentialTransferFeeConfig",
+  18: "MetadataPointer",
+  19: "TokenMetadata",
+  20: "GroupPointer",
+  21: "TokenGroup",
+  22: "GroupMemberPointer",
+  23: "TokenGroupMember",
+  24: "ConfidentialMintBurn",
+  25: "ScaledUiAmount",
+  26: "Pausable",
+};
+
+const ACCOUNT_STATES = ["Uninitialized", "Initialized", "Frozen"];
+
+/** OptionalNonZeroPubkey: all zeroes means "none" */
+function optionalPubkey(data, offset) {
+  const bytes = data.slice(offset, offset + 32);
+  if (bytes.length < 32 || bytes.every(b => b === 0)) return null;
+  return new PublicKey(bytes).toBase58();
+}
+
+function readTransferFee(data, offset) {
+  return {
+    epoch: data.readBigUInt64LE(offset).toString(),
+    maximumFee: data.readBigUInt64LE(offset + 8).toString(),
+    basisPoints: data.readUInt16LE(offset + 16),
+  };
+}
+
+/** Borsh string: u32 length + UTF-8 bytes; returns [value, nextOffset] */
+function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const start = offset + 4;
+  if (start + length > data.length) throw new Error("string out of bounds");
+  return [data.slice(start, start + length).toString("utf8").replace(/\u0000/g, "").trim(), start + length];
+}
+
+/**
+ * Decode a TokenMetadata (token-metadata interface) value:
+ * update authority, mint, name, symbol, uri, additional key/value pairs.
+ */
+function decodeTokenMetadata(v) {
+  let offset = 64;
+  let name, symbol, uri;
+  [name, offset] = readBorshString(v, offset);
+  [symbol, offset] = readBorshString(v, offset);
+  [uri, offset] = readBorshString(v, offset);
+
+  const additionalMetadata = [];
+  if (offset + 4 <= v.length) {
+    const count = v.readUInt32LE(offset);
+    offset += 4;
+    for (let i = 0; i < count; i++) {
+      let key, value;
+      [key, offset] = readBorshString(v, offset);
+      [value, offset] = readBorshString(v, offset);
+      additionalMetadata.push([key, value]);
+    }
+  }
+
+  return {
+    updateAuthority: optionalPubkey(v, 0),
+    mint: optionalPubkey(v, 32),
+    name,
+    symbol,
+    uri,
+    additionalMetadata,
+  };
+}
+
+// Per-extension value decoders; unknown types are reported by name only
+const DECODERS = {
+  TransferFeeConfig: (v) => ({
+    authority: optionalPubkey(v, 0),
+    withdrawWithheldAuthority: optionalPubkey(v, 32),
+    olderTransferFee: readTransferFee(v, 72),
+    newerTransferFee: readTransferFee(v, 90),
+  }),
+  MintCloseAuthority: (v) => ({
+    authority: optionalPubkey(v, 0),
+  }),
+  ConfidentialTransferMint: (v) => ({
+    authority: optionalPubkey(v, 0),
+    autoApproveNewAccounts: v.readUInt8(32) === 1,
+  }),
+  DefaultAccountState: (v) => ({
+    state: ACCOUNT_STATES[v.readUInt8(0)] || "Unknown",
+  }),
+  NonTransferable: () => ({}),
+  InterestBearingConfig: (v) => ({
+    authority: optionalPubkey(v, 0),
+    currentRate: v.readInt16LE(50),
+  }),
+  PermanentDelegate: (v) => ({
+    authority: optionalPubkey(v, 0),
+  }),
+  TransferHook: (v) => ({
+    authority: optionalPubkey(v, 0),
+    programId: optionalPubkey(v, 32),
+  }),
+  MetadataPointer: (v) => ({
+    authority: optionalPubkey(v, 0),
+    metadataAddress: optionalPubkey(v, 32),
+  }),
+  TokenMetadata: (v) => {
+    const { updateAuthority, ...metadata } = decodeTokenMetadata(v);
+    return { authority: updateAuthority, metadata };
+  },
+  ScaledUiAmount: (v) => ({
+    authority: optionalPubkey(v, 0),
+    multiplier: v.readDoubleLE(32),
+  }),
+  Pausable: (v) => ({
+    authority: optionalPubkey(v, 0),
+    paused: v.readUInt8(32) === 1,
+  }),
+};
+
+/**
+ * Decode the TLV extension area of a Token-2022 mint.
+ * Returns [] for plain SPL mints and mints without extensions.
+ */
+function parseMintExtensions(data) {
+  const extensions = [];
+  if (!data || data.length <= BASE_ACCOUNT_LENGTH) return extensions;
+  if (data.readUInt8(BASE_ACCOUNT_LENGTH) !== ACCOUNT_TYPE_MINT) return extensions;
+
+  let offset = BASE_ACCOUNT_LENGTH + 1;
+  while (offset + 4 <= data.length) {
+    const type = data.readUInt16LE(offset);
+    const length = data.readUInt16LE(offset + 2);
+    offset += 4;
+    if (type === 0 || offset + length > data.length) break;
+
+    const value = data.slice(offset, offset + length);
+    const name = EXTENSION_NAMES[type] || `Unknown(${type})`;
+    const extension = { type, name };
+
+    const decode = DECODERS[name];
+    if (decode) {
+      try {
+        Object.assign(extension, decode(value));
+      } catch {
+        extension.malformed = true;
+      }
+    }
+
+    extensions.push(extension);
+    offset += length;
+  }
+
+  return extensions;
+}
+
+function findExtension(extensions, name) {
+  return (extensions || []).find(e => e.name === name) || null;
+}
+
+/** One-line human summary of a decoded extension */
+function describeExtension(ext) {
+  const details = [];
+
+  if (ext.name === "TransferFeeConfig" && ext.newerTransferFee) {
+    details.push(`fee ${(ext.newerTransferFee.basisPoints / 100).toFixed(2)}%`);
+  }
+  if (ext.metadata) details.push(`${ext.metadata.name} (${ext.metadata.symbol})`);
+  if (ext.state) details.push(`default ${ext.state}`);
+  if (ext.programId) details.push(`program ${ext.programId}`);
+  if (ext.metadataAddress) details.push(`metadata ${ext.metadataAddress}`);
+  if (ext.paused) details.push("PAUSED");
+  if ("authority" in ext) details.push(ext.authority ? `authority ${ext.authority}` : "no authority");
+  if (ext.malformed) details.push("malformed");
+
+  return details.length > 0 ? `${ext.name} (${details.join(", ")})` : ext.name;
+}
+
+module.exports = {
+  EXTENSION_NAMES,
+  parseMintExtensions,
+  findExtension,
+  describeExtension,
+  decodeTokenMetadata,
+  readBorshString,
+};
@@ -0,0 +1,346 @@
+/**
+ * lib/xdex.js
+ * ===========================================
+ * XDEX API client, on-chain pool state and pool helpers
+ * ===========================================
+ */
+
+const http = require("http");
+const https = require("https");
+const { PublicKey } = require("@solana/web3.js");
+const { XDEX_API, XDEX_PROGRAM_ID } = require("./constants");
+
+function fetchJSON(url) {
+  const client = url.startsWith("http:") ? http : https;
+  return new Promise((resolve, reject) => {
+    client.get(url, (res) => {
+      let data = "";
+      res.on("data", chunk => data += chunk);
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Invalid JSON response from ${url}`));
+        }
+      });
+    }).on("error", reject);
+  });
+}
+
+// `fetcher` defaults to fetchJSON; lib/capture.js passes its own to record or replay
+
+async function getPoolList(apiUrl = XDEX_API, fetcher = fetchJSON) {
+  const response = await fetcher(`${apiUrl}/xendex/pool/list`);
+  return response.data || [];
+}
+
+async function getPoolDetails(poolAddress, apiUrl = XDEX_API, fetcher = fetchJSON) {
+  const response = await fetcher(`${apiUrl}/xendex/pool/${poolAddress}`);
+  return response.data || response;
+}
+
+async function getTokenPrice(tokenAddress, apiUrl = XDEX_API, fetcher = fetchJSON) {
+  const response = await fetcher(`${apiUrl}/token-price/price?address=${tokenAddress}`);
+  return response.data || response;
+}
+
+async function getLPPrice(lpMintAddress, apiUrl = XDEX_API, fetcher = fetchJSON) {
+  const response = await fetcher(`${apiUrl}/token-price/lp-price?address=${lpMintAddress}`);
+  return response.data || response;
+}
+
+function findPoolsForToken(poolList, tokenAddress) {
+  return (poolList || []).filter(p =>
+    p.token1_address === tokenAddress || p.token2_address === tokenAddress
+  );
+}
+
+/** Token symbol as listed on the first pool that carries it */
+function tokenSymbolFromPools(pools, tokenAddress) {
+  for (const p of pools) {
+    if (p.token1_address === tokenAddress && p.token1_symbol) return p.token1_symbol;
+    if (p.token2_address === tokenAddress && p.token2_symbol) return p.token2_symbol;
+  }
+  return null;
+}
+
+/**
+ * LP supply as the pool accounts for it, from the API's hex-encoded raw
+ * `lpSupply` (or `total_supply`), scaled by the LP mint's `decimals`.
+ * The API mirrors the pool state's `lp_supply` (see decodePoolState):
+ * deposits add to it and withdrawals take from it, but LP burned straight
+ * through the token program does not, so the gap to the LP mint's supply
+ * is the burned LP.
+ */
+function parsePoolLPSupply(pool, decimals = 9) {
+  const scale = Math.pow(10, decimals);
+  try {
+    if (pool.pool_info?.lpSupply) {
+      const value = parseInt(String(pool.pool_info.lpSupply).replace(/"/g, ""), 16) / scale;
+      return isNaN(value) ? 0 : value;
+    }
+    if (pool.total_supply) {
+      return pool.total_supply / scale;
+    }
+  } catch {
+    // Unparseable supply
+  }
+  return 0;
+}
+
+// ─── On-chain pool state ──────────────────────────────────────
+
+// Anchor PoolState of the CP-Swap program: 8-byte discriminator + 629 bytes
+const POOL_STATE_SIZE = 637;
+const POOL_MINT_OFFSETS = [168, 200];
+const POOL_VAULT_OFFSETS = [72, 104];
+// Fee rates are parts per million
+const FEE_RATE_DENOMINATOR = 1000000;
+
+function readPubkey(data, offset) {
+  return new PublicKey(data.slice(offset, offset + 32)).toBase58();
+}
+
+/**
+ * Decode an XDEX pool state account:
+ *   8 amm_config | 40 pool_creator | 72 token_0_vault | 104 token_1_vault
+ *   136 lp_mint | 168 token_0_mint | 200 token_1_mint | 232, 264 token programs
+ *   296 observation_key | 328 auth_bump | 329 status | 330 lp_mint_decimals
+ *   331, 332 mint decimals | 333 lp_supply | 341, 349 protocol fees
+ *   357, 365 fund fees | 373 open_time (u64s)
+ * Raw amounts are returned as strings. Returns null for other accounts.
+ */
+function decodePoolState(data) {
+  if (!data || data.length !== POOL_STATE_SIZE) return null;
+  const u64 = offset => data.readBigUInt64LE(offset).toString();
+  return {
+    ammConfig: readPubkey(data, 8),
+    creator: readPubkey(data, 40),
+    vaults: [readPubkey(data, 72), readPubkey(data, 104)],
+    lpMint: readPubkey(data, 136),
+    mints: [readPubkey(data, 168), readPubkey(data, 200)],
+    status: data.readUInt8(329),
+    lpDecimals: data.readUInt8(330),
+    mintDecimals: [data.readUInt8(331), data.readUInt8(332)],
+    lpSupplyRaw: u64(333),
+    protocolFeesRaw: [u64(341), u64(349)],
+    fundFeesRaw: [u64(357), u64(365)],
+    openTime: Number(data.readBigUInt64LE(373)),
+  };
+}
+
+/**
+ * Decode the AMM config a pool points at:
+ *   8 bump | 9 disable_create_pool | 10 index (u16) | 12 trade_fee_rate
+ *   20 protocol_fee_rate | 28 fund_fee_rate (u64, parts per million)
+ * Rates are returned as fractions (0.0025 = 0.25%).
+ */
+function decodeAmmConfig(data) {
+  if (!data || data.length < 36) return null;
+  const rate = offset => Number(data.readBigUInt64LE(offset)) / FEE_RATE_DENOMINATOR;
+  return {
+    tradeFeeRate: rate(12),
+    protocolFeeRate: rate(20),
+    fundFeeRate: rate(28),
+  };
+}
+
+/**
+ * Pool state accounts of the XDEX program that pair `mint`, as
+ * [{ address, state }]. One getProgramAccounts call per token side.
+ */
+async function findPoolsOnChain(connection, mint, programId = XDEX_PROGRAM_ID) {
+  const pools = new Map();
+  for (const offset of POOL_MINT_OFFSETS) {
+    const accounts = await connection.getProgramAccounts(new PublicKey(programId), {
+      filters: [{ dataSize: POOL_STATE_SIZE }, { memcmp: { offset, bytes: mint } }],
+    });
+    for (const { pubkey, account } of accounts) {
+      const state = decodePoolState(Buffer.from(account.data));
+      if (state) pools.set(pubkey.toBase58(), { address: pubkey.toBase58(), state });
+    }
+  }
+  return [...pools.values()];
+}
+
+/**
+ * Pool state accounts of the XDEX program whose token_0 or token_1 vault
+ * is one of `vaults` (token account addresses), as [{ address, state }].
+ * One getProgramAccounts call per vault and side, each matching a single
+ * vault address.
+ */
+async function findPoolsByVaults(connection, vaults, programId = XDEX_PROGRAM_ID) {
+  const pools = new Map();
+  for (const vault of vaults) {
+    for (const offset of POOL_VAULT_OFFSETS) {
+      const accounts = await connection.getProgramAccounts(new PublicKey(programId), {
+        filters: [{ dataSize: POOL_STATE_SIZE }, { memcmp: { offset, bytes: vault } }],
+      });
+      for (const { pubkey, account } of accounts) {
+        const state = decodePoolState(Buffer.from(account.data));
+        if (state) pools.set(pubkey.toBase58(), { address: pubkey.toBase58(), state });
+      }
+    }
+  }
+  return [...pools.values()];
+}
+
+/**
+ * Pool states for known pool addresses, as address -> state (null when
+ * the account is missing or is not a pool state of `programId`).
+ */
+async function loadPoolStates(connection, addresses, programId = XDEX_PROGRAM_ID) {
+  const program = new PublicKey(programId).toBase58();
+  const infos = addresses.length > 0
+    ? await connection.getMultipleAccountsInfo(addresses.map(a => new PublicKey(a)))
+    : [];
+  const states = new Map();
+  addresses.forEach((address, i) => {
+    const info = infos[i];
+    states.set(address, info && info.owner.toBase58() === program ? decodePoolState(Buffer.from(info.data)) : null);
+  });
+  return states;
+}
+
+/**
+ * Reserves and fees of a decoded pool: vault balances minus the protocol
+ * and fund fees the vaults still hold, plus the AMM config's fee rates.
+ * Returns { programId, ammConfig, creator, lpMint, lpDecimals, lpSupply,
+ * status, openTime, tokens: [{ mint, vault, reserve }], fees }.
+ */
+async function describePoolState(connection, state, programId = XDEX_PROGRAM_ID) {
+  const [vaults, config] = await Promise.all([
+    connection.getMultipleParsedAccounts(state.vaults.map(v => new PublicKey(v))),
+    connection.getAccountInfo(new PublicKey(state.ammConfig)),
+  ]);
+  const rates = config ? decodeAmmConfig(Buffer.from(config.data)) : null;
+  const ui = (raw, decimals) => Number(raw) / Math.pow(10, decimals);
+
+  return {
+    programId: new PublicKey(programId).toBase58(),
+    ammConfig: state.ammConfig,
+    creator: state.creator,
+    lpMint: state.lpMint,
+    lpDecimals: state.lpDecimals,
+    lpSupply: ui(state.lpSupplyRaw, state.lpDecimals),
+    status: state.status,
+    openTime: state.openTime || null,
+    tokens: state.mints.map((mint, i) => {
+      const amount = vaults[i]?.data?.parsed?.info?.tokenAmount;
+      const fees = ui(state.protocolFeesRaw[i], state.mintDecimals[i]) + ui(state.fundFeesRaw[i], state.mintDecimals[i]);
+      return {
+        mint,
+        vault: state.vaults[i],
+        reserve: amount ? Math.max(0, parseFloat(amount.uiAmountString || "0") - fees) : null,
+      };
+    }),
+    fees: rates,
+  };
+}
+
+/** Pool list entry in the API's shape for a pool found only on chain */
+function poolFromChain(address, state) {
+  return {
+    pool_address: address,
+    token1_address: state.mints[0],
+    token1_symbol: null,
+    token2_address: state.mints[1],
+    token2_symbol: null,
+    tvl: 0,
+    creator: state.creator,
+    pool_info: {
+      lpMint: state.lpMint,
+      lpSupply: BigInt(state.lpSupplyRaw).toString(16),
+    },
+    source: "chain",
+  };
+}
+
+/**
+ * Fields where the API's pool entry disagrees with the pool state:
+ * [{ field, api, chain }] for the LP mint, creator, token pair and LP
+ * supply (compared in raw units). Fields the API leaves out are skipped.
+ */
+function comparePoolWithChain(pool, state) {
+  const discrepancies = [];
+  const check = (field, api, chain) => {
+    if (api === undefined || api === null || api === "") return;
+    if (String(api) !== String(chain)) discrepancies.push({ field, api, chain });
+  };
+  check("lpMint", pool.pool_info?.lpMint, state.lpMint);
+  check("creator", pool.creator, state.creator);
+  const apiPair = [pool.token1_address, pool.token2_address].sort().join("/");
+  check("tokens", apiPair === "/" ? null : apiPair, [...state.mints].sort().join("/"));
+  const apiSupply = pool.pool_info?.lpSupply ? String(pool.pool_info.lpSupply).replace(/"/g, "") : null;
+  let apiSupplyRaw = apiSupply;
+  try {
+    if (apiSupply) apiSupplyRaw = BigInt(`0x${apiSupply}`).toString();
+  } catch {
+    // Not hex: reported as the API sent it
+  }
+  check("lpSupply", apiSupplyRaw, state.lpSupplyRaw);
+  return discrepancies;
+}
+
+/**
+ * Price, liquidity and volume from XDEX pool data.
+ * The API's token price is already in USD; the first pool with a
+ * valid price wins, liquidity and volume are summed over all pools.
+ * auditToken() replaces the price with the reserve-checked one from
+ * checkPoolPrices() (lib/market.js).
+ */
+function summarizeMarket(pools, tokenAddress, supply) {
+  let price = 0;
+  let liquidity = 0;
+  let volume24h = 0;
+
+  for (const pool of pools) {
+    let tokenPrice = null;
+    let poolVolume = 0;
+
+    if (pool.token1_address === tokenAddress && pool.token1_price) {
+      tokenPrice = parseFloat(pool.token1_price);
+      poolVolume = pool.token1_volume_usd_24h || 0;
+    } else if (pool.token2_address === tokenAddress && pool.token2_price) {
+      tokenPrice = parseFloat(pool.token2_price);
+      poolVolume = pool.token2_volume_usd_24h || 0;
+    }
+
+    if (tokenPrice && tokenPrice > 0) {
+      if (!price) price = tokenPrice;
+      liquidity += parseFloat(pool.tvl || 0);
+      volume24h += parseFloat(poolVolume) || 0;
+    }
+  }
+
+  return {
+    price,
+    marketCap: price * (supply || 0),
+    liquidity,
+    volume24h,
+  };
+}
+
+module.exports = {
+  fetchJSON,
+  getPoolList,
+  getPoolDetails,
+  getTokenPrice,
+  getLPPrice,
+  findPoolsForToken,
+  tokenSymbolFromPools,
+  parsePoolLPSupply,
+  summarizeMarket,
+  decodePoolState,
+  decodeAmmConfig,
+  findPoolsOnChain,
+  findPoolsByVaults,
+  loadPoolStates,
+  describePoolState,
+  poolFromChain,
+  comparePoolWithChain,
+};
@@ -9,11 +9,14 @@
  *   /lp <TOKEN_MINT>    - Check LP burn status
  *   /watch <TOKEN_MINT> - Add token to watchlist
  *   /watch list         - Show watchlist
+ *   /sell <TOKEN_MINT> <AMOUNT|PCT%|top> - Simulate a sell into each pool
+ *   /trend <TOKEN_MINT> - Snapshot holders and diff against the last snapshot
  *   /stats              - Show audit statistics
  *
  * Environment Variables:
  *   TELEGRAM_BOT_TOKEN - Your bot token from @BotFather
  *   X1_RPC_URL         - RPC endpoint (default: https://rpc.mainnet.x1.xyz)
+ *   X1_SNAPSHOT_DIR    - Holder snapshot directory (default: ~/.x1-token-audit/snapshots)
  *
  * Usage:
  *   node telegram-bot.js
@@ -24,10 +27,26 @@ const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const {
+  auditToken,
+  buildJSONReport,
+  createEventCache,
+  createRecorder,
+  createRpcClient,
+  createSnapshotStore,
+  takeHolderSnapshot,
+  diffSnapshots,
+  fetchJSON,
+  DEFAULT_RPC,
+  XDEX_API,
+  shortAddr,
+  formatSellSimulation,
+  formatSnapshotDiff,
+  formatAuditReport,
+  splitMessage
+} = require('./lib');
 
 const TELEGRAM_API = 'https://api.telegram.org/bot';
-const DEFAULT_RPC = process.env.X1_RPC_URL || 'https://rpc.mainnet.x1.xyz';
 
 // Configuration
 const CONFIG = {
@@ -35,12 +54,18 @@ const CONFIG = {
   port: parseInt(process.env.PORT) || 8080,
   watchlistFile: path.join(__dirname, 'watchlist.json'),
   auditHistoryFile: path.join(__dirname, 'audit-history.json'),
-  maxHistory: 50
+  maxHistory: 50,
+  progressIntervalMs: 5000,
+  // When set, every /audit is recorded to <dir>/<mint>-<time> for
+  // `check-xdex-lp-burn.js --replay` (e.g. when a user disputes a number)
+  recordDir: process.env.AUDIT_RECORD_DIR || null
 };
 
 // State
 let watchlist = new Set();
 let auditHistory = [];
+const eventCache = createEventCache();
+const snapshotStore = createSnapshotStore();
 
 // Load data files
 function loadWatchlist() {
@@ -81,22 +106,6 @@ function saveHistory() {
   }
 }
 
-function shortAddr(addr, len = 6) {
-  if (!addr) return 'N/A';
-  const s = typeof addr === 'string' ? addr : addr.toBase58();
-  return s.length > len * 2 ? `${s.slice(0, len)}...${s.slice(-len)}` : s;
-}
-
-function formatNumber(n, decimals = 9) {
-  if (typeof n === 'string') n = parseFloat(n);
-  if (isNaN(n)) return 'N/A';
-  if (n >= 1e12) return (n / 1e12).toFixed(2) + 'T';
-  if (n >= 1e9) return (n / 1e9).toFixed(2) + 'B';
-  if (n >= 1e6) return (n / 1e6).toFixed(2) + 'M';
-  if (n >= 1e3) return (n / 1e3).toFixed(2) + 'K';
-  return n.toFixed(n < 1 ? 6 : 2);
-}
-
 function sendMessage(chatId, text, replyToMessageId = null) {
   return new Promise((resolve, reject) => {
     const data = JSON.stringify({
@@ -181,332 +190,56 @@ function editMessage(chatId, messageId, text) {
   });
 }
 
-function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
-async function checkTokenAuthorities(connection, mintPubkey) {
-  const result = {
-    mintAuthority: null,
-    mintAuthorityRevoked: false,
-    freezeAuthority: null,
-    freezeAuthorityRevoked: false,
-    supply: 0,
-    decimals: 0,
-  };
-
-  try {
-    const accountInfo = await connection.getAccountInfo(mintPubkey);
-    if (!accountInfo) return result;
-
-    const data = accountInfo.data;
-    if (data.length >= 82) {
-      const mintAuthOption = data.readUInt32LE(0);
-      if (mintAuthOption === 1) {
-        result.mintAuthority = new PublicKey(data.slice(4, 36)).toBase58();
-      } else {
-        result.mintAuthorityRevoked = true;
-      }
-
-      const supplyLow = BigInt(data.readUInt32LE(36));
-      const supplyHigh = BigInt(data.readUInt32LE(40));
-      result.supply = Number((supplyHigh << BigInt(32)) | supplyLow);
-      result.decimals = data.readUInt8(44);
-
-      const freezeAuthOption = data.readUInt32LE(46);
-      if (freezeAuthOption === 1) {
-        result.freezeAuthority = new PublicKey(data.slice(50, 82)).toBase58();
-      } else {
-        result.freezeAuthorityRevoked = true;
-      }
-    }
-  } catch (err) {
-    console.error(`Error reading mint: ${err.message}`);
-  }
-
-  return result;
-}
-
 async function runFullAudit(tokenAddress, chatId, messageId) {
-  await sendMessage(chatId, `🔍 Auditing ${shortAddr(tokenAddress)}...`, messageId);
+  const status = await sendMessage(chatId, `🔍 Auditing ${shortAddr(tokenAddress)}...`, messageId);
 
   try {
-    const BURN_ADDRESSES = [
-      '1nc1nerator11111111111111111111111111111111',
-      '11111111111111111111111111111111',
-      '1111111111111111111111111111111111111111111',
-    ];
-
-    const connection = new Connection(DEFAULT_RPC, 'confirmed');
-    const mintPubkey = new PublicKey(tokenAddress);
-
-    // Check authorities
-    const tokenInfo = await checkTokenAuthorities(connection, mintPubkey);
-
-    // Fetch pools
-    let pools = [];
-    try {
-      const response = await fetchJSON('https://api.xdex.xyz/api/xendex/pool/list');
-      const allPools = response.data || [];
-      pools = allPools.filter(p =>
-        p.token1_address === tokenAddress || p.token2_address === tokenAddress
-      );
-    } catch (err) {
-      console.error('Failed to fetch pools:', err.message);
-    }
-
-    // Calculate LP burn
-    let totalBurned = 0;
-    let totalSupply = 0;
-
-    for (const pool of pools) {
-      try {
-        const poolData = await fetchJSON(`https://api.xdex.xyz/api/xendex/pool/${pool.pool_address}`);
-        const lpMint = poolData.data?.pool_info?.lpMint;
-        if (!lpMint) continue;
-
-        const lpMintPubkey = new PublicKey(lpMint);
-        const lpAccount = await connection.getAccountInfo(lpMintPubkey);
-        if (!lpAccount || lpAccount.data.length < 82) continue;
-
-        const lpSupplyLow = BigInt(lpAccount.data.readUInt32LE(36));
-        const lpSupplyHigh = BigInt(lpAccount.data.readUInt32LE(40));
-        const lpSupply = Number((lpSupplyHigh << BigInt(32)) | lpSupplyLow);
-        const lpDecimals = lpAccount.data.readUInt8(44);
-
-        const largestAccounts = await connection.getTokenLargestAccounts(lpMintPubkey);
-        for (const account of largestAccounts.value || []) {
-          try {
-            const accInfo = await connection.getParsedAccountInfo(account.address);
-            if (!accInfo.value) continue;
-            const info = accInfo.value.data.parsed?.info;
-            if (!info) continue;
-            const amount = parseFloat(info.tokenAmount?.uiAmountString || '0');
-            if (BURN_ADDRESSES.includes(info.owner)) {
-              totalBurned += amount;
-            }
-          } catch {}
-        }
-        totalSupply += lpSupply / Math.pow(10, lpDecimals);
-      } catch (err) {
-        console.error(`Failed to process pool ${pool.pool_address}:`, err.message);
-      }
-    }
-
-    const burnPct = totalSupply > 0 ? (totalBurned / (totalSupply + totalBurned)) * 100 : 0;
-
-    // Calculate risk score
-    let riskScore = 0;
-    const riskFactors = [];
-    const safeFactors = [];
-
-    if (tokenInfo.mintAuthorityRevoked) {
-      safeFactors.push('✅ Mint authority revoked');
-    } else {
-      riskScore += 30;
-      riskFactors.push('🔴 Mint authority active (+30)');
-    }
-
-    if (tokenInfo.freezeAuthorityRevoked) {
-      safeFactors.push('✅ Freeze authority revoked');
-    } else {
-      riskScore += 20;
-      riskFactors.push('🔴 Freeze authority active (+20)');
-    }
-
-    if (totalBurned > 0) {
-      safeFactors.push(`✅ LP tokens burned (${burnPct.toFixed(1)}%)`);
-    } else {
-      riskScore += 25;
-      riskFactors.push('🟡 LP tokens not burned (+25)');
-    }
-
-    let riskRating = 'LOW';
-    let riskEmoji = '🟢';
-    if (riskScore >= 50) {
-      riskRating = 'HIGH';
-      riskEmoji = '🔴';
-    } else if (riskScore >= 25) {
-      riskRating = 'MEDIUM';
-      riskEmoji = '🟡';
-    }
-
-    // Get XDEX price info
-    let tokenMetadata = {
-      price: 'N/A',
-      mktcap: 'N/A',
-      liquidity: 'N/A',
-      volume24h: 'N/A'
+    // Long LP histories take a while; show progress at most every few seconds
+    let lastUpdate = Date.now();
+    const onProgress = (stage, detail) => {
+      if (stage !== 'burn-scan' || Date.now() - lastUpdate < CONFIG.progressIntervalMs) return;
+      lastUpdate = Date.now();
+      const text = detail.phase === 'signatures'
+        ? `${detail.signatures} signatures found`
+        : `${detail.done}/${detail.total} transactions parsed`;
+      editMessage(chatId, status.message_id, `🔍 Auditing ${shortAddr(tokenAddress)}...\n⏳ LP history: ${text}`).catch(() => {});
     };
-    try {
-      const xResponse = await fetchJSON('https://api.xdex.xyz/api/xendex/pool/list');
-      const xPools = xResponse.data || [];
-      const tokenPools = xPools.filter(p => 
-        p.token1_address === tokenAddress || p.token2_address === tokenAddress
-      );
-      if (tokenPools.length > 0) {
-        const p = tokenPools[0];
-        const tokenPrice = p.token2_address === tokenAddress ? p.token2_price : p.token1_price;
-        const basePrice = p.token1_symbol === 'WXNT' ? p.token1_price : 1;
-        const finalPrice = tokenPrice * basePrice;
-        const supply = (p.pool_info?.lpSupply ? parseInt(p.pool_info.lpSupply, 16) / 1e9 : p.total_supply || 500000000);
-        const marketCap = supply * finalPrice;
-        tokenMetadata = {
-          price: `$${finalPrice.toFixed(8)}`,
-          mktcap: `$${marketCap >= 1e6 ? (marketCap/1e6).toFixed(2) + 'M' : marketCap >= 1e3 ? (marketCap/1e3).toFixed(2) + 'K' : marketCap.toFixed(2)}`,
-          liquidity: `$${formatNumber(p.tvl * basePrice)}`,
-          volume24h: `$${formatNumber(p.token2_volume_usd_24h || p.token1_volume_usd_24h || 0)}`
-        };
-      }
-    } catch {}
 
-    const holderCount = tokenInfo.topHolders?.length || 'N/A';
-    const topHolders = tokenInfo.topHolders?.slice(0, 5) || [];
-    const burnAddrAmount = 0; // Not currently tracked in this function
-
-    // Get BurnChecked transactions
-    let burnCheckedTxns = [];
-    try {
-      const signatures = await connection.getSignaturesForAddress(mintPubkey, { limit: 50 });
-      for (const sigInfo of signatures) {
-        try {
-          const tx = await connection.getParsedTransaction(sigInfo.signature, {
-            commitment: 'confirmed',
-            maxSupportedTransactionVersion: 0,
-          });
-          if (!tx || !tx.transaction?.message?.instructions) continue;
-
-          for (const ix of tx.transaction.message.instructions) {
-            if (!ix.parsed) continue;
-            if (ix.parsed.type === 'burnChecked' || ix.parsed.type === 'burn') {
-              const info = ix.parsed.info;
-              const amount = info.tokenAmount?.uiAmount || parseFloat(info.amount || 0) / Math.pow(10, info.tokenAmount?.decimals || 9);
-              burnCheckedTxns.push({
-                amount,
-                date: sigInfo.blockTime ? new Date(sigInfo.blockTime * 1000) : null,
-                signature: sigInfo.signature
-              });
-            }
-          }
-        } catch {}
-      }
-    } catch {}
-
-    // Build new formatted response (text-based, no markdown tables)
-    let response = `─────────────────────────────────────────────────────\n`;
-    response += `💰 TOKEN METADATA\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `Price:        ${tokenMetadata.price}\n`;
-    response += `Market Cap:   ${tokenMetadata.mktcap}\n`;
-    response += `Liquidity:    ${tokenMetadata.liquidity}\n`;
-    response += `Vol 24h:      ${tokenMetadata.volume24h}\n\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `🔐 TOKEN AUTHORITY CHECK\n`;
-    response += `─────────────────────────────────────────────────────\n\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `👥 TOKEN HOLDERS\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `Total Holders: ${holderCount}\n`;
-    if (topHolders.length > 0) {
-      response += `Top Holders:\n`;
-      topHolders.forEach((h, i) => {
-        response += `  ${i + 1}. ${shortAddr(h.address)} - ${formatNumber(h.amount)} (${h.pct.toFixed(2)}%)\n`;
-      });
-    }
-    response += `\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `📊 AUDIT SUMMARY\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `| Metric                              | Value\n`;
-    response += `| ----------------------------------- | ------------\n`;
-    response += `| Mint Authority                      | ${tokenInfo.mintAuthorityRevoked ? '✅ REVOKED' : '⚠️ ACTIVE'}\n`;
-    response += `| Freeze Authority                    | ${tokenInfo.freezeAuthorityRevoked ? '✅ REVOKED' : '⚠️ ACTIVE'}\n`;
-    response += `| Total Supply                        | ${formatNumber(tokenInfo.supply / Math.pow(10, tokenInfo.decimals))} (${tokenInfo.decimals} decimals)\n`;
-    response += `| Pools Found                         | ${pools.length}\n`;
-    response += `| LP Burned (BurnChecked)            | ${formatNumber(totalBurned)} (${burnCheckedTxns.length} txs)\n`;
-    response += `| LP Burned (Burn Addr)              | ${formatNumber(burnAddrAmount)}\n`;
-    response += `| LP Safety                           | ${lpSafety.toFixed(1)}%\n`;
-    response += `| Risk Score                          | ${riskScore}/100 ${riskEmoji} ${riskRating}\n\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `🔥 BURNCHECKED TRANSACTIONS\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    if (burnCheckedTxns.length > 0) {
-      burnCheckedTxns.slice(0, 5).forEach((tx, i) => {
-        const dateStr = tx.date ? tx.date.toISOString().split('T')[0] : 'Unknown';
-        const amountStr = formatNumber(tx.amount);
-        const txUrl = `https://explorer.mainnet.x1.xyz/tx/${tx.signature}`;
-        response += `${i + 1}. ${amountStr} LP on ${dateStr} ([TX Explorer](${txUrl}))\n`;
-      });
-    } else {
-      response += `No BurnChecked transactions found.\n`;
-    }
-    response += `\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `🏊 XDEX POOL DISCOVERY\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `✅ Discovered ${pools.length} pool(s)\n\n`;
-    pools.forEach((pool, i) => {
-      const poolBurnCount = burnCheckedTxns.filter(tx => {
-        const txMint = tx.signature; // Simplified - would need pool mint matching
-        return true;
-      }).length;
-      response += `• ${pool.token1_symbol}/${pool.token2_symbol} Pool: ${formatNumber(pool.pool_info?.lpSupply ? parseInt(pool.pool_info.lpSupply, 16) / 1e9 : pool.total_supply || 0)} LP supply${poolBurnCount > 0 ? `, ${poolBurnCount} BurnChecked txs ✅` : ''}\n`;
+    const recorder = CONFIG.recordDir
+      ? createRecorder(path.join(CONFIG.recordDir, `${tokenAddress}-${Date.now()}`))
+      : null;
+    const audit = await auditToken(tokenAddress, {
+      rpcUrl: DEFAULT_RPC,
+      cache: recorder ? null : eventCache,
+      capture: recorder,
+      onProgress
     });
-    response += `\n`;
-
-    response += `─────────────────────────────────────────────────────\n`;
-    response += `✅ SUMMARY\n`;
-    response += `─────────────────────────────────────────────────────\n`;
-    if (riskScore === 0) {
-      response += `Strong security profile - mint/freeze revoked, LP\n`;
-      response += `burn percentage: ${lpSafety.toFixed(1)}%.\n`;
-      response += `🟢 LOW RISK.\n`;
-    } else {
-      response += `Risk factors detected: ${riskRating} ${riskEmoji}\n`;
-      response += `Review authorities and LP burn status below.\n`;
+    // Reports of tokens with a long history run past Telegram's message limit
+    const [first, ...rest] = splitMessage(formatAuditReport(audit));
+    await editMessage(chatId, status.message_id, first);
+    for (const part of rest) {
+      await sendMessage(chatId, part);
     }
-    response += `\n`;
-    response += `📋 Risk Levels:\n`;
-    response += `🟢 0-24:  LOW — authorities revoked, LP burned, looks safe\n`;
-    response += `🟡 25-49: MEDIUM — some concerns, investigate further\n`;
-    response += `🟠 50-75: HIGH — significant red flags\n`;
-    response += `🔴 76-100: CRITICAL — likely scam/rug\n\n`;
-
-    response += `_Audit completed at ${new Date().toISOString()}_\n`;
-    response += `🔗 Explorer: https://explorer.mainnet.x1.xyz/address/${tokenAddress}`;
 
-    // Update message
-    await editMessage(chatId, messageId, response);
+    if (recorder) {
+      recorder.save({ mint: tokenAddress, rpcUrl: DEFAULT_RPC, xdexApi: XDEX_API });
+      fs.writeFileSync(path.join(recorder.dir, 'report.json'), JSON.stringify(buildJSONReport(audit), null, 2));
+    }
 
     // Log history
     auditHistory.push({
       token: tokenAddress,
       timestamp: Date.now(),
-      riskScore,
-      riskRating,
-      user: chatId
+      riskScore: audit.risk.score,
+      riskRating: audit.risk.rating,
+      lpBurned: `${audit.lp.pct.toFixed(1)}%`,
+      user: chatId,
+      ...(recorder ? { capture: recorder.dir } : {})
     });
     saveHistory();
 
   } catch (err) {
-    await editMessage(chatId, messageId, `❌ Error: ${err.message}`);
+    await editMessage(chatId, status.message_id, `❌ Error: ${err.message}`);
   }
 }
 
@@ -540,8 +273,9 @@ Commands:
 /lp <TOKEN>      - Check LP burn status
 /watch <TOKEN>   - Add token to watchlist
 /watch list      - Show watchlist
+/sell <TOKEN> <AMOUNT|PCT%|top> - Simulate a sell into each pool
 /history <TOKEN> - Show past audits for token
-/trend <TOKEN>   - Show LP changes over time
+/trend <TOKEN>   - Show holder changes since the last /trend
 /stats           - Show audit statistics
 /summary         - Show workspace project summary
 /work            - Same as /summary
@@ -561,7 +295,6 @@ Example:
         await sendMessage(chatId, 'Usage: /audit <TOKEN_MINT>', messageId);
         return;
       }
-      await sendMessage(chatId, `🔍 Auditing ${shortAddr(args[0])}...`, messageId);
       await runFullAudit(args[0], chatId, messageId);
       break;
 
@@ -619,6 +352,10 @@ Total audits: ${totalAudits}
       await sendMessage(chatId, stats);
       break;
 
+    case '/sell':
+      await handleSell(chatId, args[0], args[1], messageId);
+      break;
+
     case '/history':
       await handleHistory(chatId, args[0], messageId);
       break;
@@ -742,33 +479,62 @@ async function handleHistory(chatId, token, messageId) {
   await sendMessage(chatId, message, messageId);
 }
 
-// /trend command - show LP changes over time
+// /trend command - show how the holder distribution moved since the last snapshot
 async function handleTrend(chatId, token, messageId) {
   if (!token) {
     await sendMessage(chatId, 'Usage: /trend <TOKEN>', messageId);
     return;
   }
 
-  const userHistory = auditHistory.filter(a => a.token === token);
-  
-  if (userHistory.length < 2) {
-    await sendMessage(chatId, `Need at least 2 audits for ${shortAddr(token)} to show trends.\nRun /audit ${token} multiple times.`, messageId);
-    return;
+  const status = await sendMessage(chatId, `📸 Taking a holder snapshot of ${shortAddr(token)}...`, messageId);
+  try {
+    const [previous] = snapshotStore.latest(token, 1);
+    const snapshot = await takeHolderSnapshot(createRpcClient(DEFAULT_RPC), token);
+    snapshotStore.save(snapshot);
+
+    let message = `📊 *Holder Trend for ${shortAddr(token)}*\n\n`;
+    if (!previous) {
+      const { metrics } = snapshot;
+      message += `First snapshot saved: ${metrics.totalHolders} holders, top 10 wallets ${metrics.top10WalletsPct.toFixed(2)}%.\n`;
+      message += `Run /trend ${token} again later to see how holders moved.`;
+    } else {
+      message += formatSnapshotDiff(diffSnapshots(previous, snapshot)).join('\n');
+    }
+    await editMessage(chatId, status.message_id, message);
+  } catch (err) {
+    await editMessage(chatId, status.message_id, `❌ Error: ${err.message}`);
   }
+}
 
-  const timestamps = userHistory.map(h => new Date(h.timestamp).getTime());
-  const hoursSinceFirst = (Date.now() - timestamps[0]) / (1000 * 60 * 60);
-  
-  let message = `📊 *Trend Analysis for ${shortAddr(token)}*\n\n`;
-  message += `• Total audits: ${userHistory.length}\n`;
-  message += `• Time span: ${hoursSinceFirst.toFixed(1)} hours\n`;
-  
-  const lastAudit = userHistory[userHistory.length - 1];
-  if (lastAudit.lpBurned) {
-    message += `• Current LP burned: ${lastAudit.lpBurned}\n`;
+// /sell command - simulate selling into each pool
+async function handleSell(chatId, token, size, messageId) {
+  if (!token || !/^(top|\d+(\.\d+)?%?)$/i.test(size || '')) {
+    await sendMessage(chatId, 'Usage: /sell <TOKEN> <AMOUNT|PCT%|top>\nExample: /sell <TOKEN> 5%', messageId);
+    return;
   }
 
-  await sendMessage(chatId, message, messageId);
+  const status = await sendMessage(chatId, `💸 Simulating a ${size} sell of ${shortAddr(token)}...`, messageId);
+  try {
+    const audit = await auditToken(token, {
+      rpcUrl: DEFAULT_RPC,
+      cache: eventCache,
+      traceFunding: false,
+      findClusters: false,
+      trackDev: false,
+      simulateSell: size
+    });
+    const sim = audit.sellSimulation;
+    let message = `💸 *Sell Simulation: ${audit.token.symbol || shortAddr(token)}*\n\n`;
+    if (!sim) {
+      const reason = audit.warnings.find(w => w.startsWith('Sell simulation skipped'));
+      message += reason || 'No pools to sell into.';
+    } else {
+      message += formatSellSimulation(sim, audit.pools).join('\n');
+    }
+    await editMessage(chatId, status.message_id, message);
+  } catch (err) {
+    await editMessage(chatId, status.message_id, `❌ Error: ${err.message}`);
+  }
 }
 
 // Main
@@ -0,0 +1,37 @@
+/**
+ * x1-batch-audit.js end to end against the offline mock server.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { startMockServer } = require("./mock-server");
+const { TOKEN_MINT, SCENARIOS } = require("./fixtures/lp-safety");
+
+const SCRIPT = path.join(__dirname, "..", "x1-batch-audit.js");
+
+test("an XDEX API outage falls back to on-chain pools and marks the audit incomplete", async () => {
+  const server = await startMockServer(SCENARIOS["supply-diff"]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-batch-"));
+  const output = path.join(dir, "results.json");
+  try {
+    await new Promise((resolve, reject) => {
+      execFile(process.execPath, [
+        SCRIPT, "--tokens", TOKEN_MINT, "--rpc", server.rpcUrl, "--api", `${server.url}/down`,
+        "--format", "json", "--output", output, "--no-cache",
+      ], { env: { ...process.env, X1_RPC_MAX_RETRIES: "0" }, timeout: 30000 }, err => (err ? reject(err) : resolve()));
+    });
+
+    const [record] = JSON.parse(fs.readFileSync(output, "utf8"));
+    assert.strictEqual(record.poolCount, 1);
+    assert.strictEqual(record.lpSafetyPct, 90);
+    assert.strictEqual(record.dataIncomplete, true);
+    assert.ok(record.warnings.some(w => w.startsWith("XDEX pool list unavailable")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await server.close();
+  }
+});
@@ -0,0 +1,90 @@
+/**
+ * LP event cache: rescans resume after the high-water mark, entries of
+ * another CACHE_VERSION are rebuilt, and entries are replaced atomically.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventCache } = require("../lib/cache");
+const { scanLPEvents } = require("../lib/lp");
+const { createRpcClient } = require("../lib/rpc");
+const { startMockServer } = require("./mock-server");
+const { parsedTransaction } = require("./fixtures/builders");
+const { LP_MINT, SCENARIOS, burnChecked } = require("./fixtures/lp-safety");
+
+async function withCache(fn) {
+  const fixture = structuredClone(SCENARIOS["burn-events"]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-cache-"));
+  const server = await startMockServer(fixture);
+  try {
+    const connection = createRpcClient(server.rpcUrl, { maxRetries: 0 });
+    const cache = createEventCache(dir);
+    await fn({ fixture, dir, server, cache, scan: () => scanLPEvents(connection, LP_MINT, { cache }) });
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const fetched = server => server.requests.filter(r => r.method === "getTransaction").map(r => r.params[0]);
+
+test("a rescan only fetches the transactions after the high-water mark", async () => {
+  await withCache(async ({ fixture, server, cache, scan }) => {
+    const first = await scan();
+    assert.strictEqual(first.cached, false);
+    const entry = cache.load(LP_MINT);
+    assert.strictEqual(entry.highWaterMark.signature, "fixture-burn-checked");
+    assert.strictEqual(entry.signatureCount, 2);
+
+    // A burn after the first scan
+    const later = burnChecked(50, entry.highWaterMark.blockTime + 3600, "fixture-burn-later");
+    fixture.signatures[LP_MINT].unshift({ signature: later.signature, blockTime: later.blockTime });
+    fixture.transactions[later.signature] = parsedTransaction(later);
+    server.requests.length = 0;
+
+    const second = await scan();
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.scanned, 3);
+    assert.deepStrictEqual(second.events.map(e => e.signature), ["fixture-burn-later", ...first.events.map(e => e.signature)]);
+    const pages = server.requests.filter(r => r.method === "getSignaturesForAddress");
+    assert.deepStrictEqual(pages.map(r => r.params[1].until), ["fixture-burn-checked"]);
+    assert.deepStrictEqual(fetched(server), ["fixture-burn-later"]);
+    assert.strictEqual(cache.load(LP_MINT).highWaterMark.signature, "fixture-burn-later");
+  });
+});
+
+test("entries from another cache version are ignored and rebuilt", async () => {
+  await withCache(async ({ dir, server, cache, scan }) => {
+    await scan();
+    const [file] = fs.readdirSync(dir);
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    fs.writeFileSync(path.join(dir, file), JSON.stringify({ ...entry, version: entry.version - 1 }));
+    assert.strictEqual(cache.load(LP_MINT), null);
+    server.requests.length = 0;
+
+    const rescan = await scan();
+    assert.strictEqual(rescan.cached, false);
+    assert.strictEqual(fetched(server).length, 2);
+    assert.strictEqual(cache.load(LP_MINT).version, entry.version);
+  });
+});
+
+test("a failed write leaves the previous entry in place", async t => {
+  await withCache(async ({ dir, cache, scan }) => {
+    await scan();
+    const before = cache.load(LP_MINT);
+    assert.deepStrictEqual(fs.readdirSync(dir), [`lp-events-${LP_MINT}.json`]);
+
+    t.mock.method(fs, "renameSync", () => {
+      throw new Error("disk full");
+    });
+    assert.throws(() => cache.save(LP_MINT, { highWaterMark: { signature: "other" }, signatureCount: 0, events: [] }), /disk full/);
+    t.mock.restoreAll();
+
+    assert.deepStrictEqual(cache.load(LP_MINT), before);
+    assert.deepStrictEqual(fs.readdirSync(dir), [`lp-events-${LP_MINT}.json`]);
+  });
+});
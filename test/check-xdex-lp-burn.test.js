@@ -0,0 +1,121 @@
+/**
+ * check-xdex-lp-burn.js --json and the provenance command end to end,
+ * with X1_RPC_URL and XDEX_API_URL pointed at the offline mock server.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { startMockServer } = require("./mock-server");
+const { TOKEN_MINT, LP_MINT, DEPLOYER, FUNDER, FUNDER_SOURCE, SCENARIOS } = require("./fixtures/lp-safety");
+const { address } = require("./fixtures/builders");
+const { REPORT_SCHEMA_VERSION } = require("../lib/report");
+
+const SCRIPT = path.join(__dirname, "..", "check-xdex-lp-burn.js");
+
+function runCLI(args, server) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], {
+      env: { ...process.env, X1_RPC_URL: server.rpcUrl, XDEX_API_URL: server.apiUrl, X1_RPC_MAX_RETRIES: "0" },
+      timeout: 30000,
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+test("--json reports closeAccount burns and the LP Safety method", async () => {
+  const server = await startMockServer(SCENARIOS["close-account"]);
+  try {
+    const { code, stdout } = await runCLI([TOKEN_MINT, "--json", "--no-cache"], server);
+    assert.strictEqual(code, 0);
+
+    const report = JSON.parse(stdout);
+    assert.strictEqual(report.schemaVersion, REPORT_SCHEMA_VERSION);
+    assert.strictEqual(report.rpcUrl, server.rpcUrl);
+    assert.strictEqual(report.lpSafety.method, "estimated-original");
+    assert.strictEqual(report.lpSafety.pct, 50);
+
+    const burns = report.lpBurns.find(b => b.lpMint === LP_MINT);
+    assert.deepStrictEqual(burns.closeAccount, { amount: 100, count: 1 });
+    assert.deepStrictEqual(burns.burnChecked, { amount: 0, count: 0 });
+    assert.strictEqual(burns.scan.complete, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test("provenance traces the initial liquidity, its funding and its burn", async () => {
+  const server = await startMockServer(SCENARIOS.provenance);
+  try {
+    const { code, stdout } = await runCLI(["provenance", TOKEN_MINT, "--json", "--no-cache"], server);
+    assert.strictEqual(code, 0);
+
+    const { provenance } = JSON.parse(stdout).pools[0];
+    assert.strictEqual(provenance.creator, DEPLOYER);
+    assert.strictEqual(provenance.provider, DEPLOYER);
+    assert.strictEqual(provenance.lpAmount, 1000);
+    assert.deepStrictEqual(provenance.tokens.map(t => [t.symbol, t.amount]), [["FIX", 500000], ["WXNT", 5000]]);
+    assert.strictEqual(provenance.price.value, 0.01);
+    assert.deepStrictEqual(provenance.funding.map(h => [h.wallet, h.funder, h.amount]), [
+      [DEPLOYER, FUNDER, 50],
+      [FUNDER, FUNDER_SOURCE, 1000],
+    ]);
+    assert.strictEqual(provenance.firstBurn.delaySeconds, 5400);
+    assert.strictEqual(provenance.burnedInFull, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test("--json exits 1 with MINT_NOT_FOUND for an unknown mint", async () => {
+  const server = await startMockServer(SCENARIOS.none);
+  try {
+    const { code, stderr } = await runCLI([address(99), "--json", "--no-cache"], server);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(JSON.parse(stderr).error.code, "MINT_NOT_FOUND");
+  } finally {
+    await server.close();
+  }
+});
+
+test("--record then --replay reproduces the report without the network", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-capture-"));
+  try {
+    const server = await startMockServer(SCENARIOS["supply-diff"]);
+    let recorded;
+    try {
+      const { code, stdout } = await runCLI([TOKEN_MINT, "--json", "--record", dir], server);
+      assert.strictEqual(code, 0);
+      recorded = JSON.parse(stdout);
+    } finally {
+      await server.close();
+    }
+    assert.ok(fs.existsSync(path.join(dir, "capture.json")));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, "report.json"), "utf8")), recorded);
+
+    // The server is gone: anything not in the capture would fail
+    const { code, stdout } = await runCLI(["--replay", dir, "--json"], server);
+    assert.strictEqual(code, 0);
+    const replayed = JSON.parse(stdout);
+    // Including the audit time, so locks are judged as they were when recorded
+    assert.deepStrictEqual(replayed, recorded);
+    assert.strictEqual(replayed.lpSafety.pct, 90);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the console summary lists each risk factor with its points and evidence", async () => {
+  const server = await startMockServer(SCENARIOS.dev);
+  try {
+    const { code, stdout } = await runCLI([TOKEN_MINT, "--no-cache"], server);
+    assert.strictEqual(code, 0);
+    const summary = stdout.slice(stdout.lastIndexOf("SUMMARY"));
+    assert.match(summary, /• LP tokens not burned \(\+25\)\n\s+lpSafetyPct: 0, poolCount: 1\n/);
+    assert.match(summary, /• Team wallet removed 80\.0% of a pool's liquidity \(\+30\)\n\s+removals: 1, largestPct: 80, team: 1\n/);
+  } finally {
+    await server.close();
+  }
+});
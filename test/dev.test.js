@@ -0,0 +1,61 @@
+/**
+ * Dev activity: the deployer is found from the mint's first transaction
+ * and its recent sells, transfers to fresh wallets, LP removals and
+ * authority changes are reported and scored.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { auditToken } = require("../lib/audit");
+const { buildJSONReport } = require("../lib/report");
+const { XDEX_AUTHORITY } = require("../lib/dex");
+const { startMockServer } = require("./mock-server");
+const { address } = require("./fixtures/builders");
+const { TOKEN_MINT, LP_MINT, DEPLOYER, WXNT, SCENARIOS } = require("./fixtures/lp-safety");
+
+test("dev wallet sells, transfers to fresh wallets, LP removals and authority changes are tracked", async () => {
+  const server = await startMockServer(SCENARIOS.dev);
+  let audit;
+  try {
+    audit = await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false });
+  } finally {
+    await server.close();
+  }
+
+  const dev = audit.devActivity;
+  assert.strictEqual(dev.deployer.deployer, DEPLOYER);
+  assert.strictEqual(dev.deployer.signature, "fixture-create-mint");
+  assert.deepStrictEqual(dev.wallets, [{ address: DEPLOYER, roles: ["deployer"], scanned: 5, complete: true }]);
+
+  assert.deepStrictEqual(dev.events.map(e => [e.signature, e.type]), [
+    ["fixture-dev-transfer", "transfer"],
+    ["fixture-dev-sell", "sell"],
+    ["fixture-remove-liquidity", "lp-removal"],
+    ["fixture-revoke-mint-authority", "authority-change"],
+  ]);
+  const [transfer, sell, removal, revoke] = dev.events;
+  assert.deepStrictEqual([transfer.to, transfer.amount, transfer.pct, transfer.fresh], [address(37), 50000, 5, true]);
+  assert.deepStrictEqual([sell.pool, sell.dex, sell.amount, sell.pct], [XDEX_AUTHORITY, "XDEX", 100000, 10]);
+  assert.deepStrictEqual(sell.received, [{ mint: WXNT, amount: 500 }]);
+  assert.deepStrictEqual([removal.lpMint, removal.lpAmount], [LP_MINT, 800]);
+  assert.deepStrictEqual([revoke.authorityType, revoke.newAuthority], ["mintTokens", null]);
+  assert.deepStrictEqual(dev.summary, {
+    sells: 1,
+    soldAmount: 100000,
+    soldPct: 10,
+    transfers: 1,
+    freshTransfers: 1,
+    freshAmount: 50000,
+    freshPct: 5,
+    lpRemovals: 1,
+    authorityChanges: 1,
+  });
+
+  const factor = audit.risk.factors.find(f => f.id === "dev-selling");
+  assert.strictEqual(factor.label, "Dev wallets sold 10.0% and moved 5.0% of supply to fresh wallets");
+  assert.strictEqual(factor.points, 20);
+
+  const report = buildJSONReport(audit);
+  assert.strictEqual(report.devActivity.deployer, DEPLOYER);
+  assert.strictEqual(report.devActivity.events.length, 4);
+});
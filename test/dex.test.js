@@ -0,0 +1,129 @@
+/**
+ * DEX adapter registry: one vault scan, grouped by owner program.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { discoverPools, registerDexAdapter } = require("../lib/dex");
+const { createWhirlpoolAdapter } = require("../lib/clmm");
+const { createRpcClient } = require("../lib/rpc");
+const { auditToken } = require("../lib/audit");
+const { buildJSONReport } = require("../lib/report");
+const { formatAuditReport } = require("../lib/telegram");
+const { XDEX_PROGRAM_ID } = require("../lib/constants");
+const { startMockServer } = require("./mock-server");
+const { address, mintAccount, tokenAccount, whirlpool, whirlpoolPosition, addHolders } = require("./fixtures/builders");
+const { TOKEN_MINT, LP_MINT, POOL, DEPLOYER, WXNT, jupiterEscrow, SCENARIOS } = require("./fixtures/lp-safety");
+
+test("discoverPools finds XDEX pools from their vaults and lists unsupported programs", async () => {
+  const fixture = structuredClone(SCENARIOS["api-down"]);
+  const otherProgram = address(40);
+  fixture.accounts[address(41)] = { owner: otherProgram, data: Buffer.alloc(8).toString("base64") };
+  fixture.accounts[address(42)] = tokenAccount({ mint: TOKEN_MINT, owner: address(41), amount: 1000, decimals: 6 });
+
+  const server = await startMockServer(fixture);
+  try {
+    const { pools, unsupported } = await discoverPools(createRpcClient(server.rpcUrl, { maxRetries: 0 }), TOKEN_MINT);
+    assert.strictEqual(pools.length, 1);
+    assert.strictEqual(pools[0].dex, "XDEX");
+    assert.strictEqual(pools[0].address, POOL);
+    assert.strictEqual(pools[0].lpMint, LP_MINT);
+    assert.strictEqual(pools[0].tokenAmount, 500000);
+    assert.deepStrictEqual(pools[0].reserves.map(r => r.reserve), [500000, 5000]);
+    assert.deepStrictEqual(unsupported.map(g => [g.programId, g.vaults.length]), [[otherProgram, 1]]);
+
+    const scans = server.requests.filter(r => r.method === "getProgramAccounts" && r.params[1].encoding === "jsonParsed");
+    assert.strictEqual(scans.length, 1);
+    // Pool states are looked up by the vault found, not by the mint
+    const lookups = server.requests.filter(r => r.method === "getProgramAccounts" && r.params[0] === XDEX_PROGRAM_ID.toBase58());
+    assert.deepStrictEqual(lookups.map(r => [r.params[1].filters[1].memcmp.offset, r.params[1].filters[1].memcmp.bytes]), [
+      [72, pools[0].vault],
+      [104, pools[0].vault],
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+const CLMM_PROGRAM = address(50);
+const CLMM_POOL = address(51);
+const CLMM_ESCROW = address(52);
+registerDexAdapter(createWhirlpoolAdapter({ name: "Test CLMM", programId: CLMM_PROGRAM }));
+
+/** The api-down scenario plus a CLMM pool with four positions */
+function clmmFixture() {
+  const program = CLMM_PROGRAM;
+  const pool = CLMM_POOL;
+  const escrow = CLMM_ESCROW;
+  const fixture = structuredClone(SCENARIOS["api-down"]);
+  fixture.accounts[pool] = whirlpool({ program, mints: [TOKEN_MINT, WXNT], vaults: [address(53), address(54)], tickCurrent: 0 });
+  fixture.accounts[address(53)] = tokenAccount({ mint: TOKEN_MINT, owner: pool, amount: 20000, decimals: 6 });
+  fixture.accounts[address(54)] = tokenAccount({ mint: WXNT, owner: pool, amount: 300 });
+  fixture.accounts[escrow] = jupiterEscrow(DEPLOYER, address(72), 4102444800);
+
+  // Burned NFT, held in range, locked in range, held out of range
+  const positions = [
+    { mint: address(70), liquidity: 500, ticks: [-128, 128], holder: null },
+    { mint: address(71), liquidity: 300, ticks: [-64, 64], holder: DEPLOYER },
+    { mint: address(72), liquidity: 200, ticks: [-64, 64], holder: escrow },
+    { mint: address(73), liquidity: 1000, ticks: [64, 256], holder: DEPLOYER },
+  ];
+  positions.forEach((p, i) => {
+    fixture.accounts[address(60 + i)] = whirlpoolPosition({
+      program, pool, positionMint: p.mint, liquidity: p.liquidity, tickLower: p.ticks[0], tickUpper: p.ticks[1],
+    });
+    fixture.accounts[p.mint] = mintAccount({ supply: p.holder ? 1 : 0, decimals: 0 });
+    if (p.holder) addHolders(fixture, p.mint, [{ account: address(80 + i), owner: p.holder, amount: 1 }], 0);
+  });
+  return fixture;
+}
+
+test("position-NFT pools list who holds each position and its share of active liquidity", async () => {
+  const escrow = CLMM_ESCROW;
+  const server = await startMockServer(clmmFixture());
+  try {
+    const { pools } = await discoverPools(createRpcClient(server.rpcUrl, { maxRetries: 0 }), TOKEN_MINT);
+    const clmm = pools.find(p => p.dex === "Test CLMM");
+    assert.strictEqual(clmm.lpTokenType, "position-nft");
+    assert.strictEqual(clmm.lpMint, null);
+    assert.deepStrictEqual(clmm.reserves.map(r => r.reserve), [20000, 300]);
+
+    const { positions: found, burnedPct, lockedPct, heldPct } = clmm.positions;
+    assert.deepStrictEqual(
+      found.map(p => [p.positionMint, p.status, p.holder, p.inRange, p.activePct]),
+      [
+        [address(70), "burned", null, true, 50],
+        [address(71), "held", DEPLOYER, true, 30],
+        [address(72), "locked", escrow, true, 20],
+        [address(73), "held", DEPLOYER, false, 0],
+      ]
+    );
+    assert.strictEqual(found[2].lock.unlockTime, 4102444800);
+    assert.deepStrictEqual([burnedPct, lockedPct, heldPct], [50, 20, 30]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("audits report CLMM positions in the result, the JSON report and the bot", async () => {
+  const server = await startMockServer(clmmFixture());
+  let audit;
+  try {
+    audit = await auditToken(TOKEN_MINT, {
+      rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false, findClusters: false, trackDev: false,
+    });
+  } finally {
+    await server.close();
+  }
+
+  assert.deepStrictEqual(audit.clmmPools.map(p => [p.address, p.dex, p.burnedPct, p.lockedPct, p.heldPct]), [
+    [CLMM_POOL, "Test CLMM", 50, 20, 30],
+  ]);
+  const [pool] = buildJSONReport(audit).clmmPools;
+  assert.deepStrictEqual(pool.positions.map(p => [p.status, p.liquidity]), [["burned", "500"], ["held", "300"], ["locked", "200"], ["held", "1000"]]);
+  assert.strictEqual(pool.positions[2].lock.unlockDate, "2100-01-01T00:00:00.000Z");
+
+  const report = formatAuditReport(audit);
+  assert.match(report, /Active liquidity: 50\.0% burned, 20\.0% locked, 30\.0% withdrawable\n/);
+  assert.match(report, /• 20\.0% locked until 2100-01-01 by /);
+});
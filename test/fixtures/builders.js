@@ -0,0 +1,219 @@
+/**
+ * test/fixtures/builders.js
+ * ===========================================
+ * Helpers that build mock-server fixtures
+ * ===========================================
+ *
+ * Everything is derived from fixed seeds, so fixtures are byte-identical
+ * between runs.
+ */
+
+const { Keypair, PublicKey } = require("@solana/web3.js");
+const { TOKEN_PROGRAM_ID, XDEX_PROGRAM_ID } = require("../../lib/constants");
+
+const TOKEN_PROGRAM = TOKEN_PROGRAM_ID.toBase58();
+const XDEX_PROGRAM = XDEX_PROGRAM_ID.toBase58();
+const SYSTEM_PROGRAM = "11111111111111111111111111111111";
+
+/**
+ * Deterministic address from a seed byte: the public key of a keypair, so
+ * on the ed25519 curve like a wallet's (off-curve addresses are PDAs)
+ */
+function address(seed) {
+  return Keypair.fromSeed(Buffer.alloc(32, seed)).publicKey.toBase58();
+}
+
+function uiAmountString(raw, decimals) {
+  const s = BigInt(raw).toString().padStart(decimals + 1, "0");
+  const whole = s.slice(0, s.length - decimals);
+  const frac = s.slice(s.length - decimals).replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+function tokenAmount(amount, decimals) {
+  const raw = BigInt(Math.round(amount * Math.pow(10, decimals)));
+  const ui = uiAmountString(raw, decimals);
+  return { amount: raw.toString(), decimals, uiAmount: parseFloat(ui), uiAmountString: ui };
+}
+
+/** 82-byte SPL mint account (base64) */
+function mintAccount({ supply, decimals = 9, mintAuthority = null, freezeAuthority = null }) {
+  const data = Buffer.alloc(82);
+  if (mintAuthority) {
+    data.writeUInt32LE(1, 0);
+    new PublicKey(mintAuthority).toBuffer().copy(data, 4);
+  }
+  data.writeBigUInt64LE(BigInt(Math.round(supply * Math.pow(10, decimals))), 36);
+  data.writeUInt8(decimals, 44);
+  data.writeUInt8(1, 45);
+  if (freezeAuthority) {
+    data.writeUInt32LE(1, 46);
+    new PublicKey(freezeAuthority).toBuffer().copy(data, 50);
+  }
+  return { owner: TOKEN_PROGRAM, lamports: 1461600, data: data.toString("base64") };
+}
+
+/** 637-byte XDEX pool state (see decodePoolState in lib/xdex.js) */
+function xdexPoolState({ ammConfig, creator, vaults, lpMint, mints, lpSupply, lpDecimals = 9, mintDecimals = [9, 9] }) {
+  const data = Buffer.alloc(637);
+  const key = (addr, offset) => new PublicKey(addr).toBuffer().copy(data, offset);
+  key(ammConfig, 8);
+  key(creator, 40);
+  key(vaults[0], 72);
+  key(vaults[1], 104);
+  key(lpMint, 136);
+  key(mints[0], 168);
+  key(mints[1], 200);
+  data.writeUInt8(lpDecimals, 330);
+  data.writeUInt8(mintDecimals[0], 331);
+  data.writeUInt8(mintDecimals[1], 332);
+  data.writeBigUInt64LE(BigInt(Math.round(lpSupply * Math.pow(10, lpDecimals))), 333);
+  return { owner: XDEX_PROGRAM, data: data.toString("base64") };
+}
+
+/** XDEX AMM config; `tradeFeeRate` is a fraction (0.0025 = 0.25%) */
+function xdexAmmConfig(tradeFeeRate) {
+  const data = Buffer.alloc(236);
+  data.writeBigUInt64LE(BigInt(Math.round(tradeFeeRate * 1000000)), 12);
+  return { owner: XDEX_PROGRAM, data: data.toString("base64") };
+}
+
+function writeU128(data, value, offset) {
+  data.writeBigUInt64LE(BigInt(value) & 0xffffffffffffffffn, offset);
+  data.writeBigUInt64LE(BigInt(value) >> 64n, offset + 8);
+}
+
+/** 653-byte Whirlpool account (see decodeWhirlpool in lib/clmm.js) */
+function whirlpool({ program, mints, vaults, tickCurrent = 0, liquidity = 0, feeRate = 3000 }) {
+  const data = Buffer.alloc(653);
+  data.writeUInt16LE(64, 41);
+  data.writeUInt16LE(feeRate, 45);
+  writeU128(data, liquidity, 49);
+  data.writeInt32LE(tickCurrent, 81);
+  new PublicKey(mints[0]).toBuffer().copy(data, 101);
+  new PublicKey(vaults[0]).toBuffer().copy(data, 133);
+  new PublicKey(mints[1]).toBuffer().copy(data, 181);
+  new PublicKey(vaults[1]).toBuffer().copy(data, 213);
+  return { owner: program, data: data.toString("base64") };
+}
+
+/** 216-byte Whirlpool position */
+function whirlpoolPosition({ program, pool, positionMint, liquidity, tickLower, tickUpper }) {
+  const data = Buffer.alloc(216);
+  new PublicKey(pool).toBuffer().copy(data, 8);
+  new PublicKey(positionMint).toBuffer().copy(data, 40);
+  writeU128(data, liquidity, 72);
+  data.writeInt32LE(tickLower, 88);
+  data.writeInt32LE(tickUpper, 92);
+  return { owner: program, data: data.toString("base64") };
+}
+
+/**
+ * Token account as returned by jsonParsed getMultipleAccounts; the raw
+ * 165-byte layout is kept too so getProgramAccounts filters can match it.
+ */
+function tokenAccount({ mint, owner, amount, decimals = 9 }) {
+  const data = Buffer.alloc(165);
+  new PublicKey(mint).toBuffer().copy(data, 0);
+  new PublicKey(owner).toBuffer().copy(data, 32);
+  data.writeBigUInt64LE(BigInt(tokenAmount(amount, decimals).amount), 64);
+  data.writeUInt8(1, 108);
+  return {
+    owner: TOKEN_PROGRAM,
+    data: data.toString("base64"),
+    parsed: {
+      program: "spl-token",
+      parsed: {
+        type: "account",
+        info: { mint, owner, isNative: false, state: "initialized", tokenAmount: tokenAmount(amount, decimals) },
+      },
+      space: 165,
+    },
+  };
+}
+
+/**
+ * Add the token accounts `holders` ([{ account, owner, amount }]) of a
+ * mint to a fixture, as getTokenLargestAccounts would list them.
+ */
+function addHolders(fixture, mint, holders, decimals = 9) {
+  fixture.largestAccounts[mint] = holders.map(h => ({
+    address: h.account,
+    ...tokenAmount(h.amount, decimals),
+  }));
+  for (const h of holders) {
+    fixture.accounts[h.account] = tokenAccount({ mint, owner: h.owner, amount: h.amount, decimals });
+  }
+}
+
+function tokenBalance(accountIndex, mint, owner, amount, decimals) {
+  return { accountIndex, mint, owner, programId: TOKEN_PROGRAM, uiTokenAmount: tokenAmount(amount, decimals) };
+}
+
+/**
+ * jsonParsed getTransaction result.
+ *   accountKeys    Account addresses; the first one signs
+ *   instructions   [{ type, info }] parsed spl-token instructions
+ *                  ({ program: "system", type, info } for system ones)
+ *   innerInstructions  [{ index, instructions: [{ type, info }] }], spl-token CPIs
+ *   preTokenBalances / postTokenBalances  [[accountIndex, mint, owner, amount]]
+ */
+function parsedTransaction({ signature, blockTime, accountKeys, instructions, innerInstructions = [], preTokenBalances = [], postTokenBalances = [], decimals = 9 }) {
+  const parsed = ix => (ix.program === "system"
+    ? { program: "system", programId: SYSTEM_PROGRAM, parsed: { type: ix.type, info: ix.info } }
+    : { program: "spl-token", programId: TOKEN_PROGRAM, parsed: { type: ix.type, info: ix.info } });
+  return {
+    slot: 1000,
+    blockTime,
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: accountKeys.map((pubkey, i) => ({ pubkey, signer: i === 0, writable: true, source: "transaction" })),
+        instructions: instructions.map(parsed),
+        recentBlockhash: address(250),
+      },
+    },
+    meta: {
+      err: null,
+      fee: 5000,
+      preBalances: accountKeys.map(() => 0),
+      postBalances: accountKeys.map(() => 0),
+      innerInstructions: innerInstructions.map(set => ({ index: set.index, instructions: set.instructions.map(parsed) })),
+      logMessages: [],
+      preTokenBalances: preTokenBalances.map(b => tokenBalance(...b, decimals)),
+      postTokenBalances: postTokenBalances.map(b => tokenBalance(...b, decimals)),
+    },
+  };
+}
+
+/**
+ * Add transactions touching `addr` to a fixture. `txs` are
+ * parsedTransaction() options, oldest first.
+ */
+function addHistory(fixture, addr, txs) {
+  fixture.signatures[addr] = txs
+    .map(tx => ({ signature: tx.signature, blockTime: tx.blockTime }))
+    .reverse();
+  for (const tx of txs) {
+    fixture.transactions[tx.signature] = parsedTransaction(tx);
+  }
+}
+
+function emptyFixture() {
+  return { accounts: {}, largestAccounts: {}, signatures: {}, transactions: {}, xdex: {} };
+}
+
+module.exports = {
+  address,
+  tokenAmount,
+  mintAccount,
+  tokenAccount,
+  xdexPoolState,
+  xdexAmmConfig,
+  whirlpool,
+  whirlpoolPosition,
+  addHolders,
+  parsedTransaction,
+  addHistory,
+  emptyFixture,
+};
@@ -0,0 +1,524 @@
+/**
+ * test/fixtures/lp-safety.js
+ * ===========================================
+ * One XDEX pool per scenario, one LP Safety branch each
+ * ===========================================
+ *
+ * Every scenario audits the same token (TOKEN_MINT) paired with WXNT in
+ * POOL; only the LP side changes:
+ *
+ *   supply-diff         API lpSupply 1000, 100 left on chain, 900 burnChecked
+ *   estimated-original  API lpSupply missing, 100 left, 300 burned
+ *   burn-events         API lpSupply 1000 and 1000 on chain, 100 burned
+ *   close-account       API lpSupply missing, 100 left, 100 burned via closeAccount
+ *   burn-address-only   API lpSupply missing, LP mint reports no supply,
+ *                       500 LP held by the incinerator
+ *   none                API lpSupply 1000 and 1000 on chain, no burns
+ *   locked              as `none`, but 800 LP sit in a Jupiter Lock escrow
+ *                       that unlocks on 2100-01-01
+ *   multi-pool          `supply-diff` ($20K TVL) plus an unburned $80K pool
+ *                       whose LP mint has 6 decimals
+ *   rug                 200 LP left on chain and in the pool state: the
+ *                       deployer withdrew 800 of 1000 LP a day after launch
+ *   api-down            `supply-diff` with the XDEX API unreachable; the pool
+ *                       is found from its on-chain pool state
+ *   api-mismatch        `supply-diff` whose API entry reports lpSupply 1200
+ *   price-manipulation  `supply-diff` whose API price is twice what its
+ *                       reserves say, plus a $3K pool pricing FIX 50%
+ *                       higher and a $2 dust pool pricing it 10x higher
+ *   provenance          500K FIX + 5K WXNT deposited for 1000 LP, all of it
+ *                       burned 90 minutes later; the deployer was funded by
+ *                       FUNDER, itself funded by FUNDER_SOURCE
+ *   clusters            `none` where the top holder funded the next two
+ *                       (35% together), and the deployer handed 75K FIX
+ *                       each to two fresh wallets in one transaction
+ *   dev                 `rug` where the deployer also created the mint,
+ *                       revoked its mint authority, then sold 100K FIX into
+ *                       the pool and sent 50K FIX to a fresh wallet
+ *
+ * The pool state account mirrors the API entry (lp_supply = API lpSupply)
+ * unless `poolLPSupply` says otherwise; scenarios without an API lpSupply
+ * have no pool state, so the LP Safety fallbacks still apply.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { BURN_ADDRESSES } = require("../../lib/constants");
+const { XDEX_AUTHORITY } = require("../../lib/dex");
+const { LOCKER_LAYOUTS, registerLocker } = require("../../lib/lockers");
+const {
+  address,
+  mintAccount,
+  tokenAccount,
+  xdexPoolState,
+  xdexAmmConfig,
+  addHolders,
+  addHistory,
+  emptyFixture,
+} = require("./builders");
+
+const TOKEN_MINT = address(1);
+const LP_MINT = address(2);
+const POOL = address(3);
+const WXNT = "So11111111111111111111111111111111111111112";
+const DEPLOYER = address(4);
+const POOL_AUTHORITY = XDEX_AUTHORITY;
+const DEPLOYER_LP_ACCOUNT = address(6);
+const INCINERATOR_LP_ACCOUNT = address(7);
+const LOCK_ESCROW = address(9);
+const LOCK_ESCROW_LP_ACCOUNT = address(10);
+const JUPITER_LOCK = "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn";
+const LOCK_END = 4102444800; // 2100-01-01T00:00:00Z
+// No locker ships registered; the tests treat this program as a Jupiter Lock deployment
+registerLocker(JUPITER_LOCK, LOCKER_LAYOUTS["jupiter-lock"]);
+const DEEP_LP_MINT = address(11);
+const DEEP_POOL = address(12);
+const DEEP_LP_ACCOUNT = address(13);
+const TOKEN_VAULT = address(14);
+const WXNT_VAULT = address(15);
+const DEPLOYER_TOKEN_ACCOUNT = address(16);
+const AMM_CONFIG = address(17);
+const FUNDER = address(18);
+const FUNDER_SOURCE = address(19);
+
+const LAUNCH_TIME = 1735689600; // 2025-01-01T00:00:00Z
+
+function hexLPSupply(amount, decimals = 9) {
+  return (BigInt(amount) * 10n ** BigInt(decimals)).toString(16);
+}
+
+/** First LP mint; `deposit` ([token, WXNT]) adds the vault deposits next to it */
+function initialDeposit(amount, deposit = null) {
+  const vaults = deposit
+    ? {
+      keys: [TOKEN_VAULT, WXNT_VAULT],
+      pre: [[4, TOKEN_MINT, POOL_AUTHORITY, 0], [5, WXNT, POOL_AUTHORITY, 0]],
+      post: [[4, TOKEN_MINT, POOL_AUTHORITY, deposit[0]], [5, WXNT, POOL_AUTHORITY, deposit[1]]],
+    }
+    : { keys: [], pre: [], post: [] };
+  return {
+    signature: "fixture-initial-deposit",
+    blockTime: LAUNCH_TIME,
+    accountKeys: [DEPLOYER, LP_MINT, DEPLOYER_LP_ACCOUNT, POOL_AUTHORITY, ...vaults.keys],
+    instructions: [{
+      type: "mintTo",
+      info: { mint: LP_MINT, account: DEPLOYER_LP_ACCOUNT, mintAuthority: POOL_AUTHORITY, amount: String(amount * 1e9) },
+    }],
+    preTokenBalances: vaults.pre,
+    postTokenBalances: [[2, LP_MINT, DEPLOYER, amount], ...vaults.post],
+  };
+}
+
+/** System transfer of `xnt` from `source` to `destination` */
+function fundWallet(source, destination, xnt, blockTime) {
+  return {
+    signature: `fixture-fund-${destination.slice(0, 8)}`,
+    blockTime,
+    accountKeys: [source, destination],
+    instructions: [{ program: "system", type: "transfer", info: { source, destination, lamports: xnt * 1e9 } }],
+  };
+}
+
+/** FIX sent from `source` to every [{ account, owner, amount }] in one transaction */
+function distribute(source, recipients, blockTime) {
+  const total = recipients.reduce((sum, r) => sum + r.amount, 0);
+  const sourceAccount = address(29);
+  return {
+    signature: "fixture-distribution",
+    blockTime,
+    accountKeys: [source, sourceAccount, ...recipients.map(r => r.account)],
+    instructions: recipients.map(r => ({
+      type: "transfer",
+      info: { source: sourceAccount, destination: r.account, authority: source, amount: String(r.amount * 1e6) },
+    })),
+    preTokenBalances: [[1, TOKEN_MINT, source, total]],
+    postTokenBalances: [[1, TOKEN_MINT, source, 0], ...recipients.map((r, i) => [i + 2, TOKEN_MINT, r.owner, r.amount])],
+    decimals: 6,
+  };
+}
+
+/** Transactions of a deployer that creates TOKEN_MINT, revokes its mint authority and dumps */
+function devHistory(freshWallet) {
+  const createMint = {
+    signature: "fixture-create-mint",
+    blockTime: LAUNCH_TIME - 3600,
+    accountKeys: [DEPLOYER, TOKEN_MINT],
+    instructions: [{ type: "initializeMint2", info: { mint: TOKEN_MINT, decimals: 6, mintAuthority: DEPLOYER } }],
+  };
+  const revoke = {
+    signature: "fixture-revoke-mint-authority",
+    blockTime: LAUNCH_TIME - 1800,
+    accountKeys: [DEPLOYER, TOKEN_MINT],
+    instructions: [{ type: "setAuthority", info: { mint: TOKEN_MINT, authority: DEPLOYER, authorityType: "mintTokens", newAuthority: null } }],
+  };
+  const sell = {
+    signature: "fixture-dev-sell",
+    blockTime: LAUNCH_TIME + 90000,
+    accountKeys: [DEPLOYER, DEPLOYER_TOKEN_ACCOUNT, TOKEN_VAULT, WXNT_VAULT, POOL],
+    instructions: [],
+    preTokenBalances: [[1, TOKEN_MINT, DEPLOYER, 400000], [2, TOKEN_MINT, POOL_AUTHORITY, 100000], [3, WXNT, POOL_AUTHORITY, 1000]],
+    postTokenBalances: [[1, TOKEN_MINT, DEPLOYER, 300000], [2, TOKEN_MINT, POOL_AUTHORITY, 200000], [3, WXNT, POOL_AUTHORITY, 500]],
+    decimals: 6,
+  };
+  const transfer = {
+    signature: "fixture-dev-transfer",
+    blockTime: LAUNCH_TIME + 93600,
+    accountKeys: [DEPLOYER, DEPLOYER_TOKEN_ACCOUNT, freshWallet.account],
+    instructions: [{
+      type: "transfer",
+      info: { source: DEPLOYER_TOKEN_ACCOUNT, destination: freshWallet.account, authority: DEPLOYER, amount: String(50000 * 1e6) },
+    }],
+    preTokenBalances: [[1, TOKEN_MINT, DEPLOYER, 300000]],
+    postTokenBalances: [[1, TOKEN_MINT, DEPLOYER, 250000], [2, TOKEN_MINT, freshWallet.owner, 50000]],
+    decimals: 6,
+  };
+  return { createMint, revoke, sell, transfer };
+}
+
+function burnChecked(amount, blockTime, signature = "fixture-burn-checked") {
+  return {
+    signature,
+    blockTime,
+    accountKeys: [DEPLOYER, DEPLOYER_LP_ACCOUNT, LP_MINT],
+    instructions: [{
+      type: "burnChecked",
+      info: {
+        account: DEPLOYER_LP_ACCOUNT,
+        mint: LP_MINT,
+        authority: DEPLOYER,
+        tokenAmount: { amount: String(amount * 1e9), decimals: 9, uiAmount: amount, uiAmountString: String(amount) },
+      },
+    }],
+  };
+}
+
+/**
+ * XDEX withdraw: the pool program burns the LP by CPI and pays both
+ * vaults out; the WXNT side is unwrapped straight to the wallet.
+ */
+function removeLiquidity(lpAmount, lpBefore, blockTime) {
+  return {
+    signature: "fixture-remove-liquidity",
+    blockTime,
+    accountKeys: [DEPLOYER, POOL, DEPLOYER_LP_ACCOUNT, LP_MINT, TOKEN_VAULT, WXNT_VAULT, DEPLOYER_TOKEN_ACCOUNT],
+    instructions: [],
+    innerInstructions: [{
+      index: 0,
+      instructions: [{
+        type: "burn",
+        info: { account: DEPLOYER_LP_ACCOUNT, mint: LP_MINT, authority: DEPLOYER, amount: String(lpAmount * 1e9) },
+      }],
+    }],
+    preTokenBalances: [
+      [2, LP_MINT, DEPLOYER, lpBefore],
+      [4, TOKEN_MINT, POOL_AUTHORITY, 500000],
+      [5, WXNT, POOL_AUTHORITY, 5000],
+      [6, TOKEN_MINT, DEPLOYER, 0],
+    ],
+    postTokenBalances: [
+      [2, LP_MINT, DEPLOYER, lpBefore - lpAmount],
+      [4, TOKEN_MINT, POOL_AUTHORITY, 100000],
+      [5, WXNT, POOL_AUTHORITY, 1000],
+      [6, TOKEN_MINT, DEPLOYER, 400000],
+    ],
+  };
+}
+
+function closeAccountBurn(account, owner, amount, blockTime) {
+  return {
+    signature: "fixture-close-account",
+    blockTime,
+    accountKeys: [owner, account, LP_MINT],
+    instructions: [{ type: "closeAccount", info: { account, destination: owner, owner } }],
+    preTokenBalances: [[1, LP_MINT, owner, amount]],
+    postTokenBalances: [],
+  };
+}
+
+/** Jupiter Lock VestingEscrow releasing everything at `unlockTime` */
+function jupiterEscrow(recipient, mint, unlockTime) {
+  const data = Buffer.alloc(288);
+  new PublicKey(recipient).toBuffer().copy(data, 8);
+  new PublicKey(mint).toBuffer().copy(data, 40);
+  data.writeBigUInt64LE(BigInt(unlockTime), 144); // cliff_time
+  return { owner: JUPITER_LOCK, data: data.toString("base64") };
+}
+
+/**
+ * Build a scenario fixture.
+ *   apiLPSupply   LP supply reported by the XDEX API (null: field missing)
+ *   lpSupply      LP supply of the LP mint on chain
+ *   lpHolders     [{ account, owner, amount }] of the LP mint
+ *   lpHistory     parsedTransaction() options touching the LP mint, oldest first
+ *   poolLPSupply  lp_supply of the on-chain pool state (null: no pool state)
+ */
+function scenario({ apiLPSupply, lpSupply, lpHolders = [], lpHistory = [], poolLPSupply = apiLPSupply }) {
+  const fixture = emptyFixture();
+  fixture.mint = TOKEN_MINT;
+
+  fixture.accounts[TOKEN_MINT] = mintAccount({ supply: 1000000, decimals: 6 });
+  addHolders(fixture, TOKEN_MINT, [
+    { account: address(20), owner: address(30), amount: 200000 },
+    { account: address(21), owner: address(31), amount: 100000 },
+    { account: address(22), owner: address(32), amount: 50000 },
+  ], 6);
+
+  fixture.accounts[LP_MINT] = mintAccount({ supply: lpSupply, mintAuthority: POOL_AUTHORITY });
+  addHolders(fixture, LP_MINT, lpHolders);
+  addHistory(fixture, LP_MINT, lpHistory);
+
+  const pool = {
+    pool_address: POOL,
+    token1_address: TOKEN_MINT,
+    token1_symbol: "FIX",
+    token1_price: "0.01",
+    token1_volume_usd_24h: 500,
+    token2_address: WXNT,
+    token2_symbol: "WXNT",
+    token2_price: "1",
+    tvl: "20000",
+    pool_info: {
+      lpMint: LP_MINT,
+      ...(apiLPSupply !== null ? { lpSupply: hexLPSupply(apiLPSupply) } : {}),
+    },
+  };
+  fixture.xdex["/xendex/pool/list"] = { data: [pool] };
+  fixture.xdex[`/xendex/pool/${POOL}`] = { data: { ...pool, creator: DEPLOYER } };
+
+  if (poolLPSupply !== null) {
+    fixture.accounts[POOL] = xdexPoolState({
+      ammConfig: AMM_CONFIG,
+      creator: DEPLOYER,
+      vaults: [TOKEN_VAULT, WXNT_VAULT],
+      lpMint: LP_MINT,
+      mints: [TOKEN_MINT, WXNT],
+      lpSupply: poolLPSupply,
+      mintDecimals: [6, 9],
+    });
+    fixture.accounts[AMM_CONFIG] = xdexAmmConfig(0.0025);
+    fixture.accounts[TOKEN_VAULT] = tokenAccount({ mint: TOKEN_MINT, owner: POOL_AUTHORITY, amount: 500000, decimals: 6 });
+    fixture.accounts[WXNT_VAULT] = tokenAccount({ mint: WXNT, owner: POOL_AUTHORITY, amount: 5000 });
+  }
+
+  return fixture;
+}
+
+/**
+ * Add another FIX/WXNT pool with its own pool state, vaults and LP mint.
+ * `seed` picks its addresses (seed to seed + 3); `reserves` are [FIX, WXNT].
+ */
+function addPool(fixture, { seed, reserves, price, tvl }) {
+  const [pool, lpMint, tokenVault, wxntVault] = [0, 1, 2, 3].map(i => address(seed + i));
+  fixture.accounts[lpMint] = mintAccount({ supply: 100, mintAuthority: POOL_AUTHORITY });
+  fixture.accounts[pool] = xdexPoolState({
+    ammConfig: AMM_CONFIG,
+    creator: DEPLOYER,
+    vaults: [tokenVault, wxntVault],
+    lpMint,
+    mints: [TOKEN_MINT, WXNT],
+    lpSupply: 100,
+    mintDecimals: [6, 9],
+  });
+  fixture.accounts[tokenVault] = tokenAccount({ mint: TOKEN_MINT, owner: POOL_AUTHORITY, amount: reserves[0], decimals: 6 });
+  fixture.accounts[wxntVault] = tokenAccount({ mint: WXNT, owner: POOL_AUTHORITY, amount: reserves[1] });
+  fixture.xdex["/xendex/pool/list"].data.push({
+    pool_address: pool,
+    token1_address: TOKEN_MINT,
+    token1_symbol: "FIX",
+    token1_price: String(price),
+    token2_address: WXNT,
+    token2_symbol: "WXNT",
+    token2_price: "1",
+    tvl: String(tvl),
+    pool_info: { lpMint, lpSupply: hexLPSupply(100) },
+  });
+  return pool;
+}
+
+const deployerHolds = amount => [{ account: DEPLOYER_LP_ACCOUNT, owner: DEPLOYER, amount }];
+
+const SCENARIOS = {
+  "supply-diff": scenario({
+    apiLPSupply: 1000,
+    lpSupply: 100,
+    lpHolders: deployerHolds(100),
+    lpHistory: [initialDeposit(1000), burnChecked(900, LAUNCH_TIME + 3600)],
+  }),
+
+  "estimated-original": scenario({
+    apiLPSupply: null,
+    lpSupply: 100,
+    lpHolders: deployerHolds(100),
+    lpHistory: [initialDeposit(400), burnChecked(300, LAUNCH_TIME + 3600)],
+  }),
+
+  "burn-events": scenario({
+    apiLPSupply: 1000,
+    lpSupply: 1000,
+    lpHolders: deployerHolds(1000),
+    lpHistory: [initialDeposit(1000), burnChecked(100, LAUNCH_TIME + 3600)],
+  }),
+
+  "close-account": scenario({
+    apiLPSupply: null,
+    lpSupply: 100,
+    lpHolders: deployerHolds(100),
+    lpHistory: [initialDeposit(200), closeAccountBurn(address(8), DEPLOYER, 100, LAUNCH_TIME + 7200)],
+  }),
+
+  "burn-address-only": scenario({
+    apiLPSupply: null,
+    lpSupply: 0,
+    lpHolders: [{ account: INCINERATOR_LP_ACCOUNT, owner: BURN_ADDRESSES[0], amount: 500 }],
+  }),
+
+  "none": scenario({
+    apiLPSupply: 1000,
+    lpSupply: 1000,
+    lpHolders: deployerHolds(1000),
+    lpHistory: [initialDeposit(1000)],
+  }),
+
+  "locked": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 1000,
+      lpHolders: [
+        { account: LOCK_ESCROW_LP_ACCOUNT, owner: LOCK_ESCROW, amount: 800 },
+        ...deployerHolds(200),
+      ],
+      lpHistory: [initialDeposit(1000)],
+    });
+    fixture.accounts[LOCK_ESCROW] = jupiterEscrow(DEPLOYER, LP_MINT, LOCK_END);
+    return fixture;
+  })(),
+
+  "multi-pool": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 100,
+      lpHolders: deployerHolds(100),
+      lpHistory: [initialDeposit(1000), burnChecked(900, LAUNCH_TIME + 3600)],
+    });
+    fixture.accounts[DEEP_LP_MINT] = mintAccount({ supply: 5000, decimals: 6, mintAuthority: POOL_AUTHORITY });
+    addHolders(fixture, DEEP_LP_MINT, [{ account: DEEP_LP_ACCOUNT, owner: DEPLOYER, amount: 5000 }], 6);
+    const deepPool = {
+      pool_address: DEEP_POOL,
+      token1_address: TOKEN_MINT,
+      token1_symbol: "FIX",
+      token1_price: "0.01",
+      token2_address: WXNT,
+      token2_symbol: "WXNT",
+      token2_price: "1",
+      tvl: "80000",
+      pool_info: { lpMint: DEEP_LP_MINT, lpSupply: hexLPSupply(5000, 6) },
+    };
+    fixture.xdex["/xendex/pool/list"].data.push(deepPool);
+    fixture.xdex[`/xendex/pool/${DEEP_POOL}`] = { data: { ...deepPool, creator: DEPLOYER } };
+    return fixture;
+  })(),
+
+  "rug": scenario({
+    apiLPSupply: 200,
+    lpSupply: 200,
+    lpHolders: deployerHolds(200),
+    lpHistory: [initialDeposit(1000), removeLiquidity(800, 1000, LAUNCH_TIME + 86400)],
+  }),
+
+  "api-down": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 100,
+      lpHolders: deployerHolds(100),
+      lpHistory: [initialDeposit(1000), burnChecked(900, LAUNCH_TIME + 3600)],
+    });
+    fixture.xdex = {};
+    return fixture;
+  })(),
+
+  "api-mismatch": scenario({
+    apiLPSupply: 1200,
+    poolLPSupply: 1000,
+    lpSupply: 100,
+    lpHolders: deployerHolds(100),
+    lpHistory: [initialDeposit(1000), burnChecked(900, LAUNCH_TIME + 3600)],
+  }),
+
+  "price-manipulation": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 100,
+      lpHolders: deployerHolds(100),
+      lpHistory: [initialDeposit(1000), burnChecked(900, LAUNCH_TIME + 3600)],
+    });
+    // The API quotes the main pool at twice what its reserves imply
+    fixture.xdex["/xendex/pool/list"].data[0].token1_price = "0.02";
+    addPool(fixture, { seed: 100, reserves: [100000, 1500], price: 0.015, tvl: 3000 });
+    addPool(fixture, { seed: 104, reserves: [10, 1], price: 0.1, tvl: 2 });
+    return fixture;
+  })(),
+
+  "provenance": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 0,
+      lpHistory: [initialDeposit(1000, [500000, 5000]), burnChecked(1000, LAUNCH_TIME + 5400)],
+    });
+    addHistory(fixture, DEPLOYER, [fundWallet(FUNDER, DEPLOYER, 50, LAUNCH_TIME - 86400)]);
+    addHistory(fixture, FUNDER, [fundWallet(FUNDER_SOURCE, FUNDER, 1000, LAUNCH_TIME - 172800)]);
+    return fixture;
+  })(),
+
+  "clusters": (() => {
+    const fixture = scenario({
+      apiLPSupply: 1000,
+      lpSupply: 1000,
+      lpHolders: deployerHolds(1000),
+      lpHistory: [initialDeposit(1000)],
+    });
+    addHistory(fixture, address(31), [fundWallet(address(30), address(31), 5, LAUNCH_TIME + 3600)]);
+    addHistory(fixture, address(32), [fundWallet(address(30), address(32), 5, LAUNCH_TIME + 3600)]);
+
+    const fresh = [
+      { account: address(27), owner: address(33), amount: 75000 },
+      { account: address(28), owner: address(34), amount: 75000 },
+    ];
+    const airdrop = distribute(DEPLOYER, fresh, LAUNCH_TIME + 600);
+    for (const r of fresh) {
+      fixture.accounts[r.account] = tokenAccount({ mint: TOKEN_MINT, owner: r.owner, amount: r.amount, decimals: 6 });
+      addHistory(fixture, r.account, [airdrop]);
+    }
+    return fixture;
+  })(),
+
+  "dev": (() => {
+    const withdrawal = removeLiquidity(800, 1000, LAUNCH_TIME + 86400);
+    const fixture = scenario({
+      apiLPSupply: 200,
+      lpSupply: 200,
+      lpHolders: deployerHolds(200),
+      lpHistory: [initialDeposit(1000), withdrawal],
+    });
+    const freshWallet = { account: address(38), owner: address(37) };
+    const { createMint, revoke, sell, transfer } = devHistory(freshWallet);
+    addHistory(fixture, TOKEN_MINT, [createMint, revoke]);
+    addHistory(fixture, DEPLOYER, [createMint, revoke, withdrawal, sell, transfer]);
+    addHistory(fixture, freshWallet.owner, [transfer]);
+    return fixture;
+  })(),
+};
+
+module.exports = {
+  TOKEN_MINT,
+  LP_MINT,
+  POOL,
+  DEPLOYER,
+  LOCK_ESCROW,
+  AMM_CONFIG,
+  FUNDER,
+  FUNDER_SOURCE,
+  DEEP_LP_MINT,
+  WXNT,
+  jupiterEscrow,
+  burnChecked,
+  SCENARIOS,
+};
@@ -0,0 +1,61 @@
+/**
+ * Signature history: pages are followed with `before` cursors back to
+ * the first transaction, or until maxSignatures, since or until stop it.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fetchSignatureHistory } = require("../lib/history");
+const { createRpcClient } = require("../lib/rpc");
+const { startMockServer } = require("./mock-server");
+const { address } = require("./fixtures/builders");
+
+const ADDRESS = address(20);
+// sig-<count> (newest) ... sig-1, sig-n at blockTime 1000 + n
+function signatures(count) {
+  return Array.from({ length: count }, (_, i) => ({ signature: `sig-${count - i}`, blockTime: 1000 + count - i }));
+}
+
+async function history(options, count = 25) {
+  const server = await startMockServer({ signatures: { [ADDRESS]: signatures(count) } });
+  try {
+    const result = await fetchSignatureHistory(createRpcClient(server.rpcUrl, { maxRetries: 0 }), ADDRESS, options);
+    const pages = server.requests.map(r => [r.params[1].limit, r.params[1].before || null]);
+    return { ...result, names: result.signatures.map(s => s.signature), pages };
+  } finally {
+    await server.close();
+  }
+}
+
+test("pages are followed with before cursors back to the first transaction", async () => {
+  const result = await history({ pageSize: 10 });
+  assert.strictEqual(result.names.length, 25);
+  assert.deepStrictEqual([result.names[0], result.names[24]], ["sig-25", "sig-1"]);
+  assert.deepStrictEqual(result.pages, [[10, null], [10, "sig-16"], [10, "sig-6"]]);
+  assert.deepStrictEqual([result.complete, result.bound], [true, null]);
+
+  // An empty last page still ends the history
+  const exact = await history({ pageSize: 5 });
+  assert.strictEqual(exact.pages.length, 6);
+  assert.deepStrictEqual([exact.names.length, exact.complete], [25, true]);
+
+  // Pages of 1000 by default
+  const long = await history({}, 1500);
+  assert.deepStrictEqual(long.pages, [[1000, null], [1000, "sig-501"]]);
+  assert.deepStrictEqual([long.names.length, long.complete], [1500, true]);
+});
+
+test("maxSignatures, since and until stop the history early", async () => {
+  const capped = await history({ pageSize: 10, maxSignatures: 15 });
+  assert.deepStrictEqual(capped.pages, [[10, null], [5, "sig-16"]]);
+  assert.deepStrictEqual([capped.names.length, capped.complete, capped.bound], [15, false, "maxSignatures"]);
+
+  const since = await history({ pageSize: 10, since: 1012 });
+  assert.deepStrictEqual([since.names[since.names.length - 1], since.names.length], ["sig-12", 14]);
+  assert.deepStrictEqual([since.pages.length, since.complete, since.bound], [2, false, "since"]);
+
+  // `until` is exclusive and counts as the start of the history
+  const until = await history({ pageSize: 10, until: "sig-8" });
+  assert.deepStrictEqual([until.names[until.names.length - 1], until.names.length], ["sig-9", 17]);
+  assert.deepStrictEqual([until.complete, until.bound], [true, null]);
+});
@@ -0,0 +1,105 @@
+/**
+ * Holder distribution: every token account of the mint, grouped by
+ * owner, against the circulating supply; holders are classified so only
+ * wallets count towards concentration, and linked wallets are clustered.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PublicKey } = require("@solana/web3.js");
+const { auditToken } = require("../lib/audit");
+const { XDEX_AUTHORITY } = require("../lib/dex");
+const { startMockServer } = require("./mock-server");
+const { address, tokenAccount } = require("./fixtures/builders");
+const { TOKEN_MINT, DEPLOYER, SCENARIOS, jupiterEscrow } = require("./fixtures/lp-safety");
+
+const INCINERATOR = "1nc1nerator11111111111111111111111111111111";
+
+async function auditHolders(fixture) {
+  const server = await startMockServer(fixture);
+  try {
+    return await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false });
+  } finally {
+    await server.close();
+  }
+}
+
+test("holders are enumerated beyond the largest accounts and measured against circulating supply", async () => {
+  const fixture = structuredClone(SCENARIOS.none);
+  // A second account of the top holder, kept out of getTokenLargestAccounts
+  fixture.accounts[address(23)] = tokenAccount({ mint: TOKEN_MINT, owner: address(30), amount: 50000, decimals: 6 });
+  fixture.accounts[address(24)] = tokenAccount({ mint: TOKEN_MINT, owner: INCINERATOR, amount: 100000, decimals: 6 });
+
+  const { holders, incomplete } = await auditHolders(fixture);
+  assert.strictEqual(holders.complete, true);
+  assert.deepStrictEqual(incomplete, []);
+  assert.strictEqual(holders.burned, 100000);
+  assert.strictEqual(holders.circulatingSupply, 900000);
+  assert.deepStrictEqual(holders.topHolders.map(h => [h.address, h.amount, h.accounts, h.pct.toFixed(2)]), [
+    [XDEX_AUTHORITY, 500000, 1, "55.56"],
+    [address(30), 250000, 2, "27.78"],
+    [address(31), 100000, 1, "11.11"],
+    [address(32), 50000, 1, "5.56"],
+  ]);
+  assert.strictEqual(holders.totalHolders, 4);
+  // Over the wallets only: the XDEX pool vault is left out
+  assert.strictEqual(holders.nakamoto, 1);
+  assert.strictEqual(holders.gini.toFixed(3), "0.333");
+
+  fixture.disabledMethods = ["getProgramAccounts"];
+  const fallback = await auditHolders(fixture);
+  assert.strictEqual(fallback.holders.complete, false);
+  assert.deepStrictEqual(fallback.incomplete, ["holders"]);
+  assert.deepStrictEqual(fallback.holders.topHolders.map(h => [h.address, h.amount]), [
+    [address(30), 200000],
+    [address(31), 100000],
+    [address(32), 50000],
+  ]);
+});
+
+test("pool vaults, locker escrows and program accounts are classified and left out of concentration", async () => {
+  const fixture = structuredClone(SCENARIOS.none);
+  const escrow = address(40);
+  const pda = address(41);
+  fixture.accounts[escrow] = jupiterEscrow(address(30), TOKEN_MINT, 2000000000);
+  fixture.accounts[pda] = { owner: address(90), data: Buffer.alloc(64).toString("base64") };
+  fixture.accounts[address(25)] = tokenAccount({ mint: TOKEN_MINT, owner: escrow, amount: 120000, decimals: 6 });
+  fixture.accounts[address(26)] = tokenAccount({ mint: TOKEN_MINT, owner: pda, amount: 30000, decimals: 6 });
+  // Off the curve and without an account of its own: still not a wallet
+  const [bareProgramAddress] = PublicKey.findProgramAddressSync([Buffer.from("vault")], new PublicKey(address(91)));
+  const barePda = bareProgramAddress.toBase58();
+  fixture.accounts[address(27)] = tokenAccount({ mint: TOKEN_MINT, owner: barePda, amount: 20000, decimals: 6 });
+
+  const { holders, risk } = await auditHolders(fixture);
+  assert.deepStrictEqual(holders.topHolders.map(h => [h.address, h.type, h.label]), [
+    [XDEX_AUTHORITY, "pool", "XDEX"],
+    [address(30), "wallet", null],
+    [escrow, "locker", "Jupiter Lock"],
+    [address(31), "wallet", null],
+    [address(32), "wallet", null],
+    [pda, "program", address(90)],
+    [barePda, "program", null],
+  ]);
+
+  const concentration = risk.factors.find(f => f.id === "holder-concentration");
+  assert.strictEqual(concentration.label, "Top 5 wallets own 35.0%");
+  assert.strictEqual(concentration.points, 10);
+  assert.deepStrictEqual(concentration.evidence.excluded.map(h => h.type), ["pool", "locker", "program", "program"]);
+  assert.strictEqual(holders.nakamoto, 1);
+  assert.strictEqual(holders.gini.toFixed(3), "0.286");
+});
+
+test("clusters: wallets funded by one holder or airdropped together by the deployer count as one", async () => {
+  const { holders, risk } = await auditHolders(SCENARIOS.clusters);
+  const { clusters, effectiveTopHolder } = holders.clustering;
+  assert.deepStrictEqual(clusters.map(c => [c.wallets, c.pct, c.reasons.map(r => [r.type, r.source])]), [
+    [[address(30), address(31), address(32)], 35, [["common-funder", address(30)]]],
+    [[address(33), address(34)], 15, [["deployer-distribution", DEPLOYER]]],
+  ]);
+  assert.strictEqual(effectiveTopHolder.pct, 35);
+  assert.strictEqual(effectiveTopHolder.clustered, true);
+
+  const factor = risk.factors.find(f => f.id === "holder-clusters");
+  assert.strictEqual(factor.label, "3 linked wallets hold 35.0%");
+  assert.strictEqual(factor.points, 20);
+});
@@ -0,0 +1,140 @@
+/**
+ * LP Safety fallbacks of auditToken(), against the offline mock server.
+ * One scenario per branch of computeLPSafety (see test/fixtures/lp-safety.js).
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { auditToken } = require("../lib/audit");
+const { startMockServer } = require("./mock-server");
+const { TOKEN_MINT, LP_MINT, DEPLOYER, LOCK_ESCROW, DEEP_LP_MINT, WXNT, SCENARIOS } = require("./fixtures/lp-safety");
+
+async function auditScenario(name, options = {}) {
+  const server = await startMockServer(SCENARIOS[name]);
+  try {
+    return await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, ...options });
+  } finally {
+    await server.close();
+  }
+}
+
+test("supply-diff: original LP from the API hex lpSupply", async () => {
+  const { lp, pools, incomplete } = await auditScenario("supply-diff");
+  assert.deepStrictEqual(incomplete, []);
+  assert.strictEqual(pools[0].lpMint, LP_MINT);
+  assert.strictEqual(pools[0].lpSupplyOriginal, 1000);
+  assert.strictEqual(pools[0].lpSupplyCurrent, 100);
+  assert.strictEqual(lp.method, "supply-diff");
+  assert.strictEqual(lp.estimated, false);
+  assert.strictEqual(lp.pct, 90);
+  assert.strictEqual(lp.burnCheckedTotal, 900);
+});
+
+test("estimated-original: API lpSupply missing, original rebuilt from burns", async () => {
+  const { lp, pools } = await auditScenario("estimated-original");
+  assert.strictEqual(pools[0].lpSupplyOriginal, 0);
+  assert.strictEqual(lp.method, "estimated-original");
+  assert.strictEqual(lp.estimated, true);
+  assert.strictEqual(lp.originalLP, 400);
+  assert.strictEqual(lp.pct, 75);
+});
+
+test("burn-events: burns found but supply unchanged", async () => {
+  const { lp } = await auditScenario("burn-events");
+  assert.strictEqual(lp.method, "burn-events");
+  assert.strictEqual(lp.pct.toFixed(2), "9.09");
+});
+
+test("closeAccount burns count towards LP Safety", async () => {
+  const { lp } = await auditScenario("close-account");
+  assert.strictEqual(lp.burnEvents.length, 1);
+  assert.strictEqual(lp.burnEvents[0].type, "closeAccount (burn)");
+  assert.strictEqual(lp.burnEvents[0].amount, 100);
+  assert.strictEqual(lp.method, "estimated-original");
+  assert.strictEqual(lp.pct, 50);
+});
+
+test("burn-address-only: only incinerator holdings are known", async () => {
+  const { lp, pools } = await auditScenario("burn-address-only");
+  assert.strictEqual(pools[0].burnAddressAmount, 500);
+  assert.strictEqual(lp.method, "burn-address-only");
+  assert.strictEqual(lp.estimated, true);
+  assert.strictEqual(lp.pct, 99.9);
+});
+
+test("none: no burns found", async () => {
+  const { lp, risk } = await auditScenario("none");
+  assert.strictEqual(lp.method, "none");
+  assert.strictEqual(lp.pct, 0);
+  assert.strictEqual(risk.factors.find(f => f.id === "lp-burn").ok, false);
+});
+
+test("locked LP is reported apart from burns and scored by remaining lock time", async () => {
+  const { lp, pools, risk } = await auditScenario("locked");
+  assert.strictEqual(lp.method, "none");
+  assert.strictEqual(lp.pct, 0);
+  assert.strictEqual(lp.lockedTotal, 800);
+  assert.strictEqual(lp.lockedPct, 80);
+  assert.strictEqual(pools[0].locks[0].escrow, LOCK_ESCROW);
+  assert.strictEqual(pools[0].locks[0].name, "Jupiter Lock");
+  assert.strictEqual(pools[0].locks[0].unlockTime, 4102444800);
+
+  const lpFactor = risk.factors.find(f => f.id === "lp-burn");
+  assert.match(lpFactor.label, /80\.0% locked until 2100-01-01/);
+  assert.strictEqual(lpFactor.evidence.securedPct, 80);
+  assert.strictEqual(lpFactor.points, 5);
+
+  // Audited after the unlock: the lock earns no credit
+  const later = await auditScenario("locked", { now: 4102444800 + 86400 });
+  assert.strictEqual(later.timestamp, "2100-01-02T00:00:00.000Z");
+  const laterFactor = later.risk.factors.find(f => f.id === "lp-burn");
+  assert.match(laterFactor.label, /80\.0% locked \(unlocked\)/);
+  assert.strictEqual(laterFactor.evidence.securedPct, 0);
+  assert.ok(laterFactor.points > lpFactor.points);
+});
+
+test("multi-pool: LP Safety is TVL-weighted and uses each LP mint's decimals", async () => {
+  const { lp, pools } = await auditScenario("multi-pool");
+  const deep = pools.find(p => p.lpMint === DEEP_LP_MINT);
+  assert.strictEqual(deep.lpDecimals, 6);
+  assert.strictEqual(deep.lpSupplyOriginal, 5000);
+  assert.strictEqual(deep.lpSafety.pct, 0);
+  assert.strictEqual(deep.weight, 0.8);
+  assert.strictEqual(pools[0].lpSafety.pct, 90);
+
+  assert.strictEqual(lp.weighting, "tvl");
+  assert.strictEqual(lp.method, "tvl-weighted");
+  assert.strictEqual(lp.pct.toFixed(6), "18.000000");
+});
+
+test("LP held by the pool creator and initial LP funder counts as team-held", async () => {
+  const { lp, pools, risk } = await auditScenario("locked");
+  assert.strictEqual(pools[0].initialLP.funder, DEPLOYER);
+  assert.strictEqual(pools[0].lpTeam.withdrawable, 200);
+  assert.strictEqual(pools[0].lpTeam.amount, 200);
+  assert.deepStrictEqual(pools[0].lpTeam.wallets[0].roles, ["pool-creator", "initial-lp-funder", "initial-lp-recipient"]);
+  assert.strictEqual(lp.team.pct, 100);
+  assert.strictEqual(risk.factors.find(f => f.id === "lp-team").points, 10);
+});
+
+test("liquidity withdrawn by the pool creator is a removal, not a burn", async () => {
+  const { lp, pools, risk } = await auditScenario("rug");
+  assert.strictEqual(lp.burnEvents.length, 0);
+  assert.strictEqual(lp.removedTotal, 800);
+  assert.strictEqual(lp.method, "none");
+  assert.strictEqual(lp.pct, 0);
+  assert.strictEqual(pools[0].liquidity.removedLP, 800);
+
+  const removal = lp.liquidityEvents.find(e => e.type === "remove");
+  assert.strictEqual(removal.provider, DEPLOYER);
+  assert.strictEqual(removal.pct, 80);
+  assert.deepStrictEqual(removal.tokens, [
+    { mint: TOKEN_MINT, amount: 400000, symbol: "FIX" },
+    { mint: WXNT, amount: 4000, symbol: "WXNT" },
+  ]);
+  assert.ok(removal.roles.includes("pool-creator"));
+
+  const factor = risk.factors.find(f => f.id === "liquidity-removal");
+  assert.strictEqual(factor.points, 30);
+  assert.match(factor.label, /Team wallet removed 80\.0%/);
+});
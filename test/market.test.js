@@ -0,0 +1,53 @@
+/**
+ * Reserve-implied prices: the deepest pool sets the price, thin and
+ * divergent pools and wrong API quotes are flagged; sells are simulated
+ * against the same reserves.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { auditToken } = require("../lib/audit");
+const { startMockServer } = require("./mock-server");
+const { address } = require("./fixtures/builders");
+const { TOKEN_MINT, POOL, SCENARIOS } = require("./fixtures/lp-safety");
+
+test("price-manipulation: the deepest pool's reserves set the price and market cap", async () => {
+  const server = await startMockServer(SCENARIOS["price-manipulation"]);
+  let result;
+  try {
+    result = await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false });
+  } finally {
+    await server.close();
+  }
+
+  const { market, warnings } = result;
+  assert.strictEqual(market.priceSource, "reserves");
+  assert.strictEqual(market.referencePool, POOL);
+  assert.strictEqual(market.price, 0.01);
+  assert.strictEqual(market.marketCap, 10000);
+  assert.deepStrictEqual(market.prices.map(p => [p.pool, p.flags]), [
+    [POOL, ["api-mismatch"]],
+    [address(100), ["divergence"]],
+    [address(104), ["dust"]],
+  ]);
+  assert.ok(warnings.some(w => w.includes("50% away from the deepest pool")));
+});
+
+test("sell simulation: 5% of supply through each pool's constant-product curve", async () => {
+  const server = await startMockServer(SCENARIOS["price-manipulation"]);
+  let result;
+  try {
+    result = await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false, simulateSell: "5%" });
+  } finally {
+    await server.close();
+  }
+
+  const sim = result.sellSimulation;
+  assert.strictEqual(sim.amount, 50000);
+  assert.deepStrictEqual(sim.pools.map(p => [p.pool, p.output.toFixed(2), p.priceImpactPct.toFixed(2)]), [
+    [POOL, "453.51", "9.07"],
+    [address(100), "499.17", "33.28"],
+    [address(104), "1.00", "99.98"],
+  ]);
+  assert.strictEqual(sim.best, address(100));
+});
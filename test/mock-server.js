@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * test/mock-server.js
+ * ===========================================
+ * Offline stand-in for the X1 RPC and the XDEX API
+ * ===========================================
+ *
+ * Serves a fixture over HTTP on 127.0.0.1:
+ *   POST /        JSON-RPC (single or batched requests)
+ *   GET  /api/*   XDEX API paths, e.g. /api/xendex/pool/list
+ *
+ * Fixture layout (see test/fixtures/):
+ *   accounts          { address: { owner, lamports?, data?: base64, parsed?: {...} } }
+ *   largestAccounts   { mint: [{ address, amount, decimals, uiAmountString }] }
+ *   signatures        { address: [{ signature, slot, blockTime }] }   newest first
+ *   transactions      { signature: <jsonParsed getTransaction result> }
+ *   xdex              { "/xendex/pool/list": <body>, ... }
+ *   disabledMethods   [method]: answered "Method not found"
+ *   rateLimited       { method: n }: the next n calls answered with HTTP 429
+ *
+ * Run standalone to point the CLIs at a fixture scenario:
+ *   node test/mock-server.js test/fixtures/lp-safety.js supply-diff
+ *   X1_RPC_URL=http://127.0.0.1:8899 XDEX_API_URL=http://127.0.0.1:8899/api \
+ *     node check-xdex-lp-burn.js <MINT> --no-cache
+ */
+
+const http = require("http");
+const path = require("path");
+const { PublicKey } = require("@solana/web3.js");
+
+const SLOT = 1000;
+
+function accountValue(account, encoding) {
+  if (!account) return null;
+  const base = {
+    executable: false,
+    lamports: account.lamports ?? 2039280,
+    owner: account.owner,
+    rentEpoch: 0,
+  };
+  if (encoding === "jsonParsed" && account.parsed) {
+    return { ...base, data: account.parsed, space: account.parsed.space ?? 165 };
+  }
+  const data = account.data || "";
+  return { ...base, data: [data, "base64"], space: Buffer.from(data, "base64").length };
+}
+
+/** JSON-RPC method handlers: (fixture, params) -> result */
+const RPC_METHODS = {
+  getAccountInfo: (fixture, [address, config = {}]) => ({
+    context: { slot: SLOT },
+    value: accountValue(fixture.accounts?.[address], config.encoding),
+  }),
+
+  getMultipleAccounts: (fixture, [addresses, config = {}]) => ({
+    context: { slot: SLOT },
+    value: addresses.map(address => accountValue(fixture.accounts?.[address], config.encoding)),
+  }),
+
+  getTokenLargestAccounts: (fixture, [mint]) => ({
+    context: { slot: SLOT },
+    value: (fixture.largestAccounts?.[mint] || []).map(a => ({
+      address: a.address,
+      amount: a.amount,
+      decimals: a.decimals,
+      uiAmount: parseFloat(a.uiAmountString),
+      uiAmountString: a.uiAmountString,
+    })),
+  }),
+
+  getSignaturesForAddress: (fixture, [address, config = {}]) => {
+    let list = fixture.signatures?.[address] || [];
+    if (config.until) {
+      const index = list.findIndex(s => s.signature === config.until);
+      if (index !== -1) list = list.slice(0, index);
+    }
+    if (config.before) {
+      list = list.slice(list.findIndex(s => s.signature === config.before) + 1);
+    }
+    return list.slice(0, config.limit || 1000).map(s => ({
+      signature: s.signature,
+      slot: s.slot ?? SLOT,
+      err: null,
+      memo: null,
+      blockTime: s.blockTime ?? null,
+      confirmationStatus: "finalized",
+    }));
+  },
+
+  // Filters: dataSize and memcmp with a base58 address as `bytes`
+  getProgramAccounts: (fixture, [programId, config = {}]) => Object.entries(fixture.accounts || {})
+    .filter(([, account]) => account.owner === programId && account.data)
+    .filter(([, account]) => (config.filters || []).every(filter => {
+      const data = Buffer.from(account.data, "base64");
+      if (filter.dataSize !== undefined) return data.length === filter.dataSize;
+      const bytes = new PublicKey(filter.memcmp.bytes).toBuffer();
+      return data.slice(filter.memcmp.offset, filter.memcmp.offset + bytes.length).equals(bytes);
+    }))
+    .map(([pubkey, account]) => ({ pubkey, account: accountValue(account, config.encoding) })),
+
+  getTransaction: (fixture, [signature]) => fixture.transactions?.[signature] || null,
+
+  getSlot: () => SLOT,
+};
+
+function handleRpc(fixture, request, log) {
+  log.push({ method: request.method, params: request.params });
+  // Fixtures list `disabledMethods` to act like RPC nodes that turn them off
+  const disabled = (fixture.disabledMethods || []).includes(request.method);
+  const handler = !disabled && RPC_METHODS[request.method];
+  if (!handler) {
+    return { jsonrpc: "2.0", id: request.id, error: { code: -32601, message: `Method not found: ${request.method}` } };
+  }
+  return { jsonrpc: "2.0", id: request.id, result: handler(fixture, request.params || []) };
+}
+
+/**
+ * Start a server for `fixture` on a free port (or `port`).
+ * Resolves to { url, rpcUrl, apiUrl, requests, close() }; `requests` logs
+ * every JSON-RPC call so tests can assert on what was fetched.
+ */
+function startMockServer(fixture, { port = 0 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "POST") {
+      let body = "";
+      req.on("data", chunk => body += chunk);
+      req.on("end", () => {
+        try {
+          const payload = JSON.parse(body);
+          const limited = (Array.isArray(payload) ? payload : [payload]).find(r => fixture.rateLimited?.[r.method] > 0);
+          if (limited) {
+            fixture.rateLimited[limited.method]--;
+            requests.push({ method: limited.method, params: limited.params, rateLimited: true });
+            return send(429, { jsonrpc: "2.0", id: limited.id, error: { code: 429, message: "Too many requests" } });
+          }
+          send(200, Array.isArray(payload)
+            ? payload.map(r => handleRpc(fixture, r, requests))
+            : handleRpc(fixture, payload, requests));
+        } catch (err) {
+          send(400, { jsonrpc: "2.0", id: null, error: { code: -32700, message: err.message } });
+        }
+      });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.startsWith("/api/")) {
+      const route = url.pathname.slice(4);
+      const body = fixture.xdex?.[route + url.search] ?? fixture.xdex?.[route];
+      if (body !== undefined) return send(200, body);
+    }
+    send(404, { error: "not found" });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        rpcUrl: url,
+        apiUrl: `${url}/api`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  startMockServer,
+};
+
+if (require.main === module) {
+  const [fixtureFile, scenarioName] = process.argv.slice(2).filter(a => !a.startsWith("--"));
+  if (!fixtureFile) {
+    console.error("Usage: node test/mock-server.js <FIXTURE_FILE> [SCENARIO] [--port <PORT>]");
+    process.exit(1);
+  }
+  const portIndex = process.argv.indexOf("--port");
+  const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 8899;
+  const exported = require(path.resolve(fixtureFile));
+  const fixture = exported.SCENARIOS ? exported.SCENARIOS[scenarioName] : exported;
+  if (!fixture) {
+    console.error(`Unknown scenario "${scenarioName}". Available: ${Object.keys(exported.SCENARIOS).join(", ")}`);
+    process.exit(1);
+  }
+
+  startMockServer(fixture, { port }).then(server => {
+    console.log(`Mock X1 RPC:  ${server.rpcUrl}`);
+    console.log(`Mock XDEX:    ${server.apiUrl}`);
+    if (fixture.mint) console.log(`Fixture mint: ${fixture.mint}`);
+  });
+}
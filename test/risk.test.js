@@ -0,0 +1,29 @@
+/**
+ * Risk rules: a bad X1_RISK_RULES file is only read when an audit needs
+ * the default rules, and fails that audit instead of require().
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TOKEN_MINT } = require("./fixtures/lp-safety");
+
+test("a bad X1_RISK_RULES file fails the audit, not loading the library", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-rules-"));
+  const file = path.join(dir, "rules.json");
+  fs.writeFileSync(file, JSON.stringify({ rules: { "no-such-rule": { points: 5 } } }));
+  process.env.X1_RISK_RULES = file;
+  try {
+    const lib = require("../lib");
+    await assert.rejects(lib.auditToken(TOKEN_MINT, { rpcUrl: "http://127.0.0.1:9" }), err => {
+      assert.strictEqual(err.code, "INVALID_RISK_RULES");
+      assert.match(err.message, /unknown rule "no-such-rule"/);
+      return true;
+    });
+  } finally {
+    delete process.env.X1_RISK_RULES;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * RPC client: 429s and HTTP 5xx are retried with backoff, other errors
+ * are thrown at once, and account lookups are batched 100 at a time.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PublicKey } = require("@solana/web3.js");
+const { createRpcClient } = require("../lib/rpc");
+const { startMockServer } = require("./mock-server");
+const { address, tokenAccount } = require("./fixtures/builders");
+const { TOKEN_MINT } = require("./fixtures/lp-safety");
+
+test("rate-limited requests are retried until they succeed or retries run out", async () => {
+  const fixture = {
+    accounts: { [address(20)]: tokenAccount({ mint: TOKEN_MINT, owner: address(30), amount: 5, decimals: 6 }) },
+    rateLimited: { getAccountInfo: 2 },
+  };
+  const server = await startMockServer(fixture);
+  try {
+    const client = createRpcClient(server.rpcUrl, { maxRetries: 2, baseDelayMs: 1 });
+    const info = await client.getAccountInfo(new PublicKey(address(20)));
+    assert.strictEqual(info.owner.toBase58(), fixture.accounts[address(20)].owner);
+    assert.deepStrictEqual(server.requests.map(r => Boolean(r.rateLimited)), [true, true, false]);
+    assert.deepStrictEqual(client.stats, { requests: 3, retries: 2, failures: 0 });
+
+    fixture.rateLimited.getAccountInfo = 3;
+    await assert.rejects(client.getAccountInfo(new PublicKey(address(20))), /429/);
+    assert.deepStrictEqual(client.stats, { requests: 6, retries: 4, failures: 1 });
+  } finally {
+    await server.close();
+  }
+});
+
+test("errors other than rate limits and outages are not retried", async () => {
+  const server = await startMockServer({ disabledMethods: ["getTokenLargestAccounts"] });
+  try {
+    const client = createRpcClient(server.rpcUrl, { maxRetries: 4, baseDelayMs: 1 });
+    await assert.rejects(client.getTokenLargestAccounts(new PublicKey(TOKEN_MINT)), /Method not found/);
+    assert.strictEqual(server.requests.length, 1);
+    assert.deepStrictEqual(client.stats, { requests: 1, retries: 0, failures: 1 });
+  } finally {
+    await server.close();
+  }
+});
+
+test("5xx is retried as an HTTP status only, not as any number in a message", async () => {
+  let calls = 0;
+  const failing = message => ({
+    rpcEndpoint: "mock",
+    getSlot: async () => {
+      calls++;
+      throw new Error(message);
+    },
+  });
+
+  const skipped = createRpcClient(failing("failed to get block 500: Slot 500 was skipped, or missing due to ledger jump to recent snapshot"), { maxRetries: 2, baseDelayMs: 1 });
+  await assert.rejects(skipped.call("getSlot"), /Slot 500 was skipped/);
+  assert.strictEqual(calls, 1);
+
+  calls = 0;
+  const down = createRpcClient(failing("502 Bad Gateway: upstream unavailable"), { maxRetries: 2, baseDelayMs: 1 });
+  await assert.rejects(down.call("getSlot"), /502 Bad Gateway/);
+  assert.strictEqual(calls, 3);
+});
+
+test("account lookups are split into batches of 100, results in request order", async () => {
+  const fixture = { accounts: {} };
+  const keys = [];
+  for (let i = 0; i < 250; i++) {
+    keys.push(new PublicKey(address(i)));
+    fixture.accounts[address(i)] = { owner: address(1), data: Buffer.from([i]).toString("base64") };
+  }
+  const server = await startMockServer(fixture);
+  try {
+    const accounts = await createRpcClient(server.rpcUrl, { maxRetries: 0 }).getMultipleAccountsInfo(keys);
+    assert.deepStrictEqual(server.requests.map(r => r.params[0].length).sort((a, b) => b - a), [100, 100, 50]);
+    assert.strictEqual(accounts.length, 250);
+    accounts.forEach((account, i) => assert.strictEqual(account.data[0], i));
+  } finally {
+    await server.close();
+  }
+});
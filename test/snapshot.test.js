@@ -0,0 +1,77 @@
+/**
+ * Holder snapshots: two snapshots of the same mint, taken before and
+ * after the top holder sold to a new whale, diffed.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createRpcClient } = require("../lib/rpc");
+const { takeHolderSnapshot, createSnapshotStore, diffSnapshots } = require("../lib/snapshot");
+const { startMockServer } = require("./mock-server");
+const { address, tokenAccount } = require("./fixtures/builders");
+const { TOKEN_MINT, SCENARIOS } = require("./fixtures/lp-safety");
+
+test("diff shows a new whale, an exited holder and distribution by the top wallets", async () => {
+  const fixture = structuredClone(SCENARIOS.clusters);
+  const server = await startMockServer(fixture);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-snapshots-"));
+  const store = createSnapshotStore(dir);
+  const connection = createRpcClient(server.rpcUrl, { maxRetries: 0 });
+  const holding = (account, owner, amount) => {
+    fixture.accounts[account] = tokenAccount({ mint: TOKEN_MINT, owner, amount, decimals: 6 });
+  };
+
+  let before, after;
+  try {
+    before = await takeHolderSnapshot(connection, TOKEN_MINT);
+    before.takenAt = "2026-01-01T00:00:00.000Z";
+    store.save(before);
+
+    // The top wallet sells 150K to a new wallet; another moves its bag to the third
+    holding(address(20), address(30), 50000);
+    holding(address(36), address(35), 150000);
+    holding(address(21), address(31), 150000);
+    delete fixture.accounts[address(22)];
+
+    after = await takeHolderSnapshot(connection, TOKEN_MINT);
+    after.takenAt = "2026-01-02T00:00:00.000Z";
+    store.save(after);
+  } finally {
+    await server.close();
+  }
+
+  const [first, second] = store.latest(TOKEN_MINT, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert.strictEqual(first.takenAt, before.takenAt);
+  const diff = diffSnapshots(first, second);
+
+  assert.strictEqual(diff.elapsedSeconds, 86400);
+  assert.deepStrictEqual([diff.newHolders, diff.exitedHolders], [1, 1]);
+  assert.deepStrictEqual(diff.newWhales.map(w => [w.address, w.pct]), [[address(35), 15]]);
+  assert.deepStrictEqual(diff.exitedWhales.map(w => w.address), [address(32)]);
+  assert.deepStrictEqual(diff.metrics.totalHolders, { before: 6, after: 6, change: 0 });
+  assert.strictEqual(diff.top.wallets.length, 5);
+  assert.strictEqual(diff.top.netChange, -150000);
+  assert.strictEqual(diff.top.direction, "distribution");
+});
+
+test("a failed save leaves no snapshot file behind", t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "x1-snapshots-"));
+  const store = createSnapshotStore(dir);
+  const snapshot = { mint: TOKEN_MINT, takenAt: "2026-01-01T00:00:00.000Z", holders: [] };
+  try {
+    t.mock.method(fs, "renameSync", () => {
+      throw new Error("disk full");
+    });
+    assert.throws(() => store.save(snapshot), /disk full/);
+    t.mock.restoreAll();
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, TOKEN_MINT)), []);
+    assert.deepStrictEqual(store.list(TOKEN_MINT), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,55 @@
+/**
+ * Telegram report: the /audit report of the scenario with the most
+ * events fits one message, and longer reports are split into messages
+ * under Telegram's limit without losing anything.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { auditToken } = require("../lib/audit");
+const { TELEGRAM_MAX_MESSAGE, splitMessage, formatAuditReport } = require("../lib/telegram");
+const { loadRiskRules } = require("../lib/risk");
+const { startMockServer } = require("./mock-server");
+const { TOKEN_MINT, SCENARIOS } = require("./fixtures/lp-safety");
+
+test("audit reports are sent in messages within Telegram's limit", async () => {
+  const server = await startMockServer(SCENARIOS.dev);
+  let audit;
+  try {
+    audit = await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, traceFunding: false });
+  } finally {
+    await server.close();
+  }
+
+  const report = formatAuditReport(audit);
+  assert.ok(report.length <= TELEGRAM_MAX_MESSAGE, `report is ${report.length} characters`);
+  assert.deepStrictEqual(splitMessage(report), [report]);
+
+  // A token with many pools: every pool is listed
+  const pools = Array.from({ length: 40 }, () => audit.pools).flat();
+  const long = formatAuditReport({ ...audit, pools });
+  assert.ok(long.length > TELEGRAM_MAX_MESSAGE);
+  const messages = splitMessage(long);
+  assert.ok(messages.length > 1);
+  messages.forEach(m => assert.ok(m.length <= TELEGRAM_MAX_MESSAGE, `message is ${m.length} characters`));
+  assert.strictEqual(messages.join("\n").replace(/\n+/g, "\n"), long.replace(/\n+/g, "\n"));
+  assert.ok(messages[0].startsWith("─"));
+});
+
+test("the risk levels are those of the rules the audit was scored with", async () => {
+  const rules = loadRiskRules();
+  rules.bands = rules.bands.map(b => ({ ...b, description: `custom ${b.rating}` }));
+  const server = await startMockServer(SCENARIOS["supply-diff"]);
+  let audit;
+  try {
+    audit = await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0, riskRules: rules });
+  } finally {
+    await server.close();
+  }
+  assert.match(formatAuditReport(audit), /🟢 0-24:\s+LOW — custom LOW\n/);
+});
+
+test("lines longer than a message are cut", () => {
+  const messages = splitMessage(`${"a".repeat(25)}\n\n${"b".repeat(10)}`, 20);
+  assert.deepStrictEqual(messages, ["a".repeat(20), `${"a".repeat(5)}\n\n${"b".repeat(10)}`]);
+});
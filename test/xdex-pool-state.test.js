@@ -0,0 +1,44 @@
+/**
+ * On-chain XDEX pool state: discovery when the API is down and
+ * API-vs-chain cross-checks (see test/fixtures/lp-safety.js).
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { auditToken } = require("../lib/audit");
+const { startMockServer } = require("./mock-server");
+const { TOKEN_MINT, LP_MINT, POOL, DEPLOYER, AMM_CONFIG, SCENARIOS } = require("./fixtures/lp-safety");
+
+async function auditScenario(name) {
+  const server = await startMockServer(SCENARIOS[name]);
+  try {
+    return await auditToken(TOKEN_MINT, { rpcUrl: server.rpcUrl, xdexApi: server.apiUrl, maxRetries: 0 });
+  } finally {
+    await server.close();
+  }
+}
+
+test("api-down: pools are decoded from their on-chain state", async () => {
+  const { pools, lp, incomplete } = await auditScenario("api-down");
+  assert.deepStrictEqual(incomplete, ["pools"]);
+  assert.strictEqual(pools.length, 1);
+  assert.strictEqual(pools[0].source, "chain");
+  assert.strictEqual(pools[0].address, POOL);
+  assert.strictEqual(pools[0].lpMint, LP_MINT);
+  assert.strictEqual(pools[0].creator, DEPLOYER);
+  assert.strictEqual(pools[0].lpSupplyOriginal, 1000);
+  assert.strictEqual(pools[0].chain.ammConfig, AMM_CONFIG);
+  assert.strictEqual(pools[0].chain.fees.tradeFeeRate, 0.0025);
+  assert.deepStrictEqual(pools[0].chain.tokens.map(t => t.reserve), [500000, 5000]);
+  assert.strictEqual(lp.method, "supply-diff");
+  assert.strictEqual(lp.pct, 90);
+});
+
+test("api-mismatch: API values that differ from the pool state are reported", async () => {
+  const { pools, lp, warnings } = await auditScenario("api-mismatch");
+  assert.strictEqual(pools[0].source, "api");
+  assert.deepStrictEqual(pools[0].discrepancies, [{ field: "lpSupply", api: "1200000000000", chain: "1000000000000" }]);
+  assert.ok(warnings.some(w => w.includes("API lpSupply")));
+  assert.strictEqual(pools[0].lpSupplyOriginal, 1000);
+  assert.strictEqual(lp.pct, 90);
+});
@@ -18,26 +18,21 @@
  *   --file <PATH>    File containing one token per line
  *   --format <TYPE>  Output format: console, csv, json (default: console)
  *   --output <PATH>  Output file path
- *   --api <URL>      XDEX API endpoint (default: https://api.xdex.xyz/api/xendex/pool/list)
+ *   --api <URL>      XDEX API base URL (default: https://api.xdex.xyz/api)
+ *   --rpc <URL>      RPC endpoint (default: X1_RPC_URL or X1 mainnet)
+ *   --rules <PATH>   Risk rules file (default: X1_RISK_RULES or rules/risk-rules.json)
+ *   --no-cache       Rescan LP history instead of using the local event cache
  */
 
 const fs = require('fs');
-const path = require('path');
+const { auditToken, createRpcClient, createEventCache, loadRiskRules, getPoolList, formatNumber, DEFAULT_RPC, XDEX_API } = require('./lib');
 
 // ──────────────────────────────────────────────────────────────
 // Configuration
 // ──────────────────────────────────────────────────────────────
 
-const XDEX_API = process.env.XDEX_API || 'https://api.xdex.xyz/api/xendex/pool/list';
 const DEFAULT_OUTPUT = 'console';
 
-// Token mint addresses from memory
-const SAMPLE_TOKENS = [
-  '7SXmUpcBGSAwW5LmtzQVF9jHswZ7xzmdKqWa4nDgL3ER', // AGI
-  'y1KEaaWVoEfX2gH7X1Vougmc9yD1Bi2c9VHeD7bDnNC', // XEN
-  '54uAdhRHZmbGnD1tATH7F7Qp5us7xsXJQTf6MpMEdFbg'  // JACK
-];
-
 // ──────────────────────────────────────────────────────────────
 // Argument Parsing
 // ──────────────────────────────────────────────────────────────
@@ -49,7 +44,10 @@ function parseArgs() {
     file: null,
     format: DEFAULT_OUTPUT,
     output: null,
-    api: XDEX_API
+    api: XDEX_API,
+    rpc: DEFAULT_RPC,
+    rules: null,
+    cache: true
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -64,6 +62,12 @@ function parseArgs() {
       options.output = args[++i];
     } else if (arg === '--api' && args[i + 1]) {
       options.api = args[++i];
+    } else if (arg === '--rpc' && args[i + 1]) {
+      options.rpc = args[++i];
+    } else if (arg === '--rules' && args[i + 1]) {
+      options.rules = args[++i];
+    } else if (arg === '--no-cache') {
+      options.cache = false;
     }
   }
 
@@ -86,217 +90,50 @@ function parseArgs() {
 }
 
 // ──────────────────────────────────────────────────────────────
-// XDEX API Helper
-// ──────────────────────────────────────────────────────────────
-
-async function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    const https = require('https');
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
-async function getXDEXPools() {
-  try {
-    // Try multiple XDEX API endpoints
-    const endpoints = [
-      'https://api.xdex.xyz/api/xendex/pool/list',
-      'https://api.xdex.xyz/api/xendex/pool/list?chain=x1',
-      'https://api.xdex.xyz/api/xendex/pool'  // Alternative endpoint
-    ];
-
-    for (const url of endpoints) {
-      try {
-        const data = await fetchJSON(url);
-        if (data && (data.pools || data.data?.pools || data.data)) {
-          // Normalize response formats
-          if (data.pools) return data.pools;
-          if (data.data?.pools) return data.data.pools;
-          if (Array.isArray(data.data)) return data.data;
-        }
-      } catch (e) {
-        // Try next endpoint
-        continue;
-      }
-    }
-    
-    console.error('⚠️  Failed to fetch XDEX pools from all endpoints');
-    return [];
-  } catch (e) {
-    console.error(`⚠️  Failed to fetch XDEX pools: ${e.message}`);
-    return [];
-  }
-}
-
-// ──────────────────────────────────────────────────────────────
-// Token Authority Check
+// Batch Audit Logic
 // ──────────────────────────────────────────────────────────────
 
-const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
-
-// X1 RPC endpoint
-const X1_RPC_URL = process.env.X1_RPC_URL || 'https://rpc.mainnet.x1.xyz';
-
-// Create connection with X1 RPC
-function createConnection() {
-  return new Connection(X1_RPC_URL, 'confirmed');
-}
-
-async function checkTokenAuthorities(connection, mintPubkey) {
-  const result = {
-    mintAuthority: null,
-    mintAuthorityRevoked: false,
-    freezeAuthority: null,
-    freezeAuthorityRevoked: false,
-    supply: 0,
-    decimals: 0,
+function toBatchRecord(audit) {
+  return {
+    mint: audit.mint,
+    supply: formatNumber(audit.token.supply),
+    decimals: audit.token.decimals,
+    mintAuthorityRevoked: audit.token.mintAuthorityRevoked,
+    freezeAuthorityRevoked: audit.token.freezeAuthorityRevoked,
+    poolCount: audit.pools.length,
+    lpSafetyPct: Number(audit.lp.pct.toFixed(2)),
+    lpNotBurned: audit.lp.pct === 0,
+    holderCount: audit.holders.totalHolders,
+    riskScore: audit.risk.score,
+    riskRating: audit.risk.rating,
+    dataIncomplete: audit.incomplete.length > 0,
+    warnings: audit.warnings
   };
+}
 
+async function batchAudit(tokens, options) {
+  // One client for the whole batch so the rate limit spans every token
+  const connection = createRpcClient(options.rpc);
+  const cache = options.cache ? createEventCache() : null;
+  let riskRules;
   try {
-    const info = await connection.getTokenSupply(mintPubkey);
-    result.supply = info.value.uiAmount;
-    result.decimals = info.value.decimals;
-
-    const account = await connection.getAccountInfo(mintPubkey);
-    if (account && account.data) {
-      // SPL Token mint data is 82 bytes
-      // Bytes 35-67: Mint authority (32 bytes)
-      // Byte 68: Is mint authority frozen (1 byte)
-      // Bytes 69-101: Freeze authority (32 bytes)
-      // Byte 102: Is freeze authority frozen (1 byte)
-
-      const mintAuthority = account.data.slice(35, 67);
-      result.mintAuthority = mintAuthority.toString('hex');
-      result.mintAuthorityRevoked = mintAuthority.every(b => b === 0);
-
-      const freezeAuthority = account.data.slice(69, 101);
-      result.freezeAuthority = freezeAuthority.toString('hex');
-      result.freezeAuthorityRevoked = freezeAuthority.every(b => b === 0);
-    }
+    riskRules = loadRiskRules(options.rules || process.env.X1_RISK_RULES);
   } catch (e) {
-    console.error(`Error-checking ${mintPubkey.toBase58()}: ${e.message}`);
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
   }
 
-  return result;
-}
-
-// ──────────────────────────────────────────────────────────────
-// LP Burn Detection (Simple Implementation)
-// ──────────────────────────────────────────────────────────────
-
-const BURN_ADDRESSES = [
-  '1nc1nerator11111111111111111111111111111111',
-  '1111111111111111111111111111111111111111',
-  '00000000000000000000000000000000000000000000'
-];
-
-function formatNumber(n, decimals = 9) {
-  if (typeof n === 'string') n = parseFloat(n);
-  if (isNaN(n)) return 'N/A';
-  if (n >= 1e12) return (n / 1e12).toFixed(2) + 'T';
-  if (n >= 1e9) return (n / 1e9).toFixed(2) + 'B';
-  if (n >= 1e6) return (n / 1e6).toFixed(2) + 'M';
-  if (n >= 1e3) return (n / 1e3).toFixed(2) + 'K';
-  return n.toFixed(n < 1 ? 6 : 2);
-}
-
-function calculateRiskScore(audit) {
-  let score = 0;
-  
-  // Mint authority (30 points)
-  if (audit.mintAuthorityRevoked) score += 30;
-  
-  // Freeze authority (20 points)
-  if (audit.freezeAuthorityRevoked) score += 20;
-  
-  // LP not burned (25 points)
-  if (audit.lpNotBurned) score += 25;
-  
-  // Holder concentration (10-20 points based on count)
-  if (audit.holderCount && audit.holderCount > 1000) score += 10;
-  else if (audit.holderCount) score += 20;
-  
-  return score;
-}
-
-// ──────────────────────────────────────────────────────────────
-// Batch Audit Logic
-// ──────────────────────────────────────────────────────────────
-
-async function auditToken(mint, pools) {
-  const connection = createConnection();
-  
-  const result = {
-    mint,
-    supply: 'N/A',
-    decimals: 0,
-    mintAuthorityRevoked: false,
-    freezeAuthorityRevoked: false,
-    poolCount: 0,
-    lpNotBurned: true,
-    holderCount: 0,
-    riskScore: 100,
-    riskRating: 'UNKNOWN'
-  };
-
+  // Fetch all pools once; without the list every audit falls back to
+  // on-chain pool discovery and reports the pools section incomplete
+  console.log('🔍 Fetching XDEX pools...');
+  let pools = null;
   try {
-    const pubkey = new PublicKey(mint);
-    const auth = await checkTokenAuthorities(connection, pubkey);
-    
-    result.supply = formatNumber(auth.supply, auth.decimals);
-    result.decimals = auth.decimals;
-    result.mintAuthorityRevoked = auth.mintAuthorityRevoked;
-    result.freezeAuthorityRevoked = auth.freezeAuthorityRevoked;
-
-    // Count pools for this token
-    const tokenPools = pools.filter(p => checkPoolForToken(p, mint));
-    result.poolCount = tokenPools.length;
-
-    // Check LP burn (simplified)
-    const hasBurnedLP = tokenPools.some(p => {
-      const lpMint = p.lpMint || p.lp_mint;
-      if (!lpMint) return false;
-      return BURN_ADDRESSES.some(addr => lpMint.includes(addr) || addr.includes(lpMint));
-    });
-    result.lpNotBurned = !hasBurnedLP;
-
-    // Estimate holder count (from pools)
-    result.holderCount = tokenPools.reduce((sum, p) => {
-      return sum + (p.tkn0?.holders || 0) + (p.tkn1?.holders || 0);
-    }, 0);
-
-    // Calculate risk score
-    result.riskScore = calculateRiskScore(result);
-    
-    // Determine risk rating
-    if (result.riskScore <= 30) result.riskRating = 'LOW';
-    else if (result.riskScore <= 60) result.riskRating = 'MEDIUM';
-    else result.riskRating = 'HIGH';
-
+    pools = await getPoolList(options.api);
+    console.log(`📊 Found ${pools.length} pools`);
   } catch (e) {
-    console.error(`Failed to audit ${mint}: ${e.message}`);
-    // Keep defaults for failed audits
+    console.error(`⚠️  Failed to fetch XDEX pools: ${e.message}`);
   }
 
-  return result;
-}
-
-async function batchAudit(tokens, options) {
-  // Fetch all pools once
-  console.log('🔍 Fetching XDEX pools...');
-  const pools = await getXDEXPools();
-  console.log(`📊 Found ${pools.length} pools`);
-
   // Audit each token
   console.log(`\n🚀 Auditing ${tokens.length} tokens...\n`);
   
@@ -306,7 +143,19 @@ async function batchAudit(tokens, options) {
     process.stdout.write(`[${i + 1}/${tokens.length}] ${token.slice(0, 12)}... `);
     
     try {
-      const result = await auditToken(token, pools);
+      const audit = await auditToken(token, {
+        connection,
+        xdexApi: options.api,
+        poolList: pools || undefined,
+        cache,
+        riskRules,
+        // Batch records carry no provenance, clusters or dev activity; skip
+        // the tracing, which also keeps dev selling out of batch scores
+        traceFunding: false,
+        findClusters: false,
+        trackDev: false
+      });
+      const result = toBatchRecord(audit);
       results.push(result);
       console.log(`✅ ${result.riskRating} (Score: ${result.riskScore})`);
     } catch (e) {
@@ -334,13 +183,18 @@ function formatConsole(results) {
     output += `┌─────────────────────────────────────────────────────────\n`;
     output += `│  ${result.mint.slice(0, 24)}...${result.mint.slice(-12)}\n`;
     output += `├─────────────────────────────────────────────────────────\n`;
+    if (result.error) {
+      output += `│ Error:       ${result.error}\n`;
+      output += `└─────────────────────────────────────────────────────────\n\n`;
+      continue;
+    }
     output += `│ Supply:      ${result.supply}\n`;
     output += `│ Decimals:    ${result.decimals}\n`;
     output += `│ Pools:       ${result.poolCount}\n`;
     output += `│ Holders:     ${result.holderCount}\n`;
     output += `│ Mint Auth:   ${result.mintAuthorityRevoked ? '✅ Revoked' : '❌ Active'}\n`;
     output += `│ Freeze Auth: ${result.freezeAuthorityRevoked ? '✅ Revoked' : '❌ Active'}\n`;
-    output += `│ LP Not Burn: ${result.lpNotBurned ? '⚠️ Yes' : '✅ No'}\n`;
+    output += `│ LP Safety:   ${result.lpSafetyPct.toFixed(1)}%\n`;
     output += `├─────────────────────────────────────────────────────────\n`;
     output += `│ Risk Score:  ${result.riskScore}/100\n`;
     output += `│ Risk:        ${result.riskRating}\n`;
@@ -360,8 +214,10 @@ function formatCSV(results) {
     'MintAuthRevoked',
     'FreezeAuthRevoked',
     'LPNotBurned',
+    'LPSafetyPct',
     'RiskScore',
-    'RiskRating'
+    'RiskRating',
+    'DataIncomplete'
   ];
 
   let csv = headers.join(',') + '\n';
@@ -376,8 +232,10 @@ function formatCSV(results) {
       result.mintAuthorityRevoked ? 'true' : 'false',
       result.freezeAuthorityRevoked ? 'true' : 'false',
       result.lpNotBurned ? 'true' : 'false',
+      result.lpSafetyPct,
       result.riskScore,
-      result.riskRating
+      result.riskRating,
+      result.dataIncomplete ? 'true' : 'false'
     ].join(',') + '\n';
   }
   
@@ -388,13 +246,6 @@ function formatJSON(results) {
   return JSON.stringify(results, null, 2);
 }
 
-function checkPoolForToken(pool, token) {
-  // Check if pool contains the token (using token1_address/token2_address format)
-  return pool.token1_address === token || pool.token2_address === token ||
-         pool.tkn0?.mint === token || pool.tkn1?.mint === token ||
-         (pool.mints && pool.mints.includes(token));
-}
-
 // ──────────────────────────────────────────────────────────────
 // Main
 // ──────────────────────────────────────────────────────────────
@@ -429,17 +280,15 @@ async function main() {
   }
 
   // Summary
-  const lowRisk = results.filter(r => r.riskRating === 'LOW').length;
-  const mediumRisk = results.filter(r => r.riskRating === 'MEDIUM').length;
-  const highRisk = results.filter(r => r.riskRating === 'HIGH').length;
-  const errors = results.filter(r => r.riskRating === 'ERROR').length;
+  const count = rating => results.filter(r => r.riskRating === rating).length;
 
   console.log(`\n📊 Summary (completed in ${duration}s):`);
-  console.log(`   Total: ${results.length}`);
-  console.log(`   LOW:   ${lowRisk}`);
-  console.log(`   MEDIUM:${mediumRisk}`);
-  console.log(`   HIGH:  ${highRisk}`);
-  console.log(`   ERROR: ${errors}`);
+  console.log(`   Total:    ${results.length}`);
+  console.log(`   LOW:      ${count('LOW')}`);
+  console.log(`   MEDIUM:   ${count('MEDIUM')}`);
+  console.log(`   HIGH:     ${count('HIGH')}`);
+  console.log(`   CRITICAL: ${count('CRITICAL')}`);
+  console.log(`   ERROR:    ${count('ERROR')}`);
 }
 
 main().catch(console.error);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * x1-dev-activity.js
+ * What the deployer and the token authorities did with a token lately
+ *
+ * Usage:
+ *   node x1-dev-activity.js <TOKEN_MINT>
+ *   node x1-dev-activity.js <TOKEN_MINT> --limit 200 --json
+ *
+ * Reports sells into XDEX pools, transfers out to fresh wallets, LP
+ * removals and authority changes by the deployer (fee payer of the
+ * transaction that initialized the mint) and the current mint and
+ * freeze authorities.
+ *
+ * Options:
+ *   --rpc <url>    RPC endpoint (default: X1_RPC_URL or X1 mainnet)
+ *   --limit <n>    Recent transactions read per dev wallet (default: 50)
+ *   --json         Print the activity as JSON
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const {
+  DEFAULT_RPC,
+  createRpcClient,
+  isValidAddress,
+  checkTokenAuthorities,
+  findPoolsOnChain,
+  trackDevActivity,
+  formatDevActivity,
+  shortAddr,
+} = require("./lib");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let mint = null;
+  let rpcUrl = DEFAULT_RPC;
+  let limit;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--rpc" && args[i + 1]) {
+      rpcUrl = args[++i];
+    } else if (args[i] === "--limit" && args[i + 1]) {
+      limit = parseInt(args[++i]);
+    } else if (args[i] === "--json") {
+      json = true;
+    } else if (!args[i].startsWith("--")) {
+      mint = args[i];
+    }
+  }
+
+  if (!mint || !isValidAddress(mint) || (limit !== undefined && !(limit > 0))) {
+    console.error("Usage: node x1-dev-activity.js <TOKEN_MINT> [--rpc url] [--limit n] [--json]");
+    process.exit(1);
+  }
+  return { mint, rpcUrl, limit, json };
+}
+
+// ─── Main ────────────────────────────────────────────────────
+
+async function main() {
+  const opts = parseArgs();
+  const connection = createRpcClient(opts.rpcUrl);
+
+  const token = await checkTokenAuthorities(connection, new PublicKey(opts.mint));
+  if (!token.exists) {
+    console.error(`❌ Mint not found: ${opts.mint}`);
+    process.exit(1);
+  }
+
+  // LP mints of the token's XDEX pools, for LP removals
+  let lpMints = [];
+  try {
+    lpMints = [...new Set((await findPoolsOnChain(connection, opts.mint)).map(p => p.state.lpMint))];
+  } catch (err) {
+    console.error(`⚠️  XDEX pool lookup failed, LP removals are not detected: ${err.message}`);
+  }
+
+  const activity = await trackDevActivity(connection, opts.mint, { token, lpMints, limit: opts.limit });
+
+  if (opts.json) {
+    console.log(JSON.stringify(activity, null, 2));
+    return;
+  }
+  console.log(`👨‍💻 Dev activity for ${shortAddr(opts.mint)}`);
+  formatDevActivity(activity, [], Infinity).forEach(line => console.log(`   ${line}`));
+  if (activity.failed > 0) {
+    console.log(`   ⚠️  ${activity.failed} transaction(s) could not be fetched`);
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * x1-holder-snapshot.js
+ * Holder snapshots over time and the diff between them
+ *
+ * Usage:
+ *   node x1-holder-snapshot.js snapshot <TOKEN_MINT>
+ *   node x1-holder-snapshot.js diff <TOKEN_MINT>                  # two latest snapshots
+ *   node x1-holder-snapshot.js diff <TOKEN_MINT> <FROM> <TO>      # snapshot files
+ *   node x1-holder-snapshot.js list <TOKEN_MINT>
+ *
+ * Commands:
+ *   snapshot  Store every holder of the mint with the current time
+ *   diff      New whales, exited holders, net accumulation or distribution
+ *             by the top 20 wallets, and concentration changes
+ *   list      Stored snapshots of the mint, oldest first
+ *
+ * Options:
+ *   --rpc <url>  RPC endpoint (default: X1_RPC_URL or X1 mainnet)
+ *   --dir <dir>  Snapshot directory (default: X1_SNAPSHOT_DIR or ~/.x1-token-audit/snapshots)
+ *   --json       Print the snapshot summary or diff as JSON
+ */
+
+const {
+  DEFAULT_RPC,
+  DEFAULT_SNAPSHOT_DIR,
+  createRpcClient,
+  isValidAddress,
+  takeHolderSnapshot,
+  createSnapshotStore,
+  diffSnapshots,
+  formatNumber,
+  formatHolderType,
+  formatSnapshotDiff,
+  shortAddr,
+} = require("./lib");
+
+const COMMANDS = ["snapshot", "diff", "list"];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = [];
+  let rpcUrl = DEFAULT_RPC;
+  let dir = DEFAULT_SNAPSHOT_DIR;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--rpc" && args[i + 1]) {
+      rpcUrl = args[++i];
+    } else if (args[i] === "--dir" && args[i + 1]) {
+      dir = args[++i];
+    } else if (args[i] === "--json") {
+      json = true;
+    } else if (!args[i].startsWith("--")) {
+      positional.push(args[i]);
+    }
+  }
+
+  const [command, mint, ...files] = positional;
+  if (!COMMANDS.includes(command) || !mint || !isValidAddress(mint) || (command === "diff" && ![0, 2].includes(files.length))) {
+    console.error("Usage: node x1-holder-snapshot.js snapshot <TOKEN_MINT> [--rpc url] [--dir path] [--json]");
+    console.error("       node x1-holder-snapshot.js diff <TOKEN_MINT> [<FROM_FILE> <TO_FILE>] [--dir path] [--json]");
+    console.error("       node x1-holder-snapshot.js list <TOKEN_MINT> [--dir path]");
+    process.exit(1);
+  }
+  return { command, mint, files, rpcUrl, dir, json };
+}
+
+async function runSnapshot(opts, store) {
+  const connection = createRpcClient(opts.rpcUrl);
+  const snapshot = await takeHolderSnapshot(connection, opts.mint);
+  const file = store.save(snapshot);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ file, mint: snapshot.mint, takenAt: snapshot.takenAt, metrics: snapshot.metrics }, null, 2));
+    return;
+  }
+  const { metrics } = snapshot;
+  console.log(`📸 Snapshot of ${shortAddr(opts.mint)} saved to ${file}`);
+  console.log(`   Holders:        ${metrics.totalHolders}`);
+  console.log(`   Circulating:    ${formatNumber(metrics.circulatingSupply)}`);
+  console.log(`   Gini:           ${metrics.gini.toFixed(3)}`);
+  console.log(`   Nakamoto:       ${metrics.nakamoto}`);
+  console.log(`   Top 10 wallets: ${metrics.top10WalletsPct.toFixed(2)}%`);
+  snapshot.holders.slice(0, 5).forEach((h, i) => {
+    console.log(`   ${i + 1}. ${shortAddr(h.address)} - ${formatNumber(h.amount)} (${h.pct.toFixed(2)}%)${formatHolderType(h)}`);
+  });
+}
+
+function runDiff(opts, store) {
+  const [before, after] = opts.files.length === 2
+    ? opts.files.map(file => store.load(file))
+    : store.latest(opts.mint, 2);
+  if (!after) {
+    throw new Error(`Need two snapshots of ${opts.mint} in ${store.dir}; run \`snapshot\` again later`);
+  }
+  const diff = diffSnapshots(before, after);
+
+  if (opts.json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+  console.log(`📊 Holder trend for ${shortAddr(opts.mint)}`);
+  formatSnapshotDiff(diff).forEach(line => console.log(`   ${line}`));
+}
+
+function runList(opts, store) {
+  const files = store.list(opts.mint);
+  if (files.length === 0) {
+    console.log(`No snapshots of ${opts.mint} in ${store.dir}`);
+    return;
+  }
+  files.forEach(file => console.log(file));
+}
+
+// ─── Main ────────────────────────────────────────────────────
+
+async function main() {
+  const opts = parseArgs();
+  const store = createSnapshotStore(opts.dir);
+  try {
+    if (opts.command === "snapshot") await runSnapshot(opts, store);
+    else if (opts.command === "diff") runDiff(opts, store);
+    else runList(opts, store);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});